@@ -0,0 +1,511 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  ADMINS_FILE,
+  loadAdmins,
+  saveAdmins,
+  ensureBootstrapAdmin,
+  createSessionStore,
+  createLoginThrottle
+} = require('./lib/auth');
+const {
+  SIGNING_KEYS_FILE,
+  loadSigningKeys,
+  ensureSigningKey,
+  rotateSigningKey
+} = require('./lib/tokens');
+const { createStore } = require('./lib/storage');
+const { normalizeDevices } = require('./lib/devices');
+const {
+  AUDIT_LOG_FILE,
+  loadAuditLog,
+  snapshotLicense,
+  recordAudit
+} = require('./lib/audit');
+const { PLANS_FILE, loadPlans, savePlans } = require('./lib/plans');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { stripPlaintextKey } = require('./lib/license-keys');
+const { TRIALS_FILE, loadTrialRegistry, saveTrialRegistry } = require('./lib/trials');
+const { publicUser } = require('./lib/user-credentials');
+const { getExpiryStatus, isArchived } = require('./lib/license-status');
+const {
+  REMINDERS_FILE,
+  loadReminderState,
+  saveReminderState,
+  createReminderScheduler
+} = require('./lib/reminders');
+const { createChannels } = require('./lib/notifications');
+const {
+  CUSTOMERS_FILE,
+  loadCustomers,
+  saveCustomers,
+  migrateLegacyCustomers
+} = require('./lib/customers');
+const {
+  WEBHOOKS_FILE,
+  DELIVERIES_FILE,
+  loadWebhooks,
+  saveWebhooks,
+  loadDeliveries,
+  saveDeliveries,
+  saveDeliveriesAsync,
+  createWebhookDispatcher
+} = require('./lib/webhooks');
+const { languageMiddleware, errorBody } = require('./lib/i18n');
+const { runDiagnostics } = require('./lib/diagnostics');
+const { validateLicenseRecord, coerceLicenseRecord, isEssentialError } = require('./lib/schema');
+const { BACKUP_DIR, createBackups } = require('./lib/backups');
+const { logger, requestLogger } = require('./lib/logger');
+const { createAdminRouter } = require('./routes/admin');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createPlansRouter } = require('./routes/plans');
+const { createCustomersRouter } = require('./routes/customers');
+const { createLicensesRouter } = require('./routes/licenses');
+const { createClientRouter } = require('./routes/client');
+const { createLicenseUsersRouter } = require('./routes/license-users');
+const { createAuditRouter } = require('./routes/audit');
+const { createDevicesRouter } = require('./routes/devices');
+const { createRemindersRouter } = require('./routes/reminders');
+const { createBackupsRouter } = require('./routes/backups');
+
+// ملفات الحالة الافتراضية بجانب السيرفر، و config.dataDir ينقلها كلها إلى مجلد آخر
+const DATA_FILES = {
+  admins: ADMINS_FILE,
+  signingKeys: SIGNING_KEYS_FILE,
+  audit: AUDIT_LOG_FILE,
+  plans: PLANS_FILE,
+  trials: TRIALS_FILE,
+  customers: CUSTOMERS_FILE,
+  reminders: REMINDERS_FILE,
+  webhooks: WEBHOOKS_FILE,
+  webhookDeliveries: DELIVERIES_FILE,
+  backups: BACKUP_DIR
+};
+
+function dataFiles(dataDir) {
+  const files = {};
+  Object.entries(DATA_FILES).forEach(([name, file]) => {
+    files[name] = dataDir ? path.join(dataDir, path.basename(file)) : file;
+  });
+  return files;
+}
+
+function defaultConfig() {
+  return {
+    dataDir: null,
+    adminUsername: process.env.ADMIN_USERNAME,
+    adminPassword: process.env.ADMIN_PASSWORD,
+    // عند التشغيل خلف proxy (مثل Replit) نحتاج عنوان العميل الحقيقي لتحديد المعدل
+    trustProxy: process.env.TRUST_PROXY,
+    // المستخدمون بدون كلمة مرور مسموح لهم فقط أثناء فترة الانتقال
+    allowPasswordlessUsers: process.env.ALLOW_PASSWORDLESS_USERS === 'true',
+    rateLimit: {},
+    channels: null,
+    // { keep, intervalHours }، والمجلد من ملفات الحالة
+    backups: {},
+    // للتشخيص (server.js --check): بدون ترحيل البيانات وبدون إنشاء المسؤول الأول أو مفتاح التوقيع
+    readOnly: false
+  };
+}
+
+/*
+ * createApp({ store, clock, config }) -> تطبيق Express جاهز بدون listen
+ *   store   مخزن الرخص (createStore أو createMemoryStore)، الافتراضي حسب STORAGE_DRIVER
+ *   clock() -> Date الوقت الحالي، يُستبدل في الاختبارات لفحص الانتهاء وفترة السماح
+ *   config  { dataDir, adminUsername, adminPassword, trustProxy, allowPasswordlessUsers, rateLimit, channels, backups, readOnly }
+ * app.start() يشغل المهام الخلفية و app.stop() يوقفها ويغلق المخزن
+ * app.diagnose(lang) -> Promise<report> فحص ذاتي كامل (lib/diagnostics.js)
+ * app.restoreBackup(file, { dryRun }) استعادة نسخة احتياطية (lib/backups.js)
+ */
+function createApp({ store = createStore(), clock = () => new Date(), config = {} } = {}) {
+  const settings = { ...defaultConfig(), ...config };
+  const files = dataFiles(settings.dataDir);
+  const app = express();
+
+  if (settings.trustProxy) {
+    const trustProxy = settings.trustProxy;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+  }
+
+  // Middleware
+  app.use(cors());
+  app.use(requestLogger(logger));
+  app.use(languageMiddleware);
+  app.use(express.json());
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Helper functions
+  // المفتاح يحمل رمز العميل المختصر وليس الاسم كما أُدخل
+  function generateLicenseKey(customerCode) {
+    const randomSuffix = crypto.randomBytes(8).toString('hex').toUpperCase();
+    return `VET-${customerCode}-${randomSuffix}`;
+  }
+
+  function customerCodeFor(license) {
+    const customer = license.customerId ? customers[license.customerId] : null;
+    return customer ? customer.code : 'CLINIC';
+  }
+
+  // السجلات القديمة التي حملت المفتاح الكامل تُقارن بالـ hash قبل إزالته، ويعرضها التشخيص
+  const keyCheck = { checked: 0, mismatches: [] };
+
+  function loadLicenses() {
+    try {
+      const stored = store.loadLicenses();
+      const records = Object.entries(stored).filter(([, license]) => license && typeof license === 'object');
+
+      records.filter(([, license]) => typeof license.key === 'string').forEach(([hash, license]) => {
+        keyCheck.checked++;
+        if (hashLicense(license.key) !== hash) {
+          keyCheck.mismatches.push(hash);
+        }
+      });
+
+      // ترحيل السجلات القديمة التي تحتوي على المفتاح الكامل، قبل التحقق لأن maskedKey يُشتق من المفتاح
+      // ويشمل السجلات التالفة حتى لا يبقى المفتاح الكامل في المخزن
+      const migrated = records.filter(([, license]) => stripPlaintextKey(license));
+      if (migrated.length > 0 && !settings.readOnly) {
+        try {
+          store.importLicenses(migrated);
+          logger.info('keysMasked', { count: migrated.length });
+        } catch (err) {
+          logger.error('licenseSaveFailed', { err });
+        }
+      }
+
+      // السجل الذي تلفت حقوله الأساسية لا يُحمّل، ويبقى في المخزن كما هو ويعرضها التشخيص
+      // باقي الحقول تُحوّل إن أمكن أو يُبلّغ عنها والرخصة تعمل
+      const loaded = {};
+      const fieldsOf = errors => errors.map(error => error.params.field).join(', ');
+      Object.entries(stored).forEach(([hash, license]) => {
+        const coerced = coerceLicenseRecord(license);
+        const errors = validateLicenseRecord(license);
+        if (errors.some(isEssentialError)) {
+          logger.warn('licenseRecordInvalid', { hash, fields: fieldsOf(errors) });
+          return;
+        }
+        if (coerced.length > 0) {
+          logger.warn('licenseRecordCoerced', { hash, fields: coerced.join(', ') });
+        }
+        if (errors.length > 0) {
+          logger.warn('licenseRecordFieldsInvalid', { hash, fields: fieldsOf(errors) });
+        }
+        loaded[hash] = license;
+      });
+      Object.values(loaded).forEach(normalizeDevices);
+      return loaded;
+    } catch (err) {
+      logger.error('licensesLoadFailed', { err });
+    }
+    return {};
+  }
+
+  function saveLicense(hash) {
+    try {
+      store.saveLicense(hash, licenses[hash]);
+    } catch (err) {
+      logger.error('licenseSaveFailed', { err });
+    }
+  }
+
+  function hashLicense(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  // الرخصة كما تُعرض في الردود: بدون hash كلمات مرور المستخدمين
+  function publicLicense(hash, license) {
+    const customer = license.customerId ? customers[license.customerId] : null;
+    const result = { hash, ...license, customerName: customer ? customer.clinicName : null };
+    if (license.users) {
+      result.users = license.users.map(publicUser);
+    }
+    return result;
+  }
+
+  // Load state on startup
+  const licenses = loadLicenses();
+
+  // بعد استعادة نسخة: نفس الكائن المشترك مع المسارات يُفرغ ويُملأ من المخزن من جديد
+  function reloadLicenses() {
+    keyCheck.checked = 0;
+    keyCheck.mismatches.length = 0;
+    const loaded = loadLicenses();
+    Object.keys(licenses).forEach(hash => {
+      delete licenses[hash];
+    });
+    Object.assign(licenses, loaded);
+    return Object.keys(licenses).length;
+  }
+
+  const backups = createBackups({
+    dir: files.backups,
+    ...settings.backups,
+    getData: () => ({
+      licenses: store.inspect().entries,
+      customers: Object.entries(customers),
+      plans: Object.entries(plans)
+    }),
+    clock
+  });
+
+  // نفس الكائن المشترك مع المسارات يُفرغ ويُملأ من النسخة
+  function replaceRecords(records, entries) {
+    Object.keys(records).forEach(id => {
+      delete records[id];
+    });
+    entries.forEach(([id, record]) => {
+      records[id] = record;
+    });
+  }
+
+  // النسخة تُفحص كاملة قبل أي تغيير، ونسخة pre-restore من الحالة الحالية تُحفظ قبل الاستبدال
+  // العملاء والخطط تُستعاد مع الرخص حتى لا تشير الرخص إلى عملاء غير موجودين
+  // السجلات التالفة في النسخة تُترك كما يتركها التحميل، وتعود في skipped
+  // يعيد { error, problems? } أو { backup, dryRun, skipped, preRestore, loaded }
+  function restoreBackup(file, { dryRun = false } = {}) {
+    const { error, problems, backup, contents, skipped } = backups.read(file);
+    if (error) {
+      return { error, problems };
+    }
+    if (dryRun) {
+      return { backup, dryRun, skipped };
+    }
+
+    const preRestore = backups.snapshot('pre-restore');
+    if (contents.customers) {
+      replaceRecords(customers, contents.customers);
+      saveCustomers(customers, files.customers);
+    }
+    if (contents.plans) {
+      replaceRecords(plans, contents.plans);
+      savePlans(plans, files.plans);
+    }
+    store.replaceLicenses(contents.licenses);
+    const loaded = reloadLicenses();
+    logger.info('backupRestored', { file, count: loaded, preRestore: preRestore.file });
+    if (skipped.length > 0) {
+      logger.warn('backupRecordsSkipped', { file, count: skipped.length });
+    }
+    return { backup, dryRun, skipped, preRestore, loaded };
+  }
+
+  const admins = loadAdmins(files.admins);
+  const signingKeys = loadSigningKeys(files.signingKeys);
+  if (!settings.readOnly) {
+    ensureBootstrapAdmin(admins, {
+      username: settings.adminUsername,
+      password: settings.adminPassword,
+      file: files.admins
+    });
+    ensureSigningKey(signingKeys, files.signingKeys);
+  }
+  const auditLog = loadAuditLog(files.audit);
+  const plans = loadPlans(files.plans);
+  const rateLimiter = createRateLimiter({ ...settings.rateLimit, clock });
+  // جلسات المسؤولين خاصة بهذا التطبيق
+  const sessions = createSessionStore({ clock });
+  const loginThrottle = createLoginThrottle({ clock });
+  const trialRegistry = loadTrialRegistry(files.trials);
+  const customers = loadCustomers(files.customers);
+  const reminderState = loadReminderState(files.reminders);
+
+  const webhooks = loadWebhooks(files.webhooks);
+  const webhookDeliveries = loadDeliveries(files.webhookDeliveries);
+  const webhookDispatcher = createWebhookDispatcher({
+    getWebhooks: () => webhooks,
+    deliveries: webhookDeliveries,
+    save: deliveries => saveDeliveries(deliveries, files.webhookDeliveries),
+    saveAsync: (deliveries, signal) => saveDeliveriesAsync(deliveries, files.webhookDeliveries, signal),
+    clock
+  });
+
+  // إرسال حدث للأنظمة الخارجية في الخلفية، ولا يؤثر فشله على الطلب
+  function notify(event, hash, license, extra = {}) {
+    try {
+      webhookDispatcher.emit(event, { hash, license: snapshotLicense(license), ...extra });
+    } catch (err) {
+      logger.error('webhookQueueFailed', { err });
+    }
+  }
+
+  // ربط الرخص القديمة بسجلات عملاء حقيقية، والتشخيص يعرض ما بقي منها كتحذير
+  if (!settings.readOnly) {
+    const { migrated, created } = migrateLegacyCustomers(customers, licenses);
+    if (migrated.length > 0) {
+      saveCustomers(customers, files.customers);
+      store.importLicenses(migrated);
+      logger.info('customersMigrated', { count: migrated.length, created });
+    }
+  }
+
+  // تنبيهات انتهاء الرخص، تعمل فقط عند ضبط REMINDER_CHANNELS
+  const reminders = createReminderScheduler({
+    getLicenses: () => licenses,
+    getRecipient: license => {
+      const customer = license.customerId ? customers[license.customerId] : null;
+      return {
+        name: customer ? customer.contactName || customer.clinicName : null,
+        email: customer ? customer.email : null,
+        phone: customer ? customer.phone : null
+      };
+    },
+    getGraceEndsAt: license => getExpiryStatus(license, plans, clock()).graceEndsAt,
+    channels: settings.channels || createChannels(),
+    state: reminderState,
+    saveState: state => saveReminderState(state, files.reminders),
+    onSent: (hash, stage, results) => {
+      recordAudit(auditLog, {
+        actor: 'scheduler',
+        action: 'license.reminder',
+        target: hash,
+        details: { stage, results }
+      }, files.audit, clock());
+    },
+    clock
+  });
+
+  // تسجيل عملية في سجل التدقيق مع هوية المنفذ وعنوانه
+  function audit(req, action, hash, before, after, extra = {}) {
+    try {
+      recordAudit(auditLog, {
+        actor: req.admin ? req.admin.username : 'client',
+        action,
+        target: hash,
+        before,
+        after,
+        ip: req.ip,
+        ...extra
+      }, files.audit, clock());
+    } catch (err) {
+      logger.error('auditWriteFailed', { err });
+    }
+  }
+
+  // الأخطاء غير المتوقعة تُسجل كاملة في السيرفر ويصل للعميل رمز عام ومعرف الطلب للمتابعة
+  function internalError(req, res, err, extra = {}) {
+    req.log.error('requestFailed', { method: req.method, path: req.path, err });
+    return res.status(500).json({ ...extra, ...errorBody(req, 'INTERNAL_ERROR'), requestId: req.id });
+  }
+
+  // الرخصة المؤرشفة للقراءة فقط حتى تُستعاد، والرخصة غير الموجودة يعالجها المسار نفسه
+  function refuseArchived(req, res, next) {
+    const license = licenses[req.params.hash];
+    if (license && isArchived(license)) {
+      return res.status(409).json(errorBody(req, 'LICENSE_ARCHIVED'));
+    }
+    next();
+  }
+
+  // فحص المسارات والسجلات والملفات، يُستدعى من /api/admin/diagnostics و server.js --check
+  function diagnose(lang) {
+    return runDiagnostics({ app, sessions, store, customers, plans, files, keyCheck, clock, lang });
+  }
+
+  // الحالة والدوال المشتركة بين ملفات المسارات، والحفظ يذهب دائماً إلى ملفات هذا التطبيق
+  const ctx = {
+    config: settings,
+    clock,
+    store,
+    files,
+    licenses,
+    admins,
+    signingKeys,
+    auditLog,
+    plans,
+    rateLimiter,
+    trialRegistry,
+    customers,
+    reminderState,
+    webhooks,
+    webhookDeliveries,
+    webhookDispatcher,
+    reminders,
+    saveLicense,
+    hashLicense,
+    publicLicense,
+    generateLicenseKey,
+    customerCodeFor,
+    notify,
+    audit,
+    internalError,
+    refuseArchived,
+    diagnose,
+    sessions,
+    loginThrottle,
+    authenticate: sessions.authenticate,
+    requireRole: sessions.requireRole,
+    backups,
+    restoreBackup,
+    saveAdmins: () => saveAdmins(admins, files.admins),
+    savePlans: () => savePlans(plans, files.plans),
+    saveCustomers: () => saveCustomers(customers, files.customers),
+    saveTrialRegistry: () => saveTrialRegistry(trialRegistry, files.trials),
+    saveWebhooks: () => saveWebhooks(webhooks, files.webhooks),
+    saveReminderState: () => saveReminderState(reminderState, files.reminders),
+    rotateSigningKey: () => rotateSigningKey(signingKeys, files.signingKeys)
+  };
+
+  // ترتيب التسجيل مهم: /api/licenses/bulk/:action قبل مسارات /api/licenses/:hash/...
+  app.use(createAdminRouter(ctx));
+  app.use(createWebhooksRouter(ctx));
+  app.use(createPlansRouter(ctx));
+  app.use(createCustomersRouter(ctx));
+  app.use(createLicensesRouter(ctx));
+  app.use(createClientRouter(ctx));
+  app.use(createLicenseUsersRouter(ctx));
+  app.use(createAuditRouter(ctx));
+  app.use(createDevicesRouter(ctx));
+  app.use(createRemindersRouter(ctx));
+  app.use(createBackupsRouter(ctx));
+
+  // Serve dashboard
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  // Health check
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: clock().toISOString() });
+  });
+
+  // مسارات API غير المعروفة تعيد JSON برمز بدلاً من صفحة HTML
+  app.use('/api', (req, res) => {
+    res.status(404).json(errorBody(req, 'NOT_FOUND'));
+  });
+
+  // أخطاء express.json (محتوى غير صالح) وأي خطأ لم يُلتقط داخل المسار
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json(errorBody(req, 'INVALID_JSON'));
+    }
+    internalError(req, res, err);
+  });
+
+  // التسليمات المعلقة قبل إعادة التشغيل تُستأنف، والتنبيهات تبدأ إن كانت لها قنوات
+  app.start = () => {
+    webhookDispatcher.resume();
+    if (reminders.start()) {
+      logger.info('remindersEnabled', { channels: reminders.channels.join(', ') });
+    }
+    if (backups.start()) {
+      logger.info('backupsEnabled', { hours: backups.intervalHours, keep: backups.keep, dir: backups.dir });
+    }
+  };
+
+  app.diagnose = diagnose;
+  app.restoreBackup = restoreBackup;
+
+  app.stop = () => {
+    reminders.stop();
+    backups.stop();
+    webhookDispatcher.stop();
+    rateLimiter.stop();
+    store.close();
+  };
+
+  return app;
+}
+
+module.exports = { createApp };
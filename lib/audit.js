@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'audit.log');
+
+// سجل التدقيق ملف JSON Lines يُضاف إليه فقط ولا يُعاد كتابته
+function loadAuditLog(file = AUDIT_LOG_FILE) {
+  const entries = [];
+  try {
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf-8').split('\n').forEach(line => {
+        if (line.trim()) {
+          entries.push(JSON.parse(line));
+        }
+      });
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return entries;
+}
+
+// نسخة من الرخصة بدون المصفوفات الكبيرة لمقارنة قبل/بعد
+function snapshotLicense(license) {
+  if (!license) {
+    return null;
+  }
+  const { users, devices, loginHistory, renewals, ...fields } = license;
+  return JSON.parse(JSON.stringify(fields));
+}
+
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+// now من ساعة التطبيق (createApp) حتى تتوافق أوقات السجل مع أوقات الرخص
+function recordAudit(auditLog, { actor, action, target, subject = null, before = null, after = null, ip = null, details }, file = AUDIT_LOG_FILE, now = new Date()) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: now.toISOString(),
+    actor,
+    action,
+    target,
+    subject,
+    ip,
+    before,
+    after,
+    changes: diffRecords(before, after)
+  };
+  if (details) {
+    entry.details = details;
+  }
+
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  auditLog.push(entry);
+  return entry;
+}
+
+function queryAudit(auditLog, { license, actor, action, from, to, limit = 100, offset = 0 } = {}) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  const targets = license ? [].concat(license) : null;
+
+  const matches = auditLog.filter(entry => {
+    const time = new Date(entry.timestamp).getTime();
+    return (!targets || targets.includes(entry.target)) &&
+      (!actor || entry.actor === actor) &&
+      (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+      (fromTime === null || time >= fromTime) &&
+      (toTime === null || time <= toTime);
+  });
+
+  // الأحدث أولاً
+  matches.reverse();
+  return {
+    total: matches.length,
+    entries: matches.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  AUDIT_LOG_FILE,
+  loadAuditLog,
+  snapshotLicense,
+  recordAudit,
+  queryAudit
+};
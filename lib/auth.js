@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { errorBody } = require('./i18n');
+const { logger } = require('./logger');
+
+const ADMINS_FILE = path.join(__dirname, '..', 'admins.json');
+const SESSION_TTL_MS = (Number(process.env.ADMIN_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+// محاولات الدخول الفاشلة المسموح بها لكل اسم مستخدم قبل القفل المؤقت
+const ADMIN_MAX_FAILED_LOGINS = Number(process.env.ADMIN_MAX_FAILED_LOGINS) || 5;
+const ADMIN_LOCKOUT_MS = (Number(process.env.ADMIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// الأدوار مرتبة من الأقل صلاحية إلى الأعلى
+const ROLES = ['viewer', 'support', 'owner'];
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${derived}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return false;
+  }
+
+  const [scheme, salt, expected] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const derived = crypto.scryptSync(password, salt, expectedBuffer.length);
+  return crypto.timingSafeEqual(derived, expectedBuffer);
+}
+
+function loadAdmins(file = ADMINS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const admins = {};
+      entries.forEach(([username, admin]) => {
+        admins[username] = admin;
+      });
+      return admins;
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return {};
+}
+
+function saveAdmins(admins, file = ADMINS_FILE) {
+  try {
+    const entries = Object.entries(admins).map(([username, admin]) => [username, admin]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2), { mode: 0o600 });
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+// إنشاء أول حساب owner من متغيرات البيئة إذا لم يوجد أي مسؤول
+function ensureBootstrapAdmin(admins, {
+  username = process.env.ADMIN_USERNAME,
+  password = process.env.ADMIN_PASSWORD,
+  file = ADMINS_FILE
+} = {}) {
+  if (Object.keys(admins).length > 0) {
+    return false;
+  }
+
+  if (!username || !password) {
+    logger.warn('noAdmins');
+    return false;
+  }
+
+  admins[username] = {
+    passwordHash: hashPassword(password),
+    role: 'owner',
+    createdAt: new Date().toISOString()
+  };
+  saveAdmins(admins, file);
+  logger.info('adminCreated', { username });
+  return true;
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasRole(actualRole, requiredRole) {
+  return ROLES.indexOf(actualRole) >= ROLES.indexOf(requiredRole);
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+  return token;
+}
+
+/*
+ * جلسات المسؤولين لكل تطبيق على حدة (createApp)، فلا تصلح جلسة تطبيق في تطبيق آخر
+ *   create(username, role) -> { token, expiresAt }
+ *   destroy(token) و revoke(username)
+ *   authenticate و requireRole(role) للمسارات
+ */
+function createSessionStore({ ttlMs = SESSION_TTL_MS, clock = () => new Date() } = {}) {
+  // token -> { username, role, expiresAt }
+  const sessions = new Map();
+
+  function create(username, role) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = clock().getTime() + ttlMs;
+    sessions.set(token, { username, role, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function destroy(token) {
+    sessions.delete(token);
+  }
+
+  // إلغاء كل جلسات مسؤول (عند حذفه أو تغيير دوره أو كلمة مروره)
+  function revoke(username) {
+    for (const [token, session] of sessions) {
+      if (session.username === username) {
+        sessions.delete(token);
+      }
+    }
+  }
+
+  function authenticate(req, res, next) {
+    const token = getBearerToken(req);
+    const session = token && sessions.get(token);
+
+    if (!session) {
+      return res.status(401).json(errorBody(req, 'AUTH_REQUIRED'));
+    }
+
+    if (session.expiresAt < clock().getTime()) {
+      sessions.delete(token);
+      return res.status(401).json(errorBody(req, 'SESSION_EXPIRED'));
+    }
+
+    req.admin = { username: session.username, role: session.role, token };
+    next();
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      authenticate(req, res, () => {
+        if (!hasRole(req.admin.role, role)) {
+          return res.status(403).json(errorBody(req, 'INSUFFICIENT_PERMISSIONS'));
+        }
+        next();
+      });
+    };
+  }
+
+  return { create, destroy, revoke, authenticate, requireRole };
+}
+
+/*
+ * قفل مؤقت بعد محاولات دخول فاشلة متتالية لكل اسم مستخدم
+ * الأسماء غير الموجودة تُقفل بنفس الطريقة حتى لا يكشف القفل أي الأسماء موجودة
+ *   lockedUntil(username) -> Date أو null
+ *   fail(username) -> Date عند بدء القفل أو null، و succeed(username)
+ */
+function createLoginThrottle({
+  maxFailures = ADMIN_MAX_FAILED_LOGINS,
+  lockoutMs = ADMIN_LOCKOUT_MS,
+  clock = () => new Date()
+} = {}) {
+  // username -> { count, lastFailureAt, lockedUntil }
+  const failures = new Map();
+
+  // المحاولات الأقدم من مدة القفل تُنسى حتى لا تكبر الذاكرة
+  function forgetOld(now) {
+    for (const [username, entry] of failures) {
+      if (entry.lockedUntil <= now && now - entry.lastFailureAt >= lockoutMs) {
+        failures.delete(username);
+      }
+    }
+  }
+
+  function lockedUntil(username) {
+    const entry = failures.get(username);
+    return entry && entry.lockedUntil > clock().getTime() ? new Date(entry.lockedUntil) : null;
+  }
+
+  function fail(username) {
+    const now = clock().getTime();
+    forgetOld(now);
+    const entry = failures.get(username) || { count: 0, lastFailureAt: now, lockedUntil: 0 };
+    entry.count++;
+    entry.lastFailureAt = now;
+    failures.set(username, entry);
+    if (entry.count < maxFailures) {
+      return null;
+    }
+    entry.count = 0;
+    entry.lockedUntil = now + lockoutMs;
+    return new Date(entry.lockedUntil);
+  }
+
+  function succeed(username) {
+    failures.delete(username);
+  }
+
+  return { lockedUntil, fail, succeed };
+}
+
+module.exports = {
+  ADMINS_FILE,
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  loadAdmins,
+  saveAdmins,
+  ensureBootstrapAdmin,
+  isValidRole,
+  createSessionStore,
+  createLoginThrottle
+};
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { HASH_PATTERN, validateLicenseRecord, isEssentialError } = require('./schema');
+const { isCustomerId } = require('./customers');
+const { logger } = require('./logger');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 14;
+// 0 يوقف النسخ المجدول، والنسخ اليدوي يبقى متاحاً
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS !== undefined
+  ? Number(process.env.BACKUP_INTERVAL_HOURS)
+  : 24;
+
+// licenses-2026-01-01T00-00-00-000Z-manual.json.gz
+const SNAPSHOT_NAME = /^licenses-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(scheduled|manual|pre-restore)\.json\.gz$/;
+
+function snapshotName(time, kind) {
+  return `licenses-${new Date(time).toISOString().replace(/[:.]/g, '-')}-${kind}.json.gz`;
+}
+
+function parseSnapshotName(file) {
+  const match = SNAPSHOT_NAME.exec(file);
+  if (!match) {
+    return null;
+  }
+  const createdAt = match[1].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+  return { createdAt, kind: match[2] };
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ملف الـ checksum بصيغة sha256sum، فيمكن التحقق منه أيضاً بـ sha256sum -c
+function readChecksum(file) {
+  if (!fs.existsSync(`${file}.sha256`)) {
+    return null;
+  }
+  return fs.readFileSync(`${file}.sha256`, 'utf-8').trim().split(/\s+/)[0];
+}
+
+function isEntryList(entries) {
+  return Array.isArray(entries) && entries.every(entry =>
+    Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string' && entry[1] && typeof entry[1] === 'object');
+}
+
+// النسخ القديمة مصفوفة رخص فقط، والعملاء والخطط فيها تبقى كما هي عند الاستعادة
+function snapshotContents(data) {
+  if (Array.isArray(data)) {
+    return { licenses: data, customers: null, plans: null };
+  }
+  const { licenses, customers = null, plans = null } = data && typeof data === 'object' ? data : {};
+  return { licenses, customers, plans };
+}
+
+/*
+ * كل مشكلة { hash, code, params } بنفس رموز التحقق من الطلبات
+ * current { customers, plans } يُستخدم للمراجع عندما لا تحتوي النسخة عليها
+ * يعيد { problems, restorable, skipped }:
+ *   problems تمنع الاستعادة كلها، مثل رخصة تشير إلى عميل غير موجود
+ *   skipped سجلات لا يحملها السيرفر عند التشغيل أيضاً، فلا تُستعاد ويُبلّغ عنها كما يفعل loadLicenses
+ */
+function checkSnapshot(contents, current) {
+  const { licenses: entries } = contents;
+  if (!Array.isArray(entries)) {
+    return { problems: [{ hash: null, code: 'FIELD_ARRAY', params: { field: 'snapshot' } }] };
+  }
+
+  const problems = [];
+  ['customers', 'plans'].forEach(field => {
+    if (contents[field] !== null && !isEntryList(contents[field])) {
+      problems.push({ hash: null, code: 'FIELD_ARRAY', params: { field: `snapshot.${field}` } });
+    }
+  });
+  if (problems.length > 0) {
+    return { problems };
+  }
+  const customerIds = new Set((contents.customers || current.customers).map(([id]) => id));
+  const planIds = new Set((contents.plans || current.plans).map(([id]) => id));
+
+  const restorable = [];
+  const skipped = [];
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    if (!Array.isArray(entry) || entry.length !== 2 || typeof entry[0] !== 'string') {
+      skipped.push({ hash: null, code: 'FIELD_ARRAY', params: { field: `snapshot[${index}]` } });
+      return;
+    }
+    const [hash, license] = entry;
+    if (!HASH_PATTERN.test(hash)) {
+      skipped.push({ hash, code: 'HASH_INVALID', params: {} });
+      return;
+    }
+    if (seen.has(hash)) {
+      skipped.push({ hash, code: 'DUPLICATE_HASH', params: { count: 2 } });
+      return;
+    }
+    seen.add(hash);
+    const essential = validateLicenseRecord(license).filter(isEssentialError);
+    if (essential.length > 0) {
+      essential.forEach(error => skipped.push({ hash, ...error }));
+      return;
+    }
+    restorable.push(entry);
+    // الأسماء القديمة في customerId يرحّلها السيرفر عند التشغيل، أما معرّف cus_ فيجب أن يشير إلى عميل
+    if (isCustomerId(license.customerId) && !customerIds.has(license.customerId)) {
+      problems.push({ hash, code: 'UNKNOWN_CUSTOMER', params: { field: 'customerId', customerId: license.customerId } });
+    }
+    if (license.planId && !planIds.has(license.planId)) {
+      problems.push({ hash, code: 'UNKNOWN_PLAN', params: { field: 'planId', planId: license.planId } });
+    }
+  });
+
+  // نسخة لا يصلح منها أي سجل لا تُستعاد، لأنها ستمسح كل الرخص
+  if (restorable.length === 0 && skipped.length > 0) {
+    return { problems: skipped };
+  }
+  return { problems, restorable, skipped };
+}
+
+// عدد السجلات في النسخة، و null للعملاء والخطط في النسخ القديمة التي لا تحتويها
+function counts(contents) {
+  return {
+    licenses: contents.licenses.length,
+    customers: contents.customers ? contents.customers.length : null,
+    plans: contents.plans ? contents.plans.length : null
+  };
+}
+
+/*
+ * createBackups({ dir, keep, intervalHours, getData, clock })
+ *   getData() -> { licenses, customers, plans } كل منها مصفوفة [id, record] كما في ملفاتها
+ * النسخة ملف JSON مضغوط بـ gzip، ومعه ملف .sha256
+ */
+function createBackups({
+  dir = BACKUP_DIR,
+  keep = BACKUP_KEEP,
+  intervalHours = BACKUP_INTERVAL_HOURS,
+  getData,
+  clock = () => new Date()
+}) {
+  const intervalMs = intervalHours * 60 * 60 * 1000;
+  let timer = null;
+  let initialRun = null;
+
+  // الأحدث أولاً
+  function list() {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .map(file => ({ file, parsed: parseSnapshotName(file) }))
+      .filter(({ parsed }) => parsed)
+      .map(({ file, parsed }) => ({
+        file,
+        kind: parsed.kind,
+        createdAt: parsed.createdAt,
+        size: fs.statSync(path.join(dir, file)).size,
+        sha256: readChecksum(path.join(dir, file))
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // يحذف الأقدم بعد أحدث keep نسخة من كل نوع، فلا تزيح النسخ اليدوية النسخ المجدولة
+  function prune() {
+    const counts = {};
+    const removed = list().filter(({ kind }) => {
+      counts[kind] = (counts[kind] || 0) + 1;
+      return counts[kind] > keep;
+    });
+    removed.forEach(({ file }) => {
+      fs.rmSync(path.join(dir, file), { force: true });
+      fs.rmSync(path.join(dir, `${file}.sha256`), { force: true });
+    });
+    if (removed.length > 0) {
+      logger.info('backupsPruned', { count: removed.length });
+    }
+    return removed.map(({ file }) => file);
+  }
+
+  function snapshot(kind = 'manual') {
+    const contents = getData();
+    const data = zlib.gzipSync(JSON.stringify(contents));
+    const checksum = sha256(data);
+
+    fs.mkdirSync(dir, { recursive: true });
+    // نسختان في نفس الجزء من الثانية تأخذان اسمين مختلفين
+    let time = clock().getTime();
+    while (fs.existsSync(path.join(dir, snapshotName(time, kind)))) {
+      time++;
+    }
+    const file = snapshotName(time, kind);
+    // النسخ تحتوي hash كلمات مرور مستخدمي العيادات
+    writeFileAtomic(path.join(dir, file), data, { mode: 0o600 });
+    writeFileAtomic(path.join(dir, `${file}.sha256`), `${checksum}  ${file}\n`, { mode: 0o600 });
+
+    logger.info('backupCreated', { file, count: contents.licenses.length });
+    const pruned = prune();
+    return {
+      file,
+      kind,
+      createdAt: new Date(time).toISOString(),
+      size: data.length,
+      sha256: checksum,
+      ...counts(contents),
+      pruned
+    };
+  }
+
+  // قراءة نسخة والتحقق منها كاملة قبل أي استعادة
+  // يعيد { error: { code, params }, problems? } أو { backup, contents, skipped }
+  // و contents.licenses فيها السجلات التي تُستعاد فقط
+  function read(file) {
+    const parsed = parseSnapshotName(file);
+    const fullPath = path.join(dir, file);
+    if (!parsed || !fs.existsSync(fullPath)) {
+      return { error: { code: 'BACKUP_NOT_FOUND', params: { file } } };
+    }
+
+    const data = fs.readFileSync(fullPath);
+    const expected = readChecksum(fullPath);
+    if (!expected) {
+      return { error: { code: 'BACKUP_CHECKSUM_MISSING', params: { file } } };
+    }
+    if (sha256(data) !== expected) {
+      return { error: { code: 'BACKUP_CHECKSUM_MISMATCH', params: { file } } };
+    }
+
+    let contents;
+    try {
+      contents = snapshotContents(JSON.parse(zlib.gunzipSync(data).toString('utf-8')));
+    } catch (err) {
+      return { error: { code: 'BACKUP_UNREADABLE', params: { file } } };
+    }
+
+    const { problems, restorable, skipped } = checkSnapshot(contents, getData());
+    if (problems.length > 0) {
+      return { error: { code: 'BACKUP_INVALID', params: { file, count: problems.length } }, problems };
+    }
+
+    const restored = { ...contents, licenses: restorable };
+    return {
+      backup: { file, ...parsed, size: data.length, sha256: expected, ...counts(restored), skipped: skipped.length },
+      contents: restored,
+      skipped
+    };
+  }
+
+  function runScheduled() {
+    try {
+      snapshot('scheduled');
+    } catch (err) {
+      logger.error('backupFailed', { err });
+    }
+  }
+
+  // نسخة أولى عند التشغيل إذا كانت آخر نسخة مجدولة أقدم من المدة
+  function start() {
+    if (timer || !(intervalMs > 0)) {
+      return false;
+    }
+    timer = setInterval(runScheduled, intervalMs);
+    timer.unref();
+    const last = list().find(backup => backup.kind === 'scheduled');
+    if (!last || clock() - new Date(last.createdAt) >= intervalMs) {
+      initialRun = setImmediate(runScheduled);
+    }
+    return true;
+  }
+
+  function stop() {
+    clearInterval(timer);
+    clearImmediate(initialRun);
+    timer = null;
+  }
+
+  return {
+    dir,
+    keep,
+    intervalHours,
+    list,
+    snapshot,
+    prune,
+    read,
+    start,
+    stop,
+    isRunning: () => timer !== null
+  };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  createBackups
+};
@@ -0,0 +1,84 @@
+// CSV متوافق مع Excel: UTF-8 مع BOM وفواصل أسطر CRLF
+const BOM = '﻿';
+
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  // منع تنفيذ الصيغ عند فتح الملف في Excel
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  });
+  return BOM + lines.join('\r\n') + '\r\n';
+}
+
+// يعيد مصفوفة كائنات حسب سطر العناوين
+function parseCsv(text) {
+  const input = String(text || '').replace(/^﻿/, '');
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(fields => fields.some(field => field.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = nonEmpty[0].map(column => column.trim());
+  const rows = nonEmpty.slice(1).map(fields => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = (fields[index] || '').trim();
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+module.exports = { toCsv, parseCsv };
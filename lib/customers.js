@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { logger } = require('./logger');
+
+const CUSTOMERS_FILE = path.join(__dirname, '..', 'customers.json');
+const CODE_MAX_LENGTH = 10;
+
+// الحقول القابلة للتعديل من لوحة التحكم
+const CUSTOMER_SCHEMA = {
+  clinicName: { type: 'string', required: true, nonEmpty: true },
+  contactName: { type: 'string', nullable: true },
+  email: { type: 'string', format: 'email', nullable: true },
+  phone: { type: 'string', format: 'phone', nullable: true },
+  address: { type: 'string', nullable: true },
+  taxId: { type: 'string', nullable: true },
+  notes: { type: 'string', nullable: true },
+  // يجب أن يبقى حرف أو رقم بعد sanitizeCode (البادئة VET- وحدها لا تكفي)
+  code: { type: 'string', pattern: /^(?!(vet-)+$).*[a-z0-9]/i, code: 'CUSTOMER_CODE_INVALID' }
+};
+const CUSTOMER_FIELDS = Object.keys(CUSTOMER_SCHEMA);
+
+// بدون prototype حتى لا تمر مفاتيح موروثة مثل constructor كعملاء موجودين
+function loadCustomers(file = CUSTOMERS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const customers = Object.create(null);
+      entries.forEach(([id, customer]) => {
+        customers[id] = customer;
+      });
+      return customers;
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return Object.create(null);
+}
+
+function saveCustomers(customers, file = CUSTOMERS_FILE) {
+  try {
+    const entries = Object.entries(customers).map(([id, customer]) => [id, customer]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2));
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+function generateCustomerId() {
+  return `cus_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// ما عدا ذلك اسم حر من رخصة قديمة لم يُرحّل بعد
+function isCustomerId(value) {
+  return /^cus_[0-9a-f]+$/.test(value);
+}
+
+// رمز قصير آمن للاستخدام داخل مفتاح الرخصة: حروف إنجليزية وأرقام فقط
+// يحذف البادئة VET- المكررة التي ظهرت في مفاتيح قديمة مثل VET-VET-VET-CLINIC-...
+function sanitizeCode(value) {
+  const cleaned = String(value || '')
+    .toUpperCase()
+    .replace(/^(VET-)+/, '')
+    .replace(/[^A-Z0-9]/g, '');
+  return cleaned.substring(0, CODE_MAX_LENGTH);
+}
+
+// يضيف رقماً عند التكرار: KHALED, KHALED2, KHALED3...
+function uniqueCode(customers, value, exceptId = null) {
+  const base = sanitizeCode(value) || 'CLINIC';
+  const taken = new Set(Object.entries(customers)
+    .filter(([id]) => id !== exceptId)
+    .map(([, customer]) => customer.code));
+
+  let code = base;
+  for (let n = 2; taken.has(code); n++) {
+    code = `${base.substring(0, CODE_MAX_LENGTH - String(n).length)}${n}`;
+  }
+  return code;
+}
+
+// مفتاح تجميع الاسم القديم: الاسم كاملاً بدون حالة الأحرف والبادئة VET- والرموز
+// بدون قص إلى CODE_MAX_LENGTH حتى لا تُدمج عيادات تبدأ بنفس الاسم
+function legacyGroupKey(legacyId) {
+  const normalized = legacyId.trim().toLowerCase().replace(/^(vet-)+/, '');
+  return normalized.replace(/[^a-z0-9]/g, '') || normalized;
+}
+
+// ترحيل الرخص القديمة التي تحمل اسماً حراً في customerId
+// الأسماء المتشابهة (اختلاف حالة الأحرف أو بادئة VET- مكررة) تُجمع في عميل واحد
+// والرمز يُشتق بعد التجميع، مع رقم عند التكرار (HAPPYPAWSC, HAPPYPAWS2)
+function migrateLegacyCustomers(customers, licenses) {
+  const byLegacyName = Object.create(null);
+  Object.entries(customers).forEach(([id, customer]) => {
+    (customer.legacyIds || []).forEach(legacyId => {
+      byLegacyName[legacyGroupKey(legacyId)] = id;
+    });
+  });
+
+  const migrated = [];
+  let created = 0;
+
+  Object.entries(licenses).forEach(([hash, license]) => {
+    const legacyId = license.customerId;
+    if (!legacyId || Object.prototype.hasOwnProperty.call(customers, legacyId)) {
+      return;
+    }
+
+    // النسخ التجريبية بدون عميل حقيقي
+    if (license.type === 'trial' && legacyId.startsWith('trial-')) {
+      license.customerId = null;
+      migrated.push([hash, license]);
+      return;
+    }
+
+    const groupKey = legacyGroupKey(legacyId);
+    let customerId = byLegacyName[groupKey];
+
+    if (!customerId) {
+      customerId = generateCustomerId();
+      const now = new Date().toISOString();
+      customers[customerId] = {
+        clinicName: legacyId.replace(/^(VET-)+/i, ''),
+        code: uniqueCode(customers, legacyId),
+        contactName: null,
+        email: license.contactEmail || null,
+        phone: license.contactPhone || null,
+        address: null,
+        taxId: null,
+        notes: null,
+        legacyIds: [],
+        createdAt: license.created || now,
+        updatedAt: now
+      };
+      byLegacyName[groupKey] = customerId;
+      created++;
+    }
+
+    const customer = customers[customerId];
+    if (!customer.legacyIds.includes(legacyId)) {
+      customer.legacyIds.push(legacyId);
+    }
+    customer.email = customer.email || license.contactEmail || null;
+    customer.phone = customer.phone || license.contactPhone || null;
+
+    license.customerId = customerId;
+    delete license.contactEmail;
+    delete license.contactPhone;
+    migrated.push([hash, license]);
+  });
+
+  return { migrated, created };
+}
+
+module.exports = {
+  CUSTOMERS_FILE,
+  CUSTOMER_SCHEMA,
+  CUSTOMER_FIELDS,
+  loadCustomers,
+  saveCustomers,
+  generateCustomerId,
+  isCustomerId,
+  sanitizeCode,
+  uniqueCode,
+  migrateLegacyCustomers
+};
@@ -0,0 +1,121 @@
+const DEFAULT_MAX_DEVICES = 1;
+const TRANSFER_COOLDOWN_DAYS = Number(process.env.DEVICE_TRANSFER_COOLDOWN_DAYS) || 30;
+
+// الرخص القديمة تحتوي على boundDeviceId واحد فقط، نحوله إلى مصفوفة devices
+function normalizeDevices(license) {
+  if (!Array.isArray(license.devices)) {
+    license.devices = [];
+  }
+
+  if (license.boundDeviceId) {
+    if (!license.devices.find(d => d.deviceId === license.boundDeviceId)) {
+      license.devices.push({
+        deviceId: license.boundDeviceId,
+        hostname: null,
+        firstSeen: license.created || null,
+        lastSeen: null
+      });
+    }
+  }
+  delete license.boundDeviceId;
+
+  if (!license.maxDevices) {
+    license.maxDevices = Math.max(DEFAULT_MAX_DEVICES, license.devices.length);
+  }
+  return license;
+}
+
+function findDevice(license, deviceId) {
+  return (license.devices || []).find(d => d.deviceId === deviceId);
+}
+
+// تسجيل الجهاز في مقعد متاح أو تحديث آخر ظهور له
+function registerDevice(license, deviceId, hostname, now = new Date()) {
+  normalizeDevices(license);
+
+  const existing = findDevice(license, deviceId);
+  if (existing) {
+    existing.lastSeen = now.toISOString();
+    if (hostname) {
+      existing.hostname = hostname;
+    }
+    return { ok: true, device: existing, isNew: false };
+  }
+
+  if (license.devices.length >= license.maxDevices) {
+    return {
+      ok: false,
+      code: license.maxDevices === 1 ? 'DEVICE_MISMATCH' : 'DEVICE_LIMIT_REACHED'
+    };
+  }
+
+  const device = {
+    deviceId,
+    hostname: hostname || null,
+    firstSeen: now.toISOString(),
+    lastSeen: now.toISOString()
+  };
+  license.devices.push(device);
+  return { ok: true, device, isNew: true };
+}
+
+function releaseDevice(license, deviceId) {
+  normalizeDevices(license);
+
+  const index = license.devices.findIndex(d => d.deviceId === deviceId);
+  if (index === -1) {
+    return null;
+  }
+  return license.devices.splice(index, 1)[0];
+}
+
+// نقل مقعد من جهاز قديم إلى جهاز جديد مع فترة انتظار بين كل نقل
+function transferDevice(license, { deviceId, hostname, replaceDeviceId }, now = new Date()) {
+  normalizeDevices(license);
+
+  if (findDevice(license, deviceId)) {
+    return { ok: false, code: 'DEVICE_ALREADY_REGISTERED' };
+  }
+
+  if (license.lastDeviceTransferAt) {
+    const nextAllowed = new Date(new Date(license.lastDeviceTransferAt).getTime() +
+      TRANSFER_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+    if (nextAllowed > now) {
+      return {
+        ok: false,
+        code: 'TRANSFER_COOLDOWN',
+        nextTransferAt: nextAllowed.toISOString()
+      };
+    }
+  }
+
+  let released = null;
+  if (replaceDeviceId) {
+    released = releaseDevice(license, replaceDeviceId);
+    if (!released) {
+      return { ok: false, code: 'REPLACE_DEVICE_NOT_FOUND' };
+    }
+  } else if (license.devices.length >= license.maxDevices) {
+    // بدون تحديد، نحرر الجهاز الأقدم ظهوراً
+    const oldest = [...license.devices].sort((a, b) =>
+      new Date(a.lastSeen || a.firstSeen || 0) - new Date(b.lastSeen || b.firstSeen || 0))[0];
+    released = releaseDevice(license, oldest.deviceId);
+  }
+
+  const result = registerDevice(license, deviceId, hostname, now);
+  if (!result.ok) {
+    return result;
+  }
+
+  license.lastDeviceTransferAt = now.toISOString();
+  return { ok: true, device: result.device, released };
+}
+
+module.exports = {
+  TRANSFER_COOLDOWN_DAYS,
+  normalizeDevices,
+  findDevice,
+  registerDevice,
+  releaseDevice,
+  transferDevice
+};
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { isTrial } = require('./trials');
+const { isCustomerId } = require('./customers');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+const { HASH_PATTERN, validateLicenseRecord, isEssentialError } = require('./schema');
+
+const ROUTE_TIMEOUT_MS = 5000;
+// ملفات تحتوي كلمات مرور أو مفاتيح توقيع أو أسرار webhooks
+const SECRET_FILES = ['admins', 'signingKeys', 'webhooks'];
+
+// severity: error يفشل الفحص، warning يُبلغ عنه فقط
+function problem(lang, severity, code, params = {}, hash) {
+  return {
+    severity,
+    code,
+    ...(hash ? { hash } : {}),
+    params,
+    message: translate(code, lang, params)
+  };
+}
+
+function checkResult(name, problems, extra = {}) {
+  let status = 'pass';
+  if (problems.some(item => item.severity === 'error')) {
+    status = 'fail';
+  } else if (problems.length > 0) {
+    status = 'warn';
+  }
+  return { name, status, ...extra, problems };
+}
+
+// المسارات المسجلة في التطبيق وفي كل router مركب عليه
+function listRoutes(app) {
+  const routes = [];
+  const collect = stack => stack.forEach(layer => {
+    if (layer.route) {
+      Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+        routes.push({ method: method.toUpperCase(), path: layer.route.path });
+      });
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      collect(layer.handle.stack);
+    }
+  });
+  collect(app._router.stack);
+  return routes;
+}
+
+// كل مسار يجب أن يرد بأقل من 500: طلبات GET بجلسة viewer مؤقتة وغيرها بدون جلسة وبجسم فارغ
+// فلا يتغير أي شيء في البيانات، وطلبات الفحص تُسجل بمستوى debug فقط (req.diagnosticsProbe)
+async function checkRoutes(app, sessions, lang) {
+  const routes = listRoutes(app);
+  const session = sessions.create('diagnostics', 'viewer');
+  const server = await new Promise((resolve, reject) => {
+    const listening = http.createServer((req, res) => {
+      req.diagnosticsProbe = true;
+      app(req, res);
+    });
+    listening.listen(0, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const problems = [];
+
+  try {
+    for (const { method, path: route } of routes) {
+      const isRead = method === 'GET';
+      try {
+        const response = await fetch(base + route.replace(/:\w+/g, 'diagnostics'), {
+          method,
+          headers: {
+            'X-Request-Id': 'diagnostics',
+            ...(isRead ? { Authorization: `Bearer ${session.token}` } : { 'Content-Type': 'application/json' })
+          },
+          body: isRead ? undefined : '{}',
+          signal: AbortSignal.timeout(ROUTE_TIMEOUT_MS)
+        });
+        await response.arrayBuffer();
+        if (response.status >= 500) {
+          problems.push(problem(lang, 'error', 'ROUTE_FAILED', { method, path: route, error: `HTTP ${response.status}` }));
+        }
+      } catch (err) {
+        problems.push(problem(lang, 'error', 'ROUTE_FAILED', { method, path: route, error: err.message }));
+      }
+    }
+  } finally {
+    sessions.destroy(session.token);
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  }
+
+  return checkResult('routes', problems, { total: routes.length });
+}
+
+// نفس الوصف الذي يطبقه loadLicenses: خطأ في حقل أساسي يعني أن السجل لم يُحمّل في الذاكرة
+// وخطأ في غيره تحذير فقط لأن الرخصة تعمل. أخطاء التواريخ تُعرض في فحص dates
+function validateEntries(entries) {
+  return entries.map(([hash, license]) => [hash, license, validateLicenseRecord(license)]);
+}
+
+function checkRecords(validated, { customers, plans }, lang) {
+  const problems = [];
+
+  validated.forEach(([hash, license, errors]) => {
+    const report = (code, params) => problems.push(problem(lang, 'error', code, params, hash));
+    // ترحيل يجريه السيرفر عند التشغيل، ويظهر هنا فقط مع --check قبل أول تشغيل
+    const pending = field => problems.push(problem(lang, 'warning', 'MIGRATION_PENDING', { field }, hash));
+    errors.filter(error => error.code !== 'FIELD_DATE').forEach(error => {
+      const severity = isEssentialError(error) ? 'error' : 'warning';
+      problems.push(problem(lang, severity, error.code, error.params, hash));
+    });
+    if (!license || typeof license !== 'object') {
+      return;
+    }
+
+    if (typeof license.key === 'string') {
+      pending('key');
+    }
+    if (typeof license.maskedKey === 'string' && !license.maskedKey.includes('****')) {
+      report('KEY_NOT_MASKED', {});
+    }
+    // النسخ التجريبية فقط يمكن أن تكون بدون عميل
+    if (!license.customerId && !isTrial(license)) {
+      report('FIELD_REQUIRED', { field: 'customerId' });
+    } else if (license.customerId && !customers[license.customerId]) {
+      if (isCustomerId(license.customerId)) {
+        report('UNKNOWN_CUSTOMER', { customerId: license.customerId });
+      } else {
+        pending('customerId');
+      }
+    }
+    if (license.planId && !plans[license.planId]) {
+      report('UNKNOWN_PLAN', { planId: license.planId });
+    }
+  });
+
+  return checkResult('records', problems, { checked: validated.length });
+}
+
+// صفوف مستخدمين أو أجهزة بدون رخصة في المخزن، ومستخدم مكرر في نفس الرخصة (الثاني لا يمكنه الدخول أبداً)
+function checkOrphanedUsers(entries, orphans, lang) {
+  const problems = orphans.map(orphan => problem(lang, 'warning', 'ORPHANED_RECORD', {
+    table: orphan.table,
+    subject: orphan.subject
+  }, orphan.licenseHash));
+
+  entries.forEach(([hash, license]) => {
+    const counts = {};
+    ((license && Array.isArray(license.users)) ? license.users : []).forEach(user => {
+      if (user && user.username) {
+        counts[user.username] = (counts[user.username] || 0) + 1;
+      }
+    });
+    Object.entries(counts).filter(([, count]) => count > 1).forEach(([username, count]) => {
+      problems.push(problem(lang, 'error', 'DUPLICATE_USERNAME', { username, count }, hash));
+    });
+  });
+
+  return checkResult('orphanedUsers', problems);
+}
+
+function checkDuplicateKeys(entries, lang) {
+  const problems = [];
+  const hashes = {};
+  const masked = {};
+
+  entries.forEach(([hash, license]) => {
+    hashes[hash] = (hashes[hash] || 0) + 1;
+    if (license && license.maskedKey) {
+      masked[license.maskedKey] = masked[license.maskedKey] || new Set();
+      masked[license.maskedKey].add(hash);
+    }
+  });
+
+  Object.entries(hashes).filter(([, count]) => count > 1).forEach(([hash, count]) => {
+    problems.push(problem(lang, 'error', 'DUPLICATE_HASH', { count }, hash));
+  });
+  // تشابه المفتاح المقنّع ممكن نادراً، لكنه يربك الدعم الفني عند البحث
+  Object.entries(masked).filter(([, set]) => set.size > 1).forEach(([maskedKey, set]) => {
+    problems.push(problem(lang, 'warning', 'DUPLICATE_MASKED_KEY', { maskedKey, count: set.size }));
+  });
+
+  return checkResult('duplicateKeys', problems);
+}
+
+function checkDates(validated, lang) {
+  const problems = [];
+  validated.forEach(([hash, , errors]) => {
+    errors.filter(error => error.code === 'FIELD_DATE').forEach(error => {
+      problems.push(problem(lang, isEssentialError(error) ? 'error' : 'warning', error.code, error.params, hash));
+    });
+  });
+  return checkResult('dates', problems);
+}
+
+// المفتاح الكامل لا يُخزن، لذلك تُقارن فقط السجلات القديمة التي كانت تحمله عند التحميل
+function checkHashes(entries, keyCheck, lang) {
+  const problems = [];
+
+  entries.forEach(([hash]) => {
+    if (!HASH_PATTERN.test(hash)) {
+      problems.push(problem(lang, 'error', 'HASH_INVALID', {}, hash));
+    }
+  });
+  keyCheck.mismatches.forEach(hash => {
+    problems.push(problem(lang, 'error', 'HASH_MISMATCH', {}, hash));
+  });
+
+  return checkResult('hashes', problems, { checked: entries.length, withKey: keyCheck.checked });
+}
+
+function checkFiles(files, lang) {
+  const problems = [];
+  const details = Object.entries(files).map(([name, file]) => {
+    const label = path.basename(file);
+    if (!fs.existsSync(file)) {
+      try {
+        fs.accessSync(path.dirname(file), fs.constants.W_OK);
+      } catch (err) {
+        problems.push(problem(lang, 'error', 'DIRECTORY_NOT_WRITABLE', { file: label }));
+      }
+      return { name, file, exists: false };
+    }
+
+    const mode = (fs.statSync(file).mode & 0o777).toString(8);
+    try {
+      fs.accessSync(file, fs.constants.R_OK | fs.constants.W_OK);
+    } catch (err) {
+      problems.push(problem(lang, 'error', 'FILE_NOT_WRITABLE', { file: label }));
+    }
+    if (SECRET_FILES.includes(name) && (parseInt(mode, 8) & 0o077) !== 0) {
+      problems.push(problem(lang, 'warning', 'FILE_TOO_OPEN', { file: label, mode }));
+    }
+    return { name, file, exists: true, mode };
+  });
+
+  return checkResult('files', problems, { files: details });
+}
+
+function buildReport(checks, clock, extra = {}) {
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  checks.forEach(check => {
+    summary[check.status]++;
+  });
+  return {
+    ok: summary.fail === 0,
+    generatedAt: clock().toISOString(),
+    ...extra,
+    summary,
+    checks
+  };
+}
+
+/*
+ * runDiagnostics({ app, sessions, store, customers, plans, files, keyCheck, clock, lang })
+ *   app و sessions اختياريان، وبدونهما لا تُفحص المسارات
+ *   -> { ok, generatedAt, storage, summary, checks: [{ name, status: pass|warn|fail, problems }] }
+ * السجلات تُقرأ من المخزن كما هي (store.inspect) وليس من الذاكرة
+ */
+async function runDiagnostics({
+  app,
+  sessions,
+  store,
+  customers,
+  plans,
+  files,
+  keyCheck = { checked: 0, mismatches: [] },
+  clock = () => new Date(),
+  lang = DEFAULT_LANGUAGE
+}) {
+  const { entries, orphans } = store.inspect();
+  const validated = validateEntries(entries);
+  const checks = [];
+
+  if (app && sessions) {
+    checks.push(await checkRoutes(app, sessions, lang));
+  }
+  checks.push(checkRecords(validated, { customers, plans }, lang));
+  checks.push(checkOrphanedUsers(entries, orphans, lang));
+  checks.push(checkDuplicateKeys(entries, lang));
+  checks.push(checkDates(validated, lang));
+  checks.push(checkHashes(entries, keyCheck, lang));
+  checks.push(checkFiles(store.file ? { ...files, licenses: store.file } : files, lang));
+
+  return buildReport(checks, clock, { storage: { driver: store.driver, licenses: entries.length } });
+}
+
+// تقرير فشل التشغيل نفسه، مثلاً عندما يحجز سيرفر آخر ملف الرخص
+function startupFailureReport(err, { clock = () => new Date(), lang = DEFAULT_LANGUAGE } = {}) {
+  return buildReport([
+    checkResult('startup', [problem(lang, 'error', 'STARTUP_FAILED', { error: err.message })])
+  ], clock);
+}
+
+module.exports = {
+  listRoutes,
+  runDiagnostics,
+  startupFailureReport
+};
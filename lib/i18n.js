@@ -0,0 +1,778 @@
+// رموز أخطاء ثابتة للبرامج مع رسائل مترجمة للبشر
+const SUPPORTED_LANGUAGES = ['en', 'ar'];
+const DEFAULT_LANGUAGE = pickSupported(process.env.DEFAULT_LANGUAGE) || 'en';
+const LOG_LANGUAGE = pickSupported(process.env.LOG_LANGUAGE) || 'ar';
+
+const MESSAGES = {
+  // عام
+  INTERNAL_ERROR: {
+    en: 'Internal server error',
+    ar: 'خطأ داخلي في الخادم'
+  },
+  NOT_FOUND: {
+    en: 'Endpoint not found',
+    ar: 'المسار غير موجود'
+  },
+  INVALID_JSON: {
+    en: 'Request body is not valid JSON',
+    ar: 'محتوى الطلب ليس JSON صالحاً'
+  },
+
+  // المصادقة والمسؤولون
+  AUTH_REQUIRED: {
+    en: 'Authentication required',
+    ar: 'يجب تسجيل الدخول'
+  },
+  SESSION_EXPIRED: {
+    en: 'Session expired',
+    ar: 'انتهت صلاحية الجلسة'
+  },
+  INSUFFICIENT_PERMISSIONS: {
+    en: 'Insufficient permissions',
+    ar: 'صلاحيات غير كافية'
+  },
+  INVALID_LOGIN: {
+    en: 'Invalid username or password',
+    ar: 'اسم المستخدم أو كلمة المرور غير صحيحة'
+  },
+  LOGIN_LOCKED: {
+    en: 'Too many failed logins, try again later',
+    ar: 'محاولات دخول فاشلة كثيرة، حاول لاحقاً'
+  },
+  ADMIN_NOT_FOUND: {
+    en: 'Admin not found',
+    ar: 'المسؤول غير موجود'
+  },
+  ADMIN_EXISTS: {
+    en: 'Admin already exists',
+    ar: 'المسؤول موجود مسبقاً'
+  },
+  INVALID_ROLE: {
+    en: 'Invalid role. Allowed roles: {allowed}',
+    ar: 'دور غير صالح. الأدوار المسموحة: {allowed}'
+  },
+  LAST_OWNER: {
+    en: 'Cannot demote the last owner',
+    ar: 'لا يمكن تخفيض صلاحية آخر مالك'
+  },
+  CANNOT_DELETE_SELF: {
+    en: 'Cannot delete your own account',
+    ar: 'لا يمكنك حذف حسابك'
+  },
+  BLOCK_NOT_FOUND: {
+    en: 'Block not found',
+    ar: 'الحظر غير موجود'
+  },
+  RATE_LIMITED: {
+    en: 'Too many requests',
+    ar: 'طلبات كثيرة جداً'
+  },
+  TEMPORARILY_BLOCKED: {
+    en: 'Temporarily blocked',
+    ar: 'محظور مؤقتاً'
+  },
+
+  // الرخص
+  LICENSE_NOT_FOUND: {
+    en: 'License not found',
+    ar: 'الرخصة غير موجودة'
+  },
+  LICENSE_EXPIRED: {
+    en: 'License expired',
+    ar: 'الرخصة منتهية الصلاحية'
+  },
+  LICENSE_INACTIVE: {
+    en: 'License is inactive',
+    ar: 'الرخصة معطلة'
+  },
+  LICENSE_ARCHIVED: {
+    en: 'License has been archived',
+    ar: 'الرخصة مؤرشفة'
+  },
+  LICENSE_NOT_ARCHIVED: {
+    en: 'License is not archived',
+    ar: 'الرخصة غير مؤرشفة'
+  },
+  BACKUP_NOT_FOUND: {
+    en: 'Backup not found: {file}',
+    ar: 'النسخة الاحتياطية غير موجودة: {file}'
+  },
+  BACKUP_CHECKSUM_MISSING: {
+    en: 'Backup {file} has no checksum file',
+    ar: 'لا يوجد ملف checksum للنسخة {file}'
+  },
+  BACKUP_CHECKSUM_MISMATCH: {
+    en: 'Backup {file} does not match its checksum',
+    ar: 'النسخة {file} لا تطابق الـ checksum الخاص بها'
+  },
+  BACKUP_UNREADABLE: {
+    en: 'Backup {file} could not be decompressed or parsed',
+    ar: 'تعذر فك ضغط النسخة {file} أو قراءتها'
+  },
+  BACKUP_INVALID: {
+    en: 'Backup {file} has {count} invalid record(s)',
+    ar: 'النسخة {file} تحتوي على {count} سجل غير صالح'
+  },
+  UNKNOWN_CUSTOMER: {
+    en: 'Unknown customer: {customerId}',
+    ar: 'عميل غير معروف: {customerId}'
+  },
+  UNKNOWN_CUSTOMER_CODE: {
+    en: 'Unknown customer code: {customerCode}',
+    ar: 'رمز عميل غير معروف: {customerCode}'
+  },
+  UNKNOWN_PLAN: {
+    en: 'Unknown plan: {planId}',
+    ar: 'خطة غير معروفة: {planId}'
+  },
+  TRIAL_REQUIRES_TRIAL_ENDPOINT: {
+    en: 'Trial licenses are issued through POST /api/trials',
+    ar: 'النسخ التجريبية تُصدر عبر POST /api/trials'
+  },
+  NOT_A_TRIAL: {
+    en: 'Only trial licenses can be converted',
+    ar: 'يمكن تحويل النسخ التجريبية فقط'
+  },
+  CONVERTED_TYPE_INVALID: {
+    en: 'Converted license type cannot be trial',
+    ar: 'لا يمكن أن يكون نوع الرخصة المحولة تجريبياً'
+  },
+  NO_REMINDER_CHANNELS: {
+    en: 'No reminder channels configured (REMINDER_CHANNELS)',
+    ar: 'لا توجد قنوات تنبيه مضبوطة (REMINDER_CHANNELS)'
+  },
+
+  // العمليات الجماعية والاستيراد
+  BATCH_TOO_LARGE: {
+    en: 'A batch can create at most {limit} licenses',
+    ar: 'الدفعة الواحدة لا تتجاوز {limit} رخصة'
+  },
+  BULK_TARGET_REQUIRED: {
+    en: 'Provide either hashes or filter',
+    ar: 'أرسل hashes أو filter وليس كليهما'
+  },
+  FILTER_EMPTY: {
+    en: 'filter must contain at least one condition',
+    ar: 'يجب أن يحتوي filter على شرط واحد على الأقل'
+  },
+  UNKNOWN_BULK_ACTION: {
+    en: 'Unknown bulk action: {action}',
+    ar: 'عملية جماعية غير معروفة: {action}'
+  },
+  CSV_REQUIRED: {
+    en: 'CSV content is required',
+    ar: 'محتوى CSV مطلوب'
+  },
+  CSV_CUSTOMER_COLUMN_REQUIRED: {
+    en: 'CSV must have a customerId or customerCode column',
+    ar: 'يجب أن يحتوي ملف CSV على عمود customerId أو customerCode'
+  },
+  UNKNOWN_COLUMNS: {
+    en: 'Unknown columns: {columns}',
+    ar: 'أعمدة غير معروفة: {columns}'
+  },
+  IMPORT_TOO_LARGE: {
+    en: 'At most {limit} rows can be imported at once',
+    ar: 'لا يمكن استيراد أكثر من {limit} صف دفعة واحدة'
+  },
+  IMPORT_INVALID_ROWS: {
+    en: 'Import has invalid rows',
+    ar: 'يحتوي الاستيراد على صفوف غير صالحة'
+  },
+
+  // مستخدمو الرخصة
+  USER_NOT_FOUND: {
+    en: 'User not found in license',
+    ar: 'المستخدم غير موجود في الرخصة'
+  },
+  USERS_NOT_FOUND: {
+    en: 'Users not found',
+    ar: 'المستخدمون غير موجودين'
+  },
+  USER_EXISTS: {
+    en: 'User already exists in this license',
+    ar: 'المستخدم موجود مسبقاً في هذه الرخصة'
+  },
+  USER_LIMIT_REACHED: {
+    en: 'User limit reached ({count}/{limit})',
+    ar: 'تم بلوغ الحد الأقصى للمستخدمين ({count}/{limit})'
+  },
+  NO_USERS_ASSIGNED: {
+    en: 'No users assigned to this license',
+    ar: 'لا يوجد مستخدمون في هذه الرخصة'
+  },
+  USER_NOT_ASSIGNED: {
+    en: 'User not assigned to this license',
+    ar: 'المستخدم غير مسجل في هذه الرخصة'
+  },
+  USER_INACTIVE: {
+    en: 'User is deactivated',
+    ar: 'المستخدم معطل'
+  },
+  USER_LOCKED: {
+    en: 'User is temporarily locked',
+    ar: 'المستخدم مقفل مؤقتاً'
+  },
+  INVALID_CREDENTIALS: {
+    en: 'Invalid credentials',
+    ar: 'بيانات الدخول غير صحيحة'
+  },
+  USER_NO_CREDENTIAL: {
+    en: 'User has no password or PIN set',
+    ar: 'لم يتم تعيين كلمة مرور أو PIN للمستخدم'
+  },
+  CREDENTIAL_CONFLICT: {
+    en: 'Provide either password or pin, not both',
+    ar: 'أرسل كلمة المرور أو PIN وليس كليهما'
+  },
+  CREDENTIAL_REQUIRED: {
+    en: 'Password or PIN is required',
+    ar: 'كلمة المرور أو PIN مطلوب'
+  },
+  PASSWORD_TOO_SHORT: {
+    en: 'Password must be at least {min} characters',
+    ar: 'يجب ألا تقل كلمة المرور عن {min} أحرف'
+  },
+  PIN_INVALID: {
+    en: 'PIN must be 4 to 8 digits',
+    ar: 'يجب أن يتكون PIN من 4 إلى 8 أرقام'
+  },
+
+  // الأجهزة والنسخ التجريبية
+  DEVICE_NOT_FOUND: {
+    en: 'Device not found in license',
+    ar: 'الجهاز غير موجود في الرخصة'
+  },
+  DEVICE_MISMATCH: {
+    en: 'License is bound to a different device',
+    ar: 'الرخصة مرتبطة بجهاز آخر'
+  },
+  DEVICE_LIMIT_REACHED: {
+    en: 'Device limit reached',
+    ar: 'تم بلوغ الحد الأقصى للأجهزة'
+  },
+  DEVICE_ALREADY_REGISTERED: {
+    en: 'Device is already registered to this license',
+    ar: 'الجهاز مسجل مسبقاً في هذه الرخصة'
+  },
+  TRANSFER_COOLDOWN: {
+    en: 'Device transfer cooldown is active',
+    ar: 'لا يمكن نقل الرخصة قبل انتهاء فترة الانتظار'
+  },
+  REPLACE_DEVICE_NOT_FOUND: {
+    en: 'Device to replace not found',
+    ar: 'الجهاز المطلوب استبداله غير موجود'
+  },
+  TRIAL_ALREADY_USED: {
+    en: 'Trial already used on this device',
+    ar: 'تم استخدام النسخة التجريبية على هذا الجهاز مسبقاً'
+  },
+  TRIAL_NOT_TRANSFERABLE: {
+    en: 'Trial licenses cannot be transferred',
+    ar: 'لا يمكن نقل النسخ التجريبية'
+  },
+
+  // الخطط والعملاء والـ webhooks
+  PLAN_NOT_FOUND: {
+    en: 'Plan not found',
+    ar: 'الخطة غير موجودة'
+  },
+  PLAN_EXISTS: {
+    en: 'Plan already exists',
+    ar: 'الخطة موجودة مسبقاً'
+  },
+  PLAN_ID_INVALID: {
+    en: 'Plan id must contain only lowercase letters, digits and dashes, and cannot be constructor',
+    ar: 'معرف الخطة يجب أن يحتوي على أحرف إنجليزية صغيرة وأرقام وشرطات فقط، ولا يمكن أن يكون constructor'
+  },
+  PLAN_IN_USE: {
+    en: 'Plan is used by {count} license(s)',
+    ar: 'الخطة مستخدمة في {count} رخصة'
+  },
+  CUSTOMER_NOT_FOUND: {
+    en: 'Customer not found',
+    ar: 'العميل غير موجود'
+  },
+  CUSTOMER_IN_USE: {
+    en: 'Customer has {count} license(s)',
+    ar: 'العميل مرتبط بـ {count} رخصة'
+  },
+  CUSTOMER_CODE_INVALID: {
+    en: 'code must contain letters or digits',
+    ar: 'يجب أن يحتوي code على أحرف أو أرقام'
+  },
+  WEBHOOK_NOT_FOUND: {
+    en: 'Webhook not found',
+    ar: 'الـ webhook غير موجود'
+  },
+  DELIVERY_NOT_FOUND: {
+    en: 'Delivery not found',
+    ar: 'محاولة التسليم غير موجودة'
+  },
+
+  // التحقق من الحقول
+  FIELD_REQUIRED: {
+    en: '{field} is required',
+    ar: 'الحقل {field} مطلوب'
+  },
+  FIELD_STRING: {
+    en: '{field} must be a string',
+    ar: 'يجب أن يكون {field} نصاً'
+  },
+  FIELD_BOOLEAN: {
+    en: '{field} must be a boolean',
+    ar: 'يجب أن يكون {field} قيمة منطقية'
+  },
+  FIELD_OBJECT: {
+    en: '{field} must be an object',
+    ar: 'يجب أن يكون {field} كائناً'
+  },
+  FIELD_ARRAY: {
+    en: '{field} must be an array',
+    ar: 'يجب أن يكون {field} مصفوفة'
+  },
+  FIELD_NON_EMPTY_ARRAY: {
+    en: '{field} must be a non-empty array',
+    ar: 'يجب أن يكون {field} مصفوفة غير فارغة'
+  },
+  FIELD_POSITIVE_INTEGER: {
+    en: '{field} must be a positive integer',
+    ar: 'يجب أن يكون {field} عدداً صحيحاً موجباً'
+  },
+  FIELD_NON_NEGATIVE_INTEGER: {
+    en: '{field} must be a non-negative integer',
+    ar: 'يجب أن يكون {field} عدداً صحيحاً غير سالب'
+  },
+  FIELD_DATE: {
+    en: '{field} must be a valid date',
+    ar: 'يجب أن يكون {field} تاريخاً صالحاً'
+  },
+  FIELD_EMAIL: {
+    en: '{field} must be a valid email address',
+    ar: 'يجب أن يكون {field} بريداً إلكترونياً صالحاً'
+  },
+  FIELD_PHONE: {
+    en: '{field} must be a valid phone number',
+    ar: 'يجب أن يكون {field} رقم هاتف صالحاً'
+  },
+  FIELD_URL: {
+    en: '{field} must be a valid http(s) URL',
+    ar: 'يجب أن يكون {field} رابط http(s) صالحاً'
+  },
+  FIELD_HASH: {
+    en: '{field} must be a 64-character SHA-256 hex digest',
+    ar: 'يجب أن يكون {field} بصمة SHA-256 من 64 حرفاً'
+  },
+  FIELD_ONE_OF: {
+    en: '{field} must be one of: {allowed}',
+    ar: 'يجب أن يكون {field} إحدى القيم: {allowed}'
+  },
+  UNKNOWN_FIELDS: {
+    en: 'Unknown {field} fields: {fields}',
+    ar: 'حقول غير معروفة في {field}: {fields}'
+  },
+
+  // التشخيص الذاتي (node server.js --check و /api/admin/diagnostics)
+  STARTUP_FAILED: { en: 'The server could not start: {error}', ar: 'تعذر تشغيل السيرفر: {error}' },
+  ROUTE_FAILED: {
+    en: '{method} {path} did not answer ({error})',
+    ar: 'المسار {method} {path} لم يستجب ({error})'
+  },
+  KEY_NOT_MASKED: { en: 'maskedKey is not masked', ar: 'الحقل maskedKey ليس مقنّعاً' },
+  MIGRATION_PENDING: {
+    en: '{field} is in the old format and will be migrated when the server starts',
+    ar: 'الحقل {field} بالصيغة القديمة وسيُرحّل عند تشغيل السيرفر'
+  },
+  ORPHANED_RECORD: {
+    en: '{table} row for {subject} has no license',
+    ar: 'سجل في {table} للعنصر {subject} بدون رخصة'
+  },
+  DUPLICATE_USERNAME: {
+    en: 'User {username} appears {count} times on the license',
+    ar: 'المستخدم {username} مكرر {count} مرات في الرخصة'
+  },
+  DUPLICATE_HASH: {
+    en: 'License hash is stored {count} times',
+    ar: 'hash الرخصة مخزن {count} مرات'
+  },
+  DUPLICATE_MASKED_KEY: {
+    en: 'Masked key {maskedKey} is shared by {count} licenses',
+    ar: 'المفتاح المقنّع {maskedKey} مشترك بين {count} رخص'
+  },
+  HASH_INVALID: { en: 'Stored hash is not a SHA-256 hex digest', ar: 'الـ hash المخزن ليس SHA-256 صالحاً' },
+  HASH_MISMATCH: {
+    en: 'Stored hash does not match the license key',
+    ar: 'الـ hash المخزن لا يطابق مفتاح الرخصة'
+  },
+  FILE_NOT_WRITABLE: { en: '{file} is not readable and writable', ar: 'لا يمكن قراءة أو كتابة {file}' },
+  DIRECTORY_NOT_WRITABLE: {
+    en: 'Cannot create {file}: the folder is not writable',
+    ar: 'لا يمكن إنشاء {file}: المجلد غير قابل للكتابة'
+  },
+  FILE_TOO_OPEN: {
+    en: '{file} holds secrets but has mode {mode} (expected 600)',
+    ar: 'الملف {file} يحتوي أسراراً وصلاحياته {mode} (المتوقع 600)'
+  },
+
+  // رسائل النجاح
+  LOGGED_OUT: { en: 'Logged out', ar: 'تم تسجيل الخروج' },
+  ADMIN_CREATED: { en: 'Admin created', ar: 'تم إنشاء المسؤول' },
+  ADMIN_UPDATED: { en: 'Admin updated', ar: 'تم تحديث المسؤول' },
+  ADMIN_DELETED: { en: 'Admin deleted', ar: 'تم حذف المسؤول' },
+  BLOCKS_CLEARED: { en: 'Cleared {count} block(s)', ar: 'تم رفع {count} حظر' },
+  BLOCK_CLEARED: { en: 'Block cleared', ar: 'تم رفع الحظر' },
+  SIGNING_KEY_ROTATED: { en: 'Signing key rotated', ar: 'تم تدوير مفتاح التوقيع' },
+  WEBHOOK_DELETED: { en: 'Webhook deleted', ar: 'تم حذف الـ webhook' },
+  PLAN_CREATED: { en: 'Plan created', ar: 'تم إنشاء الخطة' },
+  PLAN_UPDATED: { en: 'Plan updated', ar: 'تم تحديث الخطة' },
+  PLAN_DELETED: { en: 'Plan deleted', ar: 'تم حذف الخطة' },
+  CUSTOMER_DELETED: { en: 'Customer deleted', ar: 'تم حذف العميل' },
+  LICENSE_CREATED: { en: 'License created successfully', ar: 'تم إنشاء الرخصة بنجاح' },
+  LICENSE_ACTIVATED: { en: 'License activated', ar: 'تم تفعيل الرخصة' },
+  LICENSE_DEACTIVATED: { en: 'License deactivated', ar: 'تم تعطيل الرخصة' },
+  LICENSE_EXTENDED: { en: 'License extended by {days} days', ar: 'تم تمديد الرخصة {days} يوماً' },
+  LICENSE_RENEWED: { en: 'License renewed for {days} days', ar: 'تم تجديد الرخصة لمدة {days} يوماً' },
+  LICENSE_MOVED_TO_ARCHIVE: {
+    en: 'License archived. It can be restored until it is purged.',
+    ar: 'تمت أرشفة الرخصة، ويمكن استعادتها حتى يتم حذفها نهائياً.'
+  },
+  LICENSE_RESTORED: { en: 'License restored', ar: 'تمت استعادة الرخصة' },
+  LICENSES_PURGED: { en: 'Purged {count} archived license(s)', ar: 'تم الحذف النهائي لـ {count} رخصة مؤرشفة' },
+  BACKUP_CREATED: { en: 'Backup {file} created with {count} license(s)', ar: 'تم إنشاء النسخة {file} وفيها {count} رخصة' },
+  BACKUP_VALID: { en: 'Backup {file} is valid ({count} license(s))', ar: 'النسخة {file} سليمة ({count} رخصة)' },
+  BACKUP_RESTORED: { en: 'Restored {count} license(s) from {file}', ar: 'تمت استعادة {count} رخصة من {file}' },
+  LICENSE_KEY_REGENERATED: {
+    en: 'License key regenerated. The previous key no longer works.',
+    ar: 'تم إصدار مفتاح جديد للرخصة. المفتاح السابق لم يعد يعمل.'
+  },
+  TRIAL_ISSUED: { en: 'Trial license issued for {days} days', ar: 'تم إصدار نسخة تجريبية لمدة {days} يوماً' },
+  TRIAL_CONVERTED: { en: 'Trial converted to {plan}', ar: 'تم تحويل النسخة التجريبية إلى {plan}' },
+  USER_ADDED: { en: 'User added to license', ar: 'تمت إضافة المستخدم إلى الرخصة' },
+  USER_ROLE_CHANGED: { en: 'User role changed to {role}', ar: 'تم تغيير دور المستخدم إلى {role}' },
+  USER_ACTIVATED: { en: 'User activated', ar: 'تم تفعيل المستخدم' },
+  USER_DEACTIVATED: { en: 'User deactivated', ar: 'تم تعطيل المستخدم' },
+  USER_CREDENTIAL_UPDATED: { en: 'User credential updated', ar: 'تم تحديث بيانات دخول المستخدم' },
+  USER_REMOVED: { en: 'User removed from license', ar: 'تمت إزالة المستخدم من الرخصة' },
+  DEVICE_RELEASED: { en: 'Device released', ar: 'تم تحرير الجهاز' },
+  DEVICE_TRANSFERRED: { en: 'Device transferred', ar: 'تم نقل الرخصة إلى الجهاز' }
+};
+
+// رسائل سجل الخادم، لغتها من LOG_LANGUAGE
+const LOG_MESSAGES = {
+  serverStarted: {
+    en: 'VetCare License Server started on port {port} (dashboard: http://localhost:{port})',
+    ar: 'تم تشغيل خادم رخص VetCare على المنفذ {port} (لوحة التحكم: http://localhost:{port})'
+  },
+  httpRequest: {
+    en: '{method} {path} {status} {durationMs}ms',
+    ar: '{method} {path} {status} {durationMs}ms'
+  },
+  remindersEnabled: {
+    en: '📨 Expiry reminders enabled via: {channels}',
+    ar: '📨 تنبيهات الانتهاء مفعلة عبر: {channels}'
+  },
+  loadFailed: {
+    en: 'Error loading {file}',
+    ar: 'تعذر تحميل {file}'
+  },
+  licenseRecordInvalid: {
+    en: 'Skipping invalid license record {hash}: {fields}',
+    ar: 'تم تجاهل سجل رخصة غير صالح {hash}: {fields}'
+  },
+  licenseRecordCoerced: {
+    en: 'License record {hash}: converted {fields} to the expected type',
+    ar: 'سجل الرخصة {hash}: تم تحويل {fields} إلى النوع الصحيح'
+  },
+  licenseRecordFieldsInvalid: {
+    en: 'License record {hash} loaded with invalid fields: {fields}',
+    ar: 'تم تحميل سجل الرخصة {hash} مع حقول غير صالحة: {fields}'
+  },
+  saveFailed: {
+    en: 'Error saving {file}',
+    ar: 'تعذر حفظ {file}'
+  },
+  licensesLoadFailed: {
+    en: 'Error loading licenses',
+    ar: 'تعذر تحميل الرخص'
+  },
+  licenseSaveFailed: {
+    en: 'Error saving license',
+    ar: 'تعذر حفظ الرخصة'
+  },
+  requestFailed: {
+    en: '{method} {path} failed',
+    ar: 'فشل الطلب {method} {path}'
+  },
+  keysMasked: {
+    en: '🔒 Full key removed from {count} license(s)',
+    ar: '🔒 تم إخفاء المفتاح الكامل من {count} رخصة'
+  },
+  webhookQueueFailed: {
+    en: 'Error queueing webhook',
+    ar: 'تعذر إضافة الـ webhook إلى قائمة الإرسال'
+  },
+  customersMigrated: {
+    en: '👥 Linked {count} license(s) to customer records ({created} new customer(s))',
+    ar: '👥 تم ربط {count} رخصة بسجلات العملاء ({created} عميل جديد)'
+  },
+  auditWriteFailed: {
+    en: 'Error writing audit log',
+    ar: 'تعذر الكتابة في سجل التدقيق'
+  },
+  blocksCleared: {
+    en: '✅ All temporary blocks ({count}) cleared by {admin}',
+    ar: '✅ تم رفع كل الحظر المؤقت ({count}) بواسطة {admin}'
+  },
+  blockCleared: {
+    en: '✅ Block {id} cleared by {admin}',
+    ar: '✅ تم رفع الحظر {id} بواسطة {admin}'
+  },
+  ipBlocked: {
+    en: '🚫 Temporarily blocked {ip} until {until}',
+    ar: '🚫 حظر مؤقت للعنوان {ip} حتى {until}'
+  },
+  adminLoginLocked: {
+    en: '🚫 Admin login for {username} locked until {until} after failed attempts',
+    ar: '🚫 تم قفل دخول المسؤول {username} حتى {until} بعد محاولات فاشلة'
+  },
+  adminCreated: {
+    en: '👤 Admin account created: {username}',
+    ar: '👤 تم إنشاء حساب المسؤول: {username}'
+  },
+  noAdmins: {
+    en: '⚠️  No admin accounts found. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner.',
+    ar: '⚠️  لا توجد حسابات مسؤولين. اضبط ADMIN_USERNAME و ADMIN_PASSWORD لإنشاء أول مالك.'
+  },
+  signingKeyCreated: {
+    en: '🔑 New signing key created: {kid}',
+    ar: '🔑 تم إنشاء مفتاح توقيع جديد: {kid}'
+  },
+  signingKeyRotated: {
+    en: '🔑 Signing key rotated: {kid}',
+    ar: '🔑 تم تدوير مفتاح التوقيع: {kid}'
+  },
+  customerCreated: {
+    en: '👥 New customer: {name} ({code})',
+    ar: '👥 عميل جديد: {name} ({code})'
+  },
+  batchCreated: {
+    en: '📦 Created a batch of {count} license(s)',
+    ar: '📦 تم إنشاء دفعة من {count} رخصة'
+  },
+  bulkApplied: {
+    en: '📦 Bulk {action}: {updated} of {total} license(s)',
+    ar: '📦 عملية جماعية {action}: {updated} من {total} رخصة'
+  },
+  licensesImported: {
+    en: '📥 Imported {count} license(s) from CSV',
+    ar: '📥 تم استيراد {count} رخصة من CSV'
+  },
+  deviceReleased: {
+    en: '🔓 Released device {deviceId} from license {hash}...',
+    ar: '🔓 تم تحرير الجهاز {deviceId} من الرخصة {hash}...'
+  },
+  verifyStarted: {
+    en: '🔍 Verifying license {hash}... on device {deviceId}',
+    ar: '🔍 التحقق من الرخصة {hash}... على الجهاز {deviceId}'
+  },
+  verifyRejected: {
+    en: '❌ Verification rejected: {reason}',
+    ar: '❌ رُفض التحقق: {reason}'
+  },
+  verifyInGrace: {
+    en: '⚠️  License is in its grace period until {graceEndsAt}',
+    ar: '⚠️  الرخصة في فترة السماح حتى {graceEndsAt}'
+  },
+  deviceBound: {
+    en: '🆔 License bound to device {deviceId} ({count}/{limit})',
+    ar: '🆔 ربط الرخصة بالجهاز: {deviceId} ({count}/{limit})'
+  },
+  verifySucceeded: {
+    en: '✅ Verification succeeded',
+    ar: '✅ تم التحقق بنجاح'
+  },
+  trialIssued: {
+    en: '🧪 New trial {key} for device {deviceId}',
+    ar: '🧪 نسخة تجريبية جديدة: {key} للجهاز {deviceId}'
+  },
+  deviceTransferred: {
+    en: '🔁 License transferred to device {deviceId}',
+    ar: '🔁 نقل الرخصة إلى الجهاز {deviceId}'
+  },
+  deviceReplaced: {
+    en: '🔁 License transferred to device {deviceId} replacing {replacedDeviceId}',
+    ar: '🔁 نقل الرخصة إلى الجهاز {deviceId} بدلاً من {replacedDeviceId}'
+  },
+  trialConverted: {
+    en: '💳 Trial {key} converted to plan {plan}',
+    ar: '💳 تم تحويل النسخة التجريبية {key} إلى خطة {plan}'
+  },
+  keyRegenerated: {
+    en: '🔑 New key issued for license {key}',
+    ar: '🔑 تم إصدار مفتاح جديد للرخصة: {key}'
+  },
+  licenseDeactivated: {
+    en: '🔴 License deactivated: {key}',
+    ar: '🔴 تم تعطيل الرخصة: {key}'
+  },
+  licenseActivated: {
+    en: '🟢 License activated: {key}',
+    ar: '🟢 تم تفعيل الرخصة: {key}'
+  },
+  licenseExtended: {
+    en: '⏰ License {key} extended by {days} day(s) until {expirationDate}',
+    ar: '⏰ تم تمديد الرخصة {key} بـ {days} أيام حتى {expirationDate}'
+  },
+  licenseArchived: {
+    en: '🗄️ License archived: {key}',
+    ar: '🗄️ تمت أرشفة الرخصة: {key}'
+  },
+  licenseRestored: {
+    en: '♻️ License restored: {key}',
+    ar: '♻️ تمت استعادة الرخصة: {key}'
+  },
+  licensesPurged: {
+    en: '🗑️ Purged {count} license(s) archived more than {days} day(s) ago',
+    ar: '🗑️ تم الحذف النهائي لـ {count} رخصة مؤرشفة منذ أكثر من {days} يوماً'
+  },
+  backupsEnabled: {
+    en: '💾 Backups every {hours} hour(s) in {dir}, keeping the latest {keep}',
+    ar: '💾 نسخ احتياطي كل {hours} ساعة في {dir} مع الاحتفاظ بآخر {keep} نسخة'
+  },
+  backupCreated: {
+    en: '💾 Backup {file} created ({count} license(s))',
+    ar: '💾 تم إنشاء النسخة {file} ({count} رخصة)'
+  },
+  backupsPruned: {
+    en: '🧹 Removed {count} old backup(s)',
+    ar: '🧹 تم حذف {count} نسخة احتياطية قديمة'
+  },
+  backupFailed: {
+    en: 'Backup failed',
+    ar: 'فشل النسخ الاحتياطي'
+  },
+  backupRestored: {
+    en: '♻️ Restored {count} license(s) from {file} (previous state saved as {preRestore})',
+    ar: '♻️ تمت استعادة {count} رخصة من {file} (الحالة السابقة محفوظة في {preRestore})'
+  },
+  backupRecordsSkipped: {
+    en: 'Left out {count} invalid license record(s) while restoring {file}',
+    ar: 'تم استبعاد {count} سجل رخصة غير صالح أثناء استعادة {file}'
+  },
+  licenseRenewed: {
+    en: '🔄 License {key} renewed until {expirationDate}',
+    ar: '🔄 تم تجديد الرخصة {key} حتى {expirationDate}'
+  },
+  reminderSent: {
+    en: '📨 Reminder [{stage}] to {recipient}: {subject}',
+    ar: '📨 تنبيه [{stage}] إلى {recipient}: {subject}'
+  },
+  reminderFailed: {
+    en: '❌ Failed to send {stage} reminder for license {key}',
+    ar: '❌ فشل إرسال تنبيه {stage} للرخصة {key}'
+  },
+  reminderChannelSkipped: {
+    en: 'Reminder channel {channel} skipped: {error}',
+    ar: 'تم تجاهل قناة التنبيهات {channel}: {error}'
+  },
+  reminderRunFailed: {
+    en: 'Reminder run failed',
+    ar: 'فشلت دورة التنبيهات'
+  },
+  webhookDeliveryFailed: {
+    en: 'Webhook delivery failed',
+    ar: 'فشل تسليم الـ webhook'
+  },
+  webhookGaveUp: {
+    en: '❌ Delivery of {event} to {url} failed after {attempts} attempt(s)',
+    ar: '❌ فشل تسليم {event} إلى {url} بعد {attempts} محاولات'
+  }
+};
+
+function pickSupported(tag) {
+  if (!tag) {
+    return null;
+  }
+  const base = String(tag).trim().toLowerCase().split('-')[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+}
+
+// اختيار اللغة من Accept-Language حسب أولوية q
+function negotiateLanguage(header) {
+  if (!header) {
+    return DEFAULT_LANGUAGE;
+  }
+
+  const ranked = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const q = options.map(o => o.trim()).find(o => o.startsWith('q='));
+      return { lang: pickSupported(tag), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.lang && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return ranked.length > 0 ? ranked[0].lang : DEFAULT_LANGUAGE;
+}
+
+function format(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match);
+}
+
+function translate(code, lang = DEFAULT_LANGUAGE, params) {
+  const entry = MESSAGES[code];
+  if (!entry) {
+    return code;
+  }
+  return format(entry[lang] || entry[DEFAULT_LANGUAGE] || entry.en, params);
+}
+
+function logText(key, params) {
+  const entry = LOG_MESSAGES[key];
+  if (!entry) {
+    return key;
+  }
+  return format(entry[LOG_LANGUAGE] || entry.en, params);
+}
+
+function languageMiddleware(req, res, next) {
+  req.lang = negotiateLanguage(req.get('Accept-Language'));
+  res.set('Content-Language', req.lang);
+  next();
+}
+
+function localize(req, code, params) {
+  return translate(code, req.lang, params);
+}
+
+// الخطأ إما رمز مع params أو كائن { code, params } من دوال التحقق
+function resolveError(code, params) {
+  return typeof code === 'object' ? code : { code, params };
+}
+
+// جسم رد الأخطاء لمسارات الإدارة
+function errorBody(req, code, params) {
+  const error = resolveError(code, params);
+  return { error: translate(error.code, req.lang, error.params), code: error.code };
+}
+
+// جسم الرفض لمسارات العميل (valid/success = false)
+function reasonBody(req, code, params) {
+  const error = resolveError(code, params);
+  return { code: error.code, reason: translate(error.code, req.lang, error.params) };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LOG_LANGUAGE,
+  MESSAGES,
+  negotiateLanguage,
+  translate,
+  localize,
+  logText,
+  languageMiddleware,
+  errorBody,
+  reasonBody
+};
@@ -0,0 +1,154 @@
+const { getExpiryStatus, isArchived } = require('./license-status');
+
+const STATUSES = ['active', 'inactive', 'expired', 'grace', 'archived'];
+const SORT_FIELDS = ['created', 'expirationDate', 'customerName', 'maskedKey', 'type', 'planId', 'status', 'usageCount'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// حقول الفلتر في query string وفي جسم العمليات الجماعية
+const FILTER_SCHEMA = {
+  status: { type: 'string', oneOf: STATUSES },
+  type: { type: 'string' },
+  planId: { type: 'string' },
+  customerId: { type: 'string' },
+  q: { type: 'string' },
+  expiresFrom: { type: 'date' },
+  expiresTo: { type: 'date' },
+  createdFrom: { type: 'date' },
+  createdTo: { type: 'date' }
+};
+const FILTER_FIELDS = Object.keys(FILTER_SCHEMA);
+
+// معاملات GET /api/licenses
+const LIST_QUERY_SCHEMA = {
+  ...FILTER_SCHEMA,
+  sort: { type: 'string' },
+  fields: { type: 'string' },
+  limit: { type: 'integer', min: 1 },
+  offset: { type: 'integer', min: 0 }
+};
+
+// الحالة كما تظهر في لوحة التحكم والتقارير
+// archived: محذوفة ويمكن استعادتها، inactive: معطلة يدوياً، وإلا حسب تاريخ الانتهاء وفترة السماح
+function licenseStatus(license, plans, now = new Date()) {
+  if (isArchived(license)) {
+    return 'archived';
+  }
+  if (!license.isActive) {
+    return 'inactive';
+  }
+  return getExpiryStatus(license, plans, now).status;
+}
+
+function inRange(value, from, to) {
+  const time = new Date(value).getTime();
+  return (!from || time >= new Date(from).getTime()) &&
+    (!to || time <= new Date(to).getTime());
+}
+
+// بحث نصي في اسم العميل ورمزه ونهاية المفتاح
+function matchesText(license, customer, q) {
+  const needle = q.toLowerCase();
+  return [license.maskedKey, license.customerId, customer && customer.clinicName, customer && customer.code]
+    .some(value => value && String(value).toLowerCase().includes(needle));
+}
+
+// filter: { status, type, planId, customerId, q, expiresFrom, expiresTo, createdFrom, createdTo }
+// الرخص المؤرشفة لا تظهر إلا مع status=archived
+function matchesFilter(license, filter, { plans, customers = {}, now = new Date() }) {
+  const { status, type, planId, customerId, q } = filter;
+  return (status ? licenseStatus(license, plans, now) === status : !isArchived(license)) &&
+    (!type || license.type === type) &&
+    (!planId || license.planId === planId) &&
+    (!customerId || license.customerId === customerId) &&
+    inRange(license.expirationDate, filter.expiresFrom, filter.expiresTo) &&
+    inRange(license.created, filter.createdFrom, filter.createdTo) &&
+    (!q || matchesText(license, customers[license.customerId], q));
+}
+
+// الفلتر من query string: الحقول الفارغة تُتجاهل
+function filterFromQuery(query) {
+  const filter = {};
+  FILTER_FIELDS.forEach(field => {
+    if (query[field] !== undefined && query[field] !== '') {
+      filter[field] = String(query[field]);
+    }
+  });
+  return filter;
+}
+
+// ?sort=-expirationDate: الإشارة - للترتيب التنازلي
+function parseSort(value = '-created') {
+  const descending = value.startsWith('-');
+  const field = descending ? value.substring(1) : value;
+  if (!SORT_FIELDS.includes(field)) {
+    return { error: { code: 'FIELD_ONE_OF', params: { field: 'sort', allowed: SORT_FIELDS.join(', ') } } };
+  }
+  return { sort: { field, descending } };
+}
+
+function compareBy(field, descending, valueOf) {
+  return (a, b) => {
+    const x = valueOf(a, field);
+    const y = valueOf(b, field);
+    let result = 0;
+    if (x === null || x === undefined) {
+      result = y === null || y === undefined ? 0 : 1;
+    } else if (y === null || y === undefined) {
+      result = -1;
+    } else if (typeof x === 'number' && typeof y === 'number') {
+      result = x - y;
+    } else {
+      result = String(x).localeCompare(String(y));
+    }
+    // القيم الفارغة في النهاية دائماً
+    return descending && x !== null && x !== undefined && y !== null && y !== undefined ? -result : result;
+  };
+}
+
+// قراءة معاملات GET /api/licenses بعد التحقق منها بـ LIST_QUERY_SCHEMA، يعيد { error } أو الإعدادات
+function parseLicenseQuery(query) {
+  const filter = filterFromQuery(query);
+  const { error, sort } = parseSort(query.sort ? String(query.sort) : undefined);
+  if (error) {
+    return { error };
+  }
+
+  const fields = query.fields
+    ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean)
+    : null;
+
+  return {
+    filter,
+    sort,
+    fields,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+  };
+}
+
+// الإبقاء على الحقول المطلوبة فقط، و hash موجود دائماً
+function projectFields(record, fields) {
+  if (!fields) {
+    return record;
+  }
+  const result = { hash: record.hash };
+  fields.forEach(field => {
+    if (record[field] !== undefined) {
+      result[field] = record[field];
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  STATUSES,
+  FILTER_SCHEMA,
+  LIST_QUERY_SCHEMA,
+  licenseStatus,
+  matchesFilter,
+  filterFromQuery,
+  compareBy,
+  parseLicenseQuery,
+  projectFields
+};
@@ -0,0 +1,36 @@
+// VET-khaled-5E5F0011CC327299 -> VET-khaled-****7299
+function maskLicenseKey(key) {
+  const separator = key.lastIndexOf('-');
+  const prefix = separator === -1 ? '' : key.slice(0, separator + 1);
+  const suffix = key.slice(separator + 1);
+  return `${prefix}****${suffix.slice(-4)}`;
+}
+
+function isMasked(value) {
+  return typeof value === 'string' && value.includes('****');
+}
+
+// إزالة المفتاح الكامل من السجلات القديمة والإبقاء على النسخة المقنّعة فقط
+// تعيد true إذا تغيّر السجل ويجب حفظه
+function stripPlaintextKey(license) {
+  let changed = false;
+
+  if (license.key) {
+    license.maskedKey = maskLicenseKey(license.key);
+    changed = true;
+  }
+  if ('key' in license) {
+    delete license.key;
+    changed = true;
+  }
+  if (license.maskedKey && !isMasked(license.maskedKey)) {
+    license.maskedKey = maskLicenseKey(license.maskedKey);
+    changed = true;
+  }
+  return changed;
+}
+
+module.exports = {
+  maskLicenseKey,
+  stripPlaintextKey
+};
@@ -0,0 +1,48 @@
+// أدوار مستخدمي العيادة والصلاحيات التي يطبقها تطبيق VetCare
+const LICENSE_ROLES = {
+  owner: [
+    'patients:read', 'patients:write', 'appointments:manage', 'medical-records:write',
+    'prescriptions:write', 'lab:order', 'billing:manage', 'inventory:manage',
+    'reports:view', 'settings:manage', 'users:manage'
+  ],
+  vet: [
+    'patients:read', 'patients:write', 'appointments:manage', 'medical-records:write',
+    'prescriptions:write', 'lab:order', 'inventory:read', 'reports:view'
+  ],
+  nurse: [
+    'patients:read', 'patients:write', 'appointments:manage', 'medical-records:read', 'inventory:read'
+  ],
+  receptionist: [
+    'patients:read', 'patients:write', 'appointments:manage', 'billing:manage'
+  ]
+};
+
+// أسماء أدوار قديمة كانت تُرسل كنص حر قبل اعتماد القائمة
+const LEGACY_ROLE_ALIASES = {
+  admin: 'owner',
+  doctor: 'vet',
+  user: 'receptionist'
+};
+
+function isValidLicenseRole(role) {
+  return Object.prototype.hasOwnProperty.call(LICENSE_ROLES, role);
+}
+
+function resolveLicenseRole(role) {
+  if (isValidLicenseRole(role)) {
+    return role;
+  }
+  return LEGACY_ROLE_ALIASES[role] || null;
+}
+
+function getRolePermissions(role) {
+  const resolved = resolveLicenseRole(role);
+  return resolved ? [...LICENSE_ROLES[resolved]] : [];
+}
+
+module.exports = {
+  LICENSE_ROLES,
+  isValidLicenseRole,
+  resolveLicenseRole,
+  getRolePermissions
+};
@@ -0,0 +1,48 @@
+const { isTrial } = require('./trials');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = process.env.DEFAULT_GRACE_DAYS !== undefined
+  ? Number(process.env.DEFAULT_GRACE_DAYS)
+  : 7;
+
+// مدة السماح بعد انتهاء الرخصة: من الخطة، والنسخ التجريبية بدون سماح
+function getGraceDays(license, plans) {
+  if (isTrial(license)) {
+    return 0;
+  }
+  const plan = license.planId ? plans[license.planId] : null;
+  if (plan && Number.isInteger(plan.graceDays)) {
+    return plan.graceDays;
+  }
+  return DEFAULT_GRACE_DAYS;
+}
+
+// الرخصة المحذوفة من لوحة التحكم تبقى مؤرشفة حتى تُستعاد أو تُحذف نهائياً
+function isArchived(license) {
+  return Boolean(license.archivedAt);
+}
+
+// حالة الصلاحية: active قبل الانتهاء، grace خلال فترة السماح، expired بعدها
+function getExpiryStatus(license, plans, now = new Date()) {
+  const expirationDate = new Date(license.expirationDate);
+  const graceEndsAt = new Date(expirationDate.getTime() + getGraceDays(license, plans) * DAY_MS);
+
+  let status = 'active';
+  if (expirationDate < now) {
+    status = graceEndsAt > now ? 'grace' : 'expired';
+  }
+
+  return {
+    status,
+    graceEndsAt: graceEndsAt.toISOString(),
+    // آخر لحظة تعمل فيها الرخصة، تُستخدم لتحديد مدة التوكن دون اتصال
+    validUntil: status === 'active' ? expirationDate : graceEndsAt
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  getGraceDays,
+  getExpiryStatus,
+  isArchived
+};
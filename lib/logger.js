@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logText } = require('./i18n');
+const { maskLicenseKey } = require('./license-keys');
+
+// المستويات مرتبة من الأهم إلى الأكثر تفصيلاً
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const DEFAULTS = {
+  level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+  format: process.env.LOG_FORMAT === 'json' ? 'json' : 'line',
+  // LOG_FILE=off يوقف الكتابة في الملف ويبقي الطرفية فقط
+  file: process.env.LOG_FILE || path.join(__dirname, '..', 'license-server.log'),
+  rotate: process.env.LOG_ROTATE === 'size' ? 'size' : 'daily',
+  maxBytes: (Number(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+  maxFiles: Number(process.env.LOG_MAX_FILES) || 14,
+  console: process.env.LOG_CONSOLE !== 'false'
+};
+
+// الحقول السرية لا تُكتب أبداً، ومعرف الجهاز يُكتب كبصمة قصيرة تكفي للربط بين الأسطر
+const SECRET_FIELDS = ['password', 'pin', 'secret', 'token', 'offlinetoken', 'licensekey', 'authorization', 'credentialhash'];
+const DEVICE_FIELDS = ['deviceid', 'replacedeviceid', 'replaceddeviceid', 'bounddeviceid'];
+// مفاتيح كاملة داخل نص حر: VET-CODE-<hex> أو DEMO-<timestamp>-<hex>
+const LICENSE_KEY_PATTERN = /\b(?:VET|DEMO)-[\w-]*?[0-9A-F]{12,}\b/gi;
+
+function redactDeviceId(deviceId) {
+  return `dev:${crypto.createHash('sha256').update(String(deviceId)).digest('hex').substring(0, 10)}`;
+}
+
+function redactText(text) {
+  return String(text).replace(LICENSE_KEY_PATTERN, match => maskLicenseKey(match));
+}
+
+function redact(value, field = '') {
+  const name = field.toLowerCase();
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_FIELDS.includes(name)) {
+    return '[REDACTED]';
+  }
+  if (DEVICE_FIELDS.includes(name)) {
+    return redactDeviceId(value);
+  }
+  if (value instanceof Error) {
+    return { message: redactText(value.message), stack: value.stack ? redactText(value.stack) : undefined };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = redact(item, key);
+    });
+    return result;
+  }
+  return typeof value === 'string' ? redactText(value) : value;
+}
+
+function dayOf(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+// ملف السجل مع تدوير يومي أو حسب الحجم، والاحتفاظ بآخر maxFiles ملفات مدورة
+function createFileSink({ file, rotate, maxBytes, maxFiles, now = () => new Date() }) {
+  const dir = path.dirname(file);
+  const rotatedPrefix = `${path.basename(file)}.`;
+  let size = 0;
+  let day = null;
+
+  try {
+    const stat = fs.statSync(file);
+    size = stat.size;
+    day = dayOf(stat.mtime);
+  } catch (err) {
+    size = 0;
+  }
+
+  function prune() {
+    const rotated = fs.readdirSync(dir).filter(name => name.startsWith(rotatedPrefix)).sort();
+    rotated.slice(0, Math.max(0, rotated.length - maxFiles)).forEach(name => {
+      fs.rmSync(path.join(dir, name), { force: true });
+    });
+  }
+
+  function rotateTo(suffix) {
+    let target = path.join(dir, `${rotatedPrefix}${suffix}`);
+    for (let n = 1; fs.existsSync(target); n++) {
+      target = path.join(dir, `${rotatedPrefix}${suffix}.${n}`);
+    }
+    fs.renameSync(file, target);
+    prune();
+  }
+
+  return {
+    write(line) {
+      const date = now();
+      const bytes = Buffer.byteLength(line);
+      if (size > 0) {
+        if (rotate === 'daily' && day !== dayOf(date)) {
+          rotateTo(day);
+          size = 0;
+        } else if (rotate === 'size' && size + bytes > maxBytes) {
+          rotateTo(date.toISOString().replace(/[:.]/g, '-'));
+          size = 0;
+        }
+      }
+      fs.appendFileSync(file, line);
+      size += bytes;
+      day = dayOf(date);
+    }
+  };
+}
+
+function formatLine(entry) {
+  const { time, level, requestId, msg, err } = entry;
+  const context = requestId ? ` [${requestId}]` : '';
+  let line = `[${time}] [${level.toUpperCase()}]${context} ${msg}`;
+  if (err) {
+    line += `\n${err.stack || err.message}`;
+  }
+  return `${line}\n`;
+}
+
+// logger.info('licenseActivated', { key }) يكتب النص من فهرس رسائل السجل مع الحقول بعد إخفاء الأسرار
+function createLogger(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const threshold = LEVELS.indexOf(config.level);
+  const sink = config.file && config.file !== 'off' ? createFileSink(config) : null;
+  let sinkFailed = false;
+
+  function write(level, event, fields = {}, context = {}) {
+    if (LEVELS.indexOf(level) > threshold) {
+      return;
+    }
+
+    const { err, ...params } = fields;
+    const safe = redact({ ...context, ...params });
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      event,
+      msg: redactText(logText(event, safe)),
+      ...safe
+    };
+    if (err) {
+      entry.err = redact(err instanceof Error ? err : new Error(String(err)));
+    }
+
+    const output = config.format === 'json' ? `${JSON.stringify(entry)}\n` : formatLine(entry);
+    if (config.console) {
+      (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(output);
+    }
+    if (sink) {
+      try {
+        sink.write(output);
+      } catch (writeErr) {
+        // لا نوقف السيرفر بسبب السجل، ونبلغ مرة واحدة فقط
+        if (!sinkFailed) {
+          sinkFailed = true;
+          process.stderr.write(`Error writing log file: ${writeErr.message}\n`);
+        }
+      }
+    }
+  }
+
+  function bind(context) {
+    const bound = { level: config.level, child: extra => bind({ ...context, ...extra }) };
+    LEVELS.forEach(level => {
+      bound[level] = (event, fields) => write(level, event, fields, context);
+    });
+    return bound;
+  }
+
+  return bind({});
+}
+
+// معرف لكل طلب HTTP يظهر في أسطر السجل وفي الترويسة X-Request-Id
+// طلبات فحص المسارات في التشخيص تُسجل بمستوى debug حتى لا يمتلئ السجل بتحذيرات 401 و 400
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6)
+      };
+      if (res.statusCode >= 500) {
+        req.log.error('httpRequest', fields);
+      } else if (req.diagnosticsProbe) {
+        req.log.debug('httpRequest', fields);
+      } else if (res.statusCode >= 400) {
+        req.log.warn('httpRequest', fields);
+      } else {
+        req.log.info('httpRequest', fields);
+      }
+    });
+    next();
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  createFileSink,
+  requestLogger,
+  redact
+};
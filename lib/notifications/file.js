@@ -0,0 +1,32 @@
+const fs = require('fs');
+const { logger } = require('../logger');
+
+// قناة للاختبار: تكتب كل تنبيه كسطر JSON في ملف
+function createFileChannel({ file }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      fs.appendFileSync(file, JSON.stringify({ sentAt: new Date().toISOString(), ...message }) + '\n');
+      return { delivered: true };
+    }
+  };
+}
+
+// قناة للاختبار: تطبع التنبيه في سجل السيرفر فقط
+function createConsoleChannel() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      logger.info('reminderSent', {
+        stage: message.stage,
+        recipient: message.recipient.email || message.recipient.name || message.customerId,
+        subject: message.subject
+      });
+      return { delivered: true };
+    }
+  };
+}
+
+module.exports = { createFileChannel, createConsoleChannel };
@@ -0,0 +1,58 @@
+const path = require('path');
+const { logger } = require('../logger');
+const { createSmtpChannel } = require('./smtp');
+const { createWebhookChannel } = require('./webhook');
+const { createFileChannel, createConsoleChannel } = require('./file');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/*
+ * كل قناة توفر نفس الواجهة:
+ *   name
+ *   send(message) -> Promise<{ delivered, skipped?, ... }>
+ * message: { stage, licenseHash, maskedKey, customerId, recipient: { name, email, phone },
+ *            expirationDate, daysLeft, subject, text }
+ */
+function createChannel(name) {
+  switch (name) {
+    case 'smtp':
+      return createSmtpChannel({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.SMTP_FROM
+      });
+    case 'webhook':
+      return createWebhookChannel({ url: process.env.REMINDER_WEBHOOK_URL });
+    case 'file':
+      return createFileChannel({
+        file: process.env.REMINDER_OUTBOX_FILE || path.join(ROOT_DIR, 'reminders-outbox.log')
+      });
+    case 'console':
+      return createConsoleChannel();
+    default:
+      throw new Error(`Unknown notification channel: ${name}`);
+  }
+}
+
+// REMINDER_CHANNELS=smtp,webhook
+// قناة ناقصة الإعدادات أو غير معروفة تُسجل وتُتجاهل، فلا يتوقف تشغيل السيرفر بسببها
+function createChannels(names = process.env.REMINDER_CHANNELS || '') {
+  return names
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      try {
+        return createChannel(name);
+      } catch (err) {
+        logger.error('reminderChannelSkipped', { channel: name, error: err.message });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+module.exports = { createChannel, createChannels };
@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+function createSmtpChannel({ host, port, secure, user, pass, from }) {
+  if (!host || !from) {
+    throw new Error('SMTP channel requires SMTP_HOST and SMTP_FROM');
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      // بدون بريد للعميل لا يوجد ما نرسله عبر هذه القناة
+      if (!message.recipient.email) {
+        return { delivered: false, skipped: 'No contact email' };
+      }
+
+      const info = await transport.sendMail({
+        from,
+        to: message.recipient.email,
+        subject: message.subject,
+        text: message.text
+      });
+      return { delivered: true, messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = { createSmtpChannel };
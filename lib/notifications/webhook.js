@@ -0,0 +1,19 @@
+const axios = require('axios');
+
+// يرسل التنبيه كـ JSON إلى عنوان خارجي (Slack، n8n، CRM...)
+function createWebhookChannel({ url, timeoutMs = 10000 }) {
+  if (!url) {
+    throw new Error('Webhook channel requires REMINDER_WEBHOOK_URL');
+  }
+
+  return {
+    name: 'webhook',
+
+    async send(message) {
+      const response = await axios.post(url, message, { timeout: timeoutMs });
+      return { delivered: true, status: response.status };
+    }
+  };
+}
+
+module.exports = { createWebhookChannel };
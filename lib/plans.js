@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { logger } = require('./logger');
+
+const PLANS_FILE = path.join(__dirname, '..', 'plans.json');
+
+// الوحدات التي يمكن للتطبيق تفعيلها أو إخفاؤها حسب الخطة
+const FEATURES = [
+  'patients',
+  'appointments',
+  'billing',
+  'inventory',
+  'reports',
+  'sms-reminders',
+  'lab-integration',
+  'multi-branch',
+  'api-access'
+];
+
+const DEFAULT_PLANS = {
+  basic: {
+    name: 'Basic',
+    features: ['patients', 'appointments', 'billing'],
+    maxUsers: 3,
+    maxDevices: 1,
+    validityDays: 365,
+    graceDays: 7
+  },
+  pro: {
+    name: 'Pro',
+    features: ['patients', 'appointments', 'billing', 'inventory', 'reports', 'sms-reminders'],
+    maxUsers: 10,
+    maxDevices: 3,
+    validityDays: 365,
+    graceDays: 14
+  },
+  enterprise: {
+    name: 'Enterprise',
+    features: [...FEATURES],
+    maxUsers: 50,
+    maxDevices: 10,
+    validityDays: 365,
+    graceDays: 30
+  }
+};
+
+// بدون prototype حتى لا تمر مفاتيح موروثة مثل constructor كخطط موجودة
+function loadPlans(file = PLANS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const plans = Object.create(null);
+      entries.forEach(([id, plan]) => {
+        plans[id] = plan;
+      });
+      return plans;
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return Object.assign(Object.create(null), JSON.parse(JSON.stringify(DEFAULT_PLANS)));
+}
+
+function savePlans(plans, file = PLANS_FILE) {
+  try {
+    const entries = Object.entries(plans).map(([id, plan]) => [id, plan]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2));
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+// وصف الخطة، ومدة السماح اختيارية والصفر يعني بدون سماح
+const PLAN_SCHEMA = {
+  name: { type: 'string', required: true, nonEmpty: true },
+  features: { type: 'array', required: true, items: { type: 'string', oneOf: FEATURES } },
+  maxUsers: { type: 'integer', min: 1, required: true },
+  maxDevices: { type: 'integer', min: 1, required: true },
+  validityDays: { type: 'integer', min: 1, required: true },
+  graceDays: { type: 'integer', min: 0 }
+};
+
+// الصلاحيات الفعلية للرخصة: من الخطة مع حدود الرخصة نفسها
+// الرخص القديمة بدون خطة تحتفظ بكل الوحدات كما كانت
+// license.features (مثل النسخة التجريبية) يتجاوز وحدات الخطة
+function resolveEntitlements(license, plans) {
+  const plan = license.planId && Object.prototype.hasOwnProperty.call(plans, license.planId) ? plans[license.planId] : null;
+  let features = plan ? plan.features : FEATURES;
+  if (Array.isArray(license.features)) {
+    features = license.features;
+  }
+
+  return {
+    planId: plan ? license.planId : null,
+    planName: plan ? plan.name : null,
+    features: [...features],
+    maxUsers: license.maxUsers || (plan ? plan.maxUsers : null),
+    maxDevices: license.maxDevices || (plan ? plan.maxDevices : 1)
+  };
+}
+
+module.exports = {
+  PLANS_FILE,
+  FEATURES,
+  PLAN_SCHEMA,
+  loadPlans,
+  savePlans,
+  resolveEntitlements
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { reasonBody } = require('./i18n');
+const { logger } = require('./logger');
+
+const DEFAULTS = {
+  windowMs: (Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+  maxPerIp: Number(process.env.RATE_LIMIT_PER_IP) || 30,
+  maxPerKey: Number(process.env.RATE_LIMIT_PER_KEY) || 20,
+  // عدد ردود "License not found" أو مستخدم غير موجود المسموح بها من نفس المصدر قبل الحظر
+  notFoundThreshold: Number(process.env.NOT_FOUND_THRESHOLD) || 5,
+  notFoundWindowMs: (Number(process.env.NOT_FOUND_WINDOW_MINUTES) || 10) * 60 * 1000,
+  // مدة الحظر تتصاعد مع كل حظر جديد لنفس المصدر
+  blockDurationsMs: [1, 5, 15, 60, 24 * 60].map(minutes => minutes * 60 * 1000),
+  // مستوى التصعيد يُنسى بعد هذه المدة بدون مخالفات
+  escalationResetMs: 24 * 60 * 60 * 1000
+};
+
+function hashKey(licenseKey) {
+  return crypto.createHash('sha256').update(String(licenseKey)).digest('hex');
+}
+
+// clock() يعيد الوقت الحالي كـ Date، ويمكن حقنه في الاختبارات
+function createRateLimiter({ clock = () => new Date(), ...options } = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const currentTime = () => clock().getTime();
+
+  // key -> timestamps داخل النافذة المنزلقة
+  const hits = new Map();
+  const notFoundHits = new Map();
+  // id -> { type, value, reason, level, blockedAt, until }
+  const blocks = new Map();
+  // id -> { level, lastBlockAt }
+  const offenders = new Map();
+
+  function slide(map, key, windowMs, now) {
+    const recent = (map.get(key) || []).filter(time => time > now - windowMs);
+    map.set(key, recent);
+    return recent;
+  }
+
+  function activeBlock(id, now) {
+    const block = blocks.get(id);
+    if (!block) {
+      return null;
+    }
+    if (block.until <= now) {
+      blocks.delete(id);
+      return null;
+    }
+    return block;
+  }
+
+  function tooManyRequests(req, res, retryAfterMs, code) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ valid: false, ...reasonBody(req, code), retryAfter });
+  }
+
+  // طلبات الفحص الذاتي (req.diagnosticsProbe) لا تُحسب حتى لا تستهلك حصة localhost
+  function middleware(req, res, next) {
+    if (req.diagnosticsProbe) {
+      return next();
+    }
+    const now = currentTime();
+    const ipId = `ip:${req.ip}`;
+    const keyId = req.body && req.body.licenseKey ? `key:${hashKey(req.body.licenseKey)}` : null;
+
+    const block = activeBlock(ipId, now);
+    if (block) {
+      return tooManyRequests(req, res, block.until - now, 'TEMPORARILY_BLOCKED');
+    }
+
+    const ipHits = slide(hits, ipId, config.windowMs, now);
+    if (ipHits.length >= config.maxPerIp) {
+      return tooManyRequests(req, res, ipHits[0] + config.windowMs - now, 'RATE_LIMITED');
+    }
+
+    if (keyId) {
+      const keyHits = slide(hits, keyId, config.windowMs, now);
+      if (keyHits.length >= config.maxPerKey) {
+        return tooManyRequests(req, res, keyHits[0] + config.windowMs - now, 'RATE_LIMITED');
+      }
+      keyHits.push(now);
+    }
+
+    ipHits.push(now);
+    next();
+  }
+
+  function block(type, value, reason, now) {
+    const id = `${type}:${value}`;
+    const previous = offenders.get(id);
+    const level = previous && now - previous.lastBlockAt < config.escalationResetMs
+      ? Math.min(previous.level + 1, config.blockDurationsMs.length - 1)
+      : 0;
+
+    const entry = {
+      id,
+      type,
+      value,
+      reason,
+      level,
+      blockedAt: now,
+      until: now + config.blockDurationsMs[level]
+    };
+    blocks.set(id, entry);
+    offenders.set(id, { level, lastBlockAt: now });
+    return entry;
+  }
+
+  // يُستدعى عند كل رد "License not found" أو مستخدم غير موجود في الرخصة لاكتشاف تخمين المفاتيح وأسماء المستخدمين
+  function recordNotFound(req) {
+    if (req.diagnosticsProbe) {
+      return null;
+    }
+    const now = currentTime();
+    const ipId = `ip:${req.ip}`;
+    const recent = slide(notFoundHits, ipId, config.notFoundWindowMs, now);
+    recent.push(now);
+
+    if (recent.length >= config.notFoundThreshold) {
+      notFoundHits.delete(ipId);
+      const entry = block('ip', req.ip, 'Repeated unknown license keys or usernames', now);
+      logger.warn('ipBlocked', { ip: req.ip, until: new Date(entry.until).toISOString() });
+      return entry;
+    }
+    return null;
+  }
+
+  function listBlocks() {
+    const now = currentTime();
+    return [...blocks.keys()]
+      .map(id => activeBlock(id, now))
+      .filter(Boolean)
+      .map(entry => ({
+        ...entry,
+        blockedAt: new Date(entry.blockedAt).toISOString(),
+        until: new Date(entry.until).toISOString(),
+        retryAfter: Math.ceil((entry.until - now) / 1000)
+      }));
+  }
+
+  function clearBlock(id) {
+    const existed = blocks.delete(id);
+    offenders.delete(id);
+    notFoundHits.delete(id);
+    hits.delete(id);
+    return existed;
+  }
+
+  function clearAll() {
+    const count = blocks.size;
+    blocks.clear();
+    offenders.clear();
+    notFoundHits.clear();
+    hits.clear();
+    return count;
+  }
+
+  // تنظيف دوري للنوافذ القديمة ومستويات التصعيد المنسية حتى لا تكبر الذاكرة
+  function prune(now = currentTime()) {
+    for (const map of [hits, notFoundHits]) {
+      for (const [key, times] of map) {
+        if (!times.some(time => time > now - Math.max(config.windowMs, config.notFoundWindowMs))) {
+          map.delete(key);
+        }
+      }
+    }
+    for (const id of blocks.keys()) {
+      activeBlock(id, now);
+    }
+    for (const [id, offender] of offenders) {
+      if (now - offender.lastBlockAt >= config.escalationResetMs && !blocks.has(id)) {
+        offenders.delete(id);
+      }
+    }
+  }
+
+  const cleanup = setInterval(() => prune(), 60 * 1000);
+  cleanup.unref();
+
+  return {
+    middleware,
+    recordNotFound,
+    listBlocks,
+    clearBlock,
+    clearAll,
+    stop: () => clearInterval(cleanup)
+  };
+}
+
+module.exports = { createRateLimiter };
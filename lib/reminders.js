@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { DAY_MS, isArchived } = require('./license-status');
+const { logger } = require('./logger');
+
+const REMINDERS_FILE = path.join(__dirname, '..', 'reminders.json');
+// عدد الأيام قبل الانتهاء التي يُرسل عندها تنبيه
+const REMINDER_DAYS = (process.env.REMINDER_DAYS || '30,14,7,1')
+  .split(',')
+  .map(Number)
+  .filter(days => Number.isInteger(days) && days > 0)
+  .sort((a, b) => a - b);
+// تنبيه "انتهت الرخصة" يُرسل فقط للرخص التي انتهت خلال هذه المدة
+const EXPIRED_NOTICE_DAYS = Number(process.env.REMINDER_EXPIRED_WINDOW_DAYS) || 3;
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES) || 60;
+
+// hash -> { expirationDate, sent: { [stage]: { sentAt, results } } }
+function loadReminderState(file = REMINDERS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const state = {};
+      entries.forEach(([hash, entry]) => {
+        state[hash] = entry;
+      });
+      return state;
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return {};
+}
+
+function saveReminderState(state, file = REMINDERS_FILE) {
+  try {
+    const entries = Object.entries(state).map(([hash, entry]) => [hash, entry]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2));
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+// التنبيهات السابقة تخص تاريخ انتهاء معين، والتجديد يبدأ دورة جديدة
+function currentEntry(state, hash, license) {
+  const entry = state[hash];
+  if (!entry || entry.expirationDate !== license.expirationDate) {
+    return { expirationDate: license.expirationDate, sent: {} };
+  }
+  return entry;
+}
+
+// المرحلة المستحقة الآن، أو null
+// إذا فات موعد مرحلة (مثلاً السيرفر كان متوقفاً) نرسل الأقرب فقط ولا نرسل المراحل الأبعد
+function dueStage(license, entry, now) {
+  if (!license.isActive || isArchived(license)) {
+    return null;
+  }
+
+  const msLeft = new Date(license.expirationDate) - now;
+  if (msLeft <= 0) {
+    if (entry.sent.expired || -msLeft > EXPIRED_NOTICE_DAYS * DAY_MS) {
+      return null;
+    }
+    return { stage: 'expired', daysLeft: 0 };
+  }
+
+  const daysLeft = Math.ceil(msLeft / DAY_MS);
+  const days = REMINDER_DAYS.find(stageDays => daysLeft <= stageDays);
+  if (days === undefined) {
+    return null;
+  }
+
+  const alreadySent = Object.keys(entry.sent).some(stage => stage === 'expired' || Number(stage) <= days);
+  return alreadySent ? null : { stage: String(days), daysLeft };
+}
+
+function buildMessage(hash, license, { stage, daysLeft }, recipient, graceEndsAt) {
+  const expiresOn = license.expirationDate.slice(0, 10);
+  const subject = stage === 'expired'
+    ? `VetCare license ${license.maskedKey} has expired`
+    : `VetCare license ${license.maskedKey} expires in ${daysLeft} day(s)`;
+
+  const lines = stage === 'expired'
+    ? [
+      `Your VetCare license ${license.maskedKey} expired on ${expiresOn}.`,
+      graceEndsAt ? `It will keep working until ${graceEndsAt.slice(0, 10)}. Please renew before then.` : 'Please renew it to keep using VetCare.'
+    ]
+    : [`Your VetCare license ${license.maskedKey} expires on ${expiresOn}. Please renew it to avoid interruption.`];
+
+  return {
+    stage,
+    licenseHash: hash,
+    maskedKey: license.maskedKey,
+    customerId: license.customerId,
+    recipient,
+    expirationDate: license.expirationDate,
+    daysLeft,
+    graceEndsAt: graceEndsAt || null,
+    subject,
+    text: lines.join('\n')
+  };
+}
+
+/*
+ * getLicenses()            -> { [hash]: license }
+ * getRecipient(license)    -> { name, email, phone } من بيانات العميل
+ * getGraceEndsAt(license)  -> ISO أو null، لذكر فترة السماح في تنبيه الانتهاء
+ * onSent(hash, stage, results) لتسجيل العملية في سجل التدقيق
+ * clock() -> Date وقت الدورات المجدولة
+ */
+function createReminderScheduler({
+  getLicenses,
+  getRecipient = () => ({ name: null, email: null, phone: null }),
+  getGraceEndsAt = () => null,
+  channels,
+  state,
+  saveState = saveReminderState,
+  onSent = () => {},
+  intervalMs = REMINDER_INTERVAL_MINUTES * 60 * 1000,
+  clock = () => new Date()
+}) {
+  let timer = null;
+  let running = false;
+
+  function pending(now = clock()) {
+    return Object.entries(getLicenses())
+      .map(([hash, license]) => {
+        const due = dueStage(license, currentEntry(state, hash, license), now);
+        return due ? { hash, maskedKey: license.maskedKey, customerId: license.customerId, ...due } : null;
+      })
+      .filter(Boolean);
+  }
+
+  async function deliver(message) {
+    const results = [];
+    for (const channel of channels) {
+      try {
+        results.push({ channel: channel.name, ...(await channel.send(message)) });
+      } catch (err) {
+        results.push({ channel: channel.name, delivered: false, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  async function runOnce(now = clock()) {
+    if (running) {
+      return [];
+    }
+    running = true;
+    const sent = [];
+
+    try {
+      const licenses = getLicenses();
+      for (const due of pending(now)) {
+        const license = licenses[due.hash];
+        if (!license) {
+          continue;
+        }
+
+        const message = buildMessage(
+          due.hash,
+          license,
+          due,
+          getRecipient(license),
+          due.stage === 'expired' ? getGraceEndsAt(license) : null
+        );
+        const results = await deliver(message);
+
+        // فشل كل القنوات: نعيد المحاولة في الدورة القادمة
+        if (!results.some(result => result.delivered) && results.some(result => result.error)) {
+          logger.warn('reminderFailed', { stage: due.stage, key: license.maskedKey });
+          continue;
+        }
+
+        const entry = currentEntry(state, due.hash, license);
+        entry.sent[due.stage] = { sentAt: now.toISOString(), results };
+        state[due.hash] = entry;
+        saveState(state);
+        onSent(due.hash, due.stage, results);
+        sent.push({ hash: due.hash, maskedKey: license.maskedKey, stage: due.stage, results });
+      }
+    } finally {
+      running = false;
+    }
+    return sent;
+  }
+
+  function start() {
+    if (timer || channels.length === 0) {
+      return false;
+    }
+    timer = setInterval(() => {
+      runOnce().catch(err => logger.error('reminderRunFailed', { err }));
+    }, intervalMs);
+    timer.unref();
+    // دورة أولى بعد التشغيل مباشرة
+    setImmediate(() => runOnce().catch(err => logger.error('reminderRunFailed', { err })));
+    return true;
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    stages: [...REMINDER_DAYS.map(String).reverse(), 'expired'],
+    channels: channels.map(channel => channel.name),
+    intervalMs,
+    pending,
+    runOnce,
+    start,
+    stop,
+    isRunning: () => timer !== null
+  };
+}
+
+module.exports = {
+  REMINDERS_FILE,
+  loadReminderState,
+  saveReminderState,
+  createReminderScheduler
+};
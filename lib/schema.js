@@ -0,0 +1,345 @@
+const { errorBody, reasonBody, localize } = require('./i18n');
+
+/*
+ * وصف الحقول بشكل تعريفي، مثلاً:
+ *   { validityDays: { type: 'integer', min: 1, required: true } }
+ *
+ * type      string | boolean | integer | date | array | object
+ * required  الحقل مطلوب، و nonEmpty يرفض النص الفارغ أو المصفوفة الفارغة
+ * nullable  يقبل null
+ * min       للأعداد الصحيحة: 1 موجب و 0 غير سالب
+ * oneOf     قائمة القيم المسموحة، pattern تعبير للنصوص، format: email | phone | url
+ * code      رمز الخطأ بدل الافتراضي عند فشل oneOf أو pattern
+ * items     وصف عناصر المصفوفة، fields وصف حقول الكائن (strict يرفض الحقول غير المعروفة)
+ */
+
+const FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, code: 'FIELD_EMAIL' },
+  phone: { pattern: /^\+?[0-9\s-]{6,20}$/, code: 'FIELD_PHONE' },
+  url: { test: isHttpUrl, code: 'FIELD_URL' }
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+function isDate(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) && !isNaN(Date.parse(value));
+}
+
+// قيم query و params نصوص دائماً، فتُحوّل قبل الفحص
+function coerce(spec, value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (spec.type === 'integer' && /^-?\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function integerCode(spec) {
+  return spec.min === 0 ? 'FIELD_NON_NEGATIVE_INTEGER' : 'FIELD_POSITIVE_INTEGER';
+}
+
+// يعيد أول خطأ في القيمة نفسها أو null، وأخطاء العناصر والحقول الداخلية تُضاف إلى errors
+function checkValue(spec, value, field, errors, options) {
+  const fail = (code, params = {}) => ({ code, params: { field, ...params } });
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return fail('FIELD_STRING');
+      }
+      if (spec.nonEmpty && !value.trim()) {
+        return fail('FIELD_REQUIRED');
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return fail(spec.code || 'FIELD_STRING');
+      }
+      if (spec.format) {
+        const format = FORMATS[spec.format];
+        if (format.pattern ? !format.pattern.test(value) : !format.test(value)) {
+          return fail(format.code);
+        }
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return fail('FIELD_BOOLEAN');
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value) || value < (spec.min === undefined ? 1 : spec.min)) {
+        return fail(integerCode(spec));
+      }
+      break;
+    case 'date':
+      if (!isDate(value)) {
+        return fail('FIELD_DATE');
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return fail('FIELD_ARRAY');
+      }
+      if (spec.nonEmpty && value.length === 0) {
+        return fail('FIELD_NON_EMPTY_ARRAY');
+      }
+      if (spec.items) {
+        value.forEach((item, index) => {
+          const error = checkField(spec.items, item, `${field}[${index}]`, errors, options);
+          if (error) {
+            errors.push(error);
+          }
+        });
+      }
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail('FIELD_OBJECT');
+      }
+      if (spec.fields) {
+        errors.push(...checkFields(spec.fields, value, { ...options, prefix: `${field}.`, strict: spec.strict }));
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (spec.oneOf && !spec.oneOf.includes(value)) {
+    return fail(spec.code || 'FIELD_ONE_OF', { allowed: spec.oneOf.join(', ') });
+  }
+  return null;
+}
+
+function checkField(spec, value, field, errors, options) {
+  const actual = options.coerce ? coerce(spec, value) : value;
+  const missing = actual === undefined || (options.coerce && actual === '');
+
+  if (missing || actual === null) {
+    if (actual === null && spec.nullable) {
+      return null;
+    }
+    if (missing && !spec.required) {
+      return null;
+    }
+    if (actual === null && !spec.required) {
+      return checkValue(spec, actual, field, errors, options);
+    }
+    return { code: 'FIELD_REQUIRED', params: { field } };
+  }
+  return checkValue(spec, actual, field, errors, options);
+}
+
+/*
+ * checkFields(schema, data, { coerce, strict, prefix }) -> [{ code, params: { field } }]
+ *   coerce  يحول النصوص إلى أعداد وقيم منطقية (query و params)
+ */
+function checkFields(schema, data = {}, options = {}) {
+  const { prefix = '', strict = false } = options;
+  const source = data && typeof data === 'object' ? data : {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([name, spec]) => {
+    const error = checkField(spec, source[name], prefix + name, errors, options);
+    if (error) {
+      errors.push(error);
+    }
+  });
+
+  if (strict) {
+    const unknown = Object.keys(source).filter(name => !schema[name]);
+    if (unknown.length > 0) {
+      errors.push({ code: 'UNKNOWN_FIELDS', params: { field: prefix.replace(/\.$/, '') || 'body', fields: unknown.join(', ') } });
+    }
+  }
+  return errors;
+}
+
+// نسخة من الوصف بدون required، للتعديل الجزئي (PUT)
+function optionalFields(schema) {
+  const result = {};
+  Object.entries(schema).forEach(([name, spec]) => {
+    result[name] = { ...spec, required: false };
+  });
+  return result;
+}
+
+/*
+ * validate({ params, query, body }, extra) -> middleware
+ * الرد 400 بأول خطأ في code/error كالمعتاد، مع قائمة كل الأخطاء في errors
+ * extra مثل { valid: false } لمسارات العميل، ويكون الرد حينها بشكل reasonBody
+ */
+function validate(schemas, extra) {
+  return (req, res, next) => {
+    const errors = [];
+    ['params', 'query', 'body'].forEach(location => {
+      if (schemas[location]) {
+        checkFields(schemas[location], req[location], { coerce: location !== 'body' })
+          .forEach(error => errors.push({ in: location, ...error }));
+      }
+    });
+
+    if (errors.length === 0) {
+      return next();
+    }
+
+    const list = errors.map(error => ({
+      in: error.in,
+      field: error.params.field,
+      code: error.code,
+      message: localize(req, error.code, error.params)
+    }));
+    const [first] = errors;
+    res.status(400).json(extra
+      ? { ...extra, ...reasonBody(req, first), errors: list }
+      : { ...errorBody(req, first), errors: list });
+  };
+}
+
+// معامل :hash في المسارات
+const HASH_PARAMS = {
+  hash: { type: 'string', pattern: HASH_PATTERN, code: 'FIELD_HASH' }
+};
+const HASH_REQUEST = { params: HASH_PARAMS };
+
+// سجل الرخصة كما يُخزن؛ الرخص القديمة قد تفتقد الحقول الاختيارية
+// والمفتاح الكامل في key موجود فقط في السجلات التي لم تُرحّل بعد
+const LICENSE_RECORD = {
+  maskedKey: { type: 'string', nonEmpty: true },
+  key: { type: 'string', nonEmpty: true },
+  customerId: { type: 'string', nullable: true },
+  type: { type: 'string', nonEmpty: true },
+  planId: { type: 'string', nullable: true },
+  features: { type: 'array', items: { type: 'string' } },
+  created: { type: 'date' },
+  expirationDate: { type: 'date', required: true },
+  validityDays: { type: 'integer', min: 1 },
+  maxDevices: { type: 'integer', min: 1 },
+  maxUsers: { type: 'integer', min: 1, nullable: true },
+  usageCount: { type: 'integer', min: 0 },
+  isActive: { type: 'boolean', required: true },
+  deviceFingerprint: { type: 'string', nullable: true },
+  boundDeviceId: { type: 'string', nullable: true },
+  convertedAt: { type: 'date' },
+  keyRegeneratedAt: { type: 'date' },
+  lastDeviceTransferAt: { type: 'date', nullable: true },
+  previousHashes: { type: 'array', items: { type: 'string', pattern: HASH_PATTERN, code: 'FIELD_HASH' } },
+  archivedAt: { type: 'date' },
+  archivedBy: { type: 'string' },
+  archiveReason: { type: 'string', nullable: true },
+  devices: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        deviceId: { type: 'string', required: true, nonEmpty: true },
+        hostname: { type: 'string', nullable: true },
+        firstSeen: { type: 'date', nullable: true },
+        lastSeen: { type: 'date', nullable: true }
+      }
+    }
+  },
+  users: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        username: { type: 'string', required: true, nonEmpty: true },
+        role: { type: 'string' },
+        isActive: { type: 'boolean', required: true },
+        addedAt: { type: 'date' },
+        credentialUpdatedAt: { type: 'date' },
+        failedAttempts: { type: 'integer', min: 0 },
+        lockedUntil: { type: 'date', nullable: true }
+      }
+    }
+  },
+  loginHistory: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        username: { type: 'string', required: true },
+        timestamp: { type: 'date', required: true },
+        success: { type: 'boolean', required: true }
+      }
+    }
+  },
+  renewals: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        renewedAt: { type: 'date', required: true },
+        days: { type: 'integer', min: 1, required: true },
+        previousExpirationDate: { type: 'date' },
+        newExpirationDate: { type: 'date', required: true }
+      }
+    }
+  }
+};
+
+// بدونها لا يمكن التحقق من الرخصة، فالسجل الذي تفشل فيه لا يُحمّل
+// أما باقي الحقول فتُحوّل أو يُبلّغ عنها، حتى لا تفقد عيادة رخصتها بسبب حقل ثانوي
+const ESSENTIAL_LICENSE_FIELDS = ['expirationDate', 'isActive', 'key', 'maskedKey'];
+
+function isEssentialError(error) {
+  const [field] = String(error.params.field).split(/[.[]/);
+  return field === 'license' || ESSENTIAL_LICENSE_FIELDS.includes(field);
+}
+
+// الأعداد والقيم المنطقية المحفوظة كنصوص، مثل validityDays "3655" من خطأ += في الإصدارات الأولى
+// تُحوّل في مكانها، ويعيد أسماء الحقول التي تغيرت
+function coerceLicenseRecord(license) {
+  if (!license || typeof license !== 'object' || Array.isArray(license)) {
+    return [];
+  }
+  return Object.entries(LICENSE_RECORD)
+    .filter(([name, spec]) => {
+      const value = coerce(spec, license[name]);
+      if (value === license[name]) {
+        return false;
+      }
+      license[name] = value;
+      return true;
+    })
+    .map(([name]) => name);
+}
+
+// يعيد قائمة الأخطاء، والسجل بدون maskedKey صالح فقط إذا كان يحمل المفتاح القديم
+function validateLicenseRecord(license) {
+  if (!license || typeof license !== 'object' || Array.isArray(license)) {
+    return [{ code: 'FIELD_OBJECT', params: { field: 'license' } }];
+  }
+  const errors = checkFields(LICENSE_RECORD, license);
+  if (license.maskedKey === undefined && license.key === undefined) {
+    errors.unshift({ code: 'FIELD_REQUIRED', params: { field: 'maskedKey' } });
+  }
+  return errors;
+}
+
+module.exports = {
+  HASH_PATTERN,
+  HASH_PARAMS,
+  HASH_REQUEST,
+  LICENSE_RECORD,
+  ESSENTIAL_LICENSE_FIELDS,
+  isEssentialError,
+  coerceLicenseRecord,
+  checkFields,
+  optionalFields,
+  validate,
+  validateLicenseRecord
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// كتابة الملف بشكل ذري: ملف مؤقت ثم rename، حتى لا يتلف الملف الأصلي عند انقطاع الكتابة
+function writeFileAtomic(file, data, options = {}) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpFile, 'w', options.mode || 0o644);
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmpFile, file);
+  } catch (err) {
+    fs.rmSync(tmpFile, { force: true });
+    throw err;
+  }
+}
+
+// نفس الكتابة دون حجب الطلبات، وإن أُلغيت عبر signal قبل rename يبقى الملف الأصلي كما هو
+async function writeFileAtomicAsync(file, data, options = {}) {
+  const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    const handle = await fs.promises.open(tmpFile, 'w', options.mode || 0o644);
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    if (options.signal && options.signal.aborted) {
+      await fs.promises.rm(tmpFile, { force: true });
+      return false;
+    }
+    // rename متزامن حتى لا يفصل بينه وبين فحص الإلغاء أي شيء
+    fs.renameSync(tmpFile, file);
+    return true;
+  } catch (err) {
+    await fs.promises.rm(tmpFile, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { writeFileAtomic, writeFileAtomicAsync };
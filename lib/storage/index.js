@@ -0,0 +1,42 @@
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { createMemoryStore } = require('./memory-store');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/*
+ * كل مخزن يوفر نفس الواجهة:
+ *   loadLicenses()              -> { [hash]: license }
+ *   saveLicense(hash, license)  حفظ رخصة واحدة
+ *   deleteLicense(hash)
+ *   importLicenses(entries)     استيراد مصفوفة [[hash, license], ...]
+ *   replaceLicenses(entries)    استبدال كل الرخص دفعة واحدة (استعادة نسخة احتياطية)
+ *   inspect()                   -> { entries, orphans } السجلات الخام للتشخيص
+ *   close()
+ */
+function createStore({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  file,
+  // للتشخيص: بدون قفل وبدون إنشاء ملفات
+  readOnly = false
+} = {}) {
+  switch (driver) {
+    case 'json':
+      return createJsonStore({
+        file: file || process.env.LICENSES_FILE || path.join(ROOT_DIR, 'licenses.json'),
+        readOnly
+      });
+    case 'sqlite':
+      return createSqliteStore({
+        file: file || process.env.SQLITE_FILE || path.join(ROOT_DIR, 'licenses.db'),
+        readOnly
+      });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStore, createMemoryStore };
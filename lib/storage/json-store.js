@@ -0,0 +1,116 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./atomic-write');
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// قفل على مستوى العملية حتى لا يكتب سيرفران على نفس الملف
+function acquireLock(lockFile) {
+  try {
+    fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+    const ownerPid = Number(fs.readFileSync(lockFile, 'utf-8'));
+    if (ownerPid && ownerPid !== process.pid && isProcessAlive(ownerPid)) {
+      throw new Error(`${lockFile} is held by process ${ownerPid}`);
+    }
+    fs.writeFileSync(lockFile, String(process.pid));
+  }
+}
+
+function releaseLock(lockFile) {
+  try {
+    if (Number(fs.readFileSync(lockFile, 'utf-8')) === process.pid) {
+      fs.unlinkSync(lockFile);
+    }
+  } catch (err) {
+    // القفل محذوف مسبقاً
+  }
+}
+
+function readEntries(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// يخزن الرخص بصيغة [[hash, license], ...] كما في licenses.json الأصلي
+// readOnly للتشخيص: بدون ملف قفل، فيعمل بجانب سيرفر شغال ولا ينشئ أي ملف
+function createJsonStore({ file, readOnly = false }) {
+  const lockFile = `${file}.lock`;
+  let licenses = {};
+
+  const onExit = () => releaseLock(lockFile);
+  if (!readOnly) {
+    acquireLock(lockFile);
+    process.on('exit', onExit);
+  }
+
+  function flush() {
+    const entries = Object.entries(licenses).map(([hash, license]) => [hash, license]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2));
+  }
+
+  return {
+    driver: 'json',
+    file,
+
+    loadLicenses() {
+      licenses = {};
+      readEntries(file).forEach(([hash, license]) => {
+        licenses[hash] = license;
+      });
+      return licenses;
+    },
+
+    saveLicense(hash, license) {
+      licenses[hash] = license;
+      flush();
+    },
+
+    deleteLicense(hash) {
+      delete licenses[hash];
+      flush();
+    },
+
+    importLicenses(entries) {
+      entries.forEach(([hash, license]) => {
+        licenses[hash] = license;
+      });
+      flush();
+      return entries.length;
+    },
+
+    replaceLicenses(entries) {
+      licenses = {};
+      entries.forEach(([hash, license]) => {
+        licenses[hash] = license;
+      });
+      flush();
+      return entries.length;
+    },
+
+    // المصفوفة كما هي في الملف، بما فيها أي hash مكرر يخفيه loadLicenses
+    inspect() {
+      return { entries: readEntries(file), orphans: [] };
+    },
+
+    close() {
+      if (!readOnly) {
+        releaseLock(lockFile);
+        process.removeListener('exit', onExit);
+      }
+    }
+  };
+}
+
+module.exports = { createJsonStore, readEntries };
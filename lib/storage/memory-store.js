@@ -0,0 +1,58 @@
+// مخزن في الذاكرة فقط بدون ملفات، للاختبارات وللتجربة السريعة
+// الرخص تُنسخ عند الحفظ والتحميل حتى لا يشارك المخزن نفس الكائنات مع السيرفر
+function clone(license) {
+  return JSON.parse(JSON.stringify(license));
+}
+
+function createMemoryStore({ licenses: initial = {} } = {}) {
+  const licenses = {};
+  Object.entries(initial).forEach(([hash, license]) => {
+    licenses[hash] = clone(license);
+  });
+
+  return {
+    driver: 'memory',
+    file: null,
+
+    loadLicenses() {
+      const loaded = {};
+      Object.entries(licenses).forEach(([hash, license]) => {
+        loaded[hash] = clone(license);
+      });
+      return loaded;
+    },
+
+    saveLicense(hash, license) {
+      licenses[hash] = clone(license);
+    },
+
+    deleteLicense(hash) {
+      delete licenses[hash];
+    },
+
+    importLicenses(entries) {
+      entries.forEach(([hash, license]) => {
+        licenses[hash] = clone(license);
+      });
+      return entries.length;
+    },
+
+    replaceLicenses(entries) {
+      Object.keys(licenses).forEach(hash => {
+        delete licenses[hash];
+      });
+      return this.importLicenses(entries);
+    },
+
+    inspect() {
+      return {
+        entries: Object.entries(licenses).map(([hash, license]) => [hash, clone(license)]),
+        orphans: []
+      };
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,310 @@
+const fs = require('fs');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS licenses (
+    hash TEXT PRIMARY KEY,
+    license_key TEXT,
+    customer_id TEXT,
+    type TEXT,
+    created TEXT,
+    expiration_date TEXT,
+    validity_days INTEGER,
+    device_fingerprint TEXT,
+    bound_device_id TEXT,
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    extra TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS license_users (
+    license_hash TEXT NOT NULL REFERENCES licenses(hash) ON DELETE CASCADE,
+    username TEXT NOT NULL,
+    role TEXT,
+    added_at TEXT,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    extra TEXT,
+    PRIMARY KEY (license_hash, username)
+  );
+
+  CREATE TABLE IF NOT EXISTS license_devices (
+    license_hash TEXT NOT NULL REFERENCES licenses(hash) ON DELETE CASCADE,
+    device_id TEXT NOT NULL,
+    first_seen TEXT,
+    last_seen TEXT,
+    hostname TEXT,
+    extra TEXT,
+    PRIMARY KEY (license_hash, device_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS login_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_hash TEXT NOT NULL REFERENCES licenses(hash) ON DELETE CASCADE,
+    username TEXT,
+    timestamp TEXT,
+    success INTEGER,
+    extra TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_licenses_customer ON licenses(customer_id);
+  CREATE INDEX IF NOT EXISTS idx_login_history_license ON login_history(license_hash);
+`;
+
+// field -> [column, kind]
+// license_key يحفظ المفتاح المقنّع فقط
+const LICENSE_FIELDS = {
+  maskedKey: ['license_key'],
+  customerId: ['customer_id'],
+  type: ['type'],
+  created: ['created'],
+  expirationDate: ['expiration_date'],
+  validityDays: ['validity_days'],
+  deviceFingerprint: ['device_fingerprint'],
+  boundDeviceId: ['bound_device_id'],
+  usageCount: ['usage_count'],
+  isActive: ['is_active', 'boolean']
+};
+
+const USER_FIELDS = {
+  username: ['username'],
+  role: ['role'],
+  addedAt: ['added_at'],
+  isActive: ['is_active', 'boolean']
+};
+
+const DEVICE_FIELDS = {
+  deviceId: ['device_id'],
+  firstSeen: ['first_seen'],
+  lastSeen: ['last_seen'],
+  hostname: ['hostname']
+};
+
+const LOGIN_FIELDS = {
+  username: ['username'],
+  timestamp: ['timestamp'],
+  success: ['success', 'boolean']
+};
+
+// الأعمدة المعروفة تُخزن في أعمدة، وأي حقل آخر يُحفظ في extra كـ JSON
+function toRow(record, fields, nested = []) {
+  const row = {};
+  const extra = {};
+
+  Object.entries(fields).forEach(([field, [column, kind]]) => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      row[column] = null;
+    } else {
+      row[column] = kind === 'boolean' ? (value ? 1 : 0) : value;
+    }
+  });
+
+  Object.keys(record).forEach(field => {
+    if (!fields[field] && !nested.includes(field)) {
+      extra[field] = record[field];
+    }
+  });
+
+  row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+  return row;
+}
+
+// العمود الفارغ يعني أن الحقل غير موجود في السجل، مثل maskedKey للرخص القديمة المنقولة من licenses.json
+function fromRow(row, fields) {
+  const record = {};
+
+  Object.entries(fields).forEach(([field, [column, kind]]) => {
+    const value = row[column];
+    if (value !== null && value !== undefined) {
+      record[field] = kind === 'boolean' ? value === 1 : value;
+    }
+  });
+
+  if (row.extra) {
+    Object.assign(record, JSON.parse(row.extra));
+  }
+  return record;
+}
+
+function createSqliteStore({ file, readOnly = false }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  // readOnly للتشخيص: القاعدة تُفتح للقراءة فقط، وإن لم توجد بعد فقاعدة فارغة في الذاكرة بدل إنشاء الملف
+  const missing = readOnly && !fs.existsSync(file);
+  const db = readOnly && !missing
+    ? new Database(file, { readonly: true, fileMustExist: true })
+    : new Database(missing ? ':memory:' : file);
+  if (!readOnly) {
+    db.pragma('journal_mode = WAL');
+  }
+  db.pragma('foreign_keys = ON');
+  if (!readOnly || missing) {
+    db.exec(SCHEMA);
+  }
+
+  const statements = {
+    allLicenses: db.prepare('SELECT * FROM licenses'),
+    allUsers: db.prepare('SELECT * FROM license_users ORDER BY rowid'),
+    allDevices: db.prepare('SELECT * FROM license_devices ORDER BY rowid'),
+    allLogins: db.prepare('SELECT * FROM login_history ORDER BY id'),
+    // صفوف بقيت بعد حذف رخصتها (مثلاً عند التعديل اليدوي بدون foreign_keys)
+    orphanUsers: db.prepare(`
+      SELECT license_hash, username FROM license_users
+      WHERE license_hash NOT IN (SELECT hash FROM licenses)
+    `),
+    orphanDevices: db.prepare(`
+      SELECT license_hash, device_id FROM license_devices
+      WHERE license_hash NOT IN (SELECT hash FROM licenses)
+    `),
+    orphanLogins: db.prepare(`
+      SELECT license_hash, username FROM login_history
+      WHERE license_hash NOT IN (SELECT hash FROM licenses)
+    `),
+    upsertLicense: db.prepare(`
+      INSERT INTO licenses (hash, license_key, customer_id, type, created, expiration_date, validity_days,
+        device_fingerprint, bound_device_id, usage_count, is_active, extra)
+      VALUES (@hash, @license_key, @customer_id, @type, @created, @expiration_date, @validity_days,
+        @device_fingerprint, @bound_device_id, COALESCE(@usage_count, 0), COALESCE(@is_active, 1), @extra)
+      ON CONFLICT(hash) DO UPDATE SET
+        license_key = excluded.license_key,
+        customer_id = excluded.customer_id,
+        type = excluded.type,
+        created = excluded.created,
+        expiration_date = excluded.expiration_date,
+        validity_days = excluded.validity_days,
+        device_fingerprint = excluded.device_fingerprint,
+        bound_device_id = excluded.bound_device_id,
+        usage_count = excluded.usage_count,
+        is_active = excluded.is_active,
+        extra = excluded.extra
+    `),
+    deleteLicense: db.prepare('DELETE FROM licenses WHERE hash = ?'),
+    // الجداول الفرعية تُمسح صراحة لإزالة الصفوف اليتيمة أيضاً
+    clearTables: ['login_history', 'license_devices', 'license_users', 'licenses']
+      .map(table => db.prepare(`DELETE FROM ${table}`)),
+    deleteUsers: db.prepare('DELETE FROM license_users WHERE license_hash = ?'),
+    insertUser: db.prepare(`
+      INSERT INTO license_users (license_hash, username, role, added_at, is_active, extra)
+      VALUES (@license_hash, @username, @role, @added_at, COALESCE(@is_active, 1), @extra)
+    `),
+    deleteDevices: db.prepare('DELETE FROM license_devices WHERE license_hash = ?'),
+    insertDevice: db.prepare(`
+      INSERT INTO license_devices (license_hash, device_id, first_seen, last_seen, hostname, extra)
+      VALUES (@license_hash, @device_id, @first_seen, @last_seen, @hostname, @extra)
+    `),
+    deleteLogins: db.prepare('DELETE FROM login_history WHERE license_hash = ?'),
+    insertLogin: db.prepare(`
+      INSERT INTO login_history (license_hash, username, timestamp, success, extra)
+      VALUES (@license_hash, @username, @timestamp, @success, @extra)
+    `)
+  };
+
+  const writeLicense = (hash, license) => {
+    statements.upsertLicense.run({
+      hash,
+      ...toRow(license, LICENSE_FIELDS, ['users', 'devices', 'loginHistory'])
+    });
+
+    statements.deleteUsers.run(hash);
+    (license.users || []).forEach(user => {
+      statements.insertUser.run({ license_hash: hash, ...toRow(user, USER_FIELDS) });
+    });
+
+    statements.deleteDevices.run(hash);
+    (license.devices || []).forEach(device => {
+      statements.insertDevice.run({ license_hash: hash, ...toRow(device, DEVICE_FIELDS) });
+    });
+
+    statements.deleteLogins.run(hash);
+    (license.loginHistory || []).forEach(entry => {
+      statements.insertLogin.run({ license_hash: hash, ...toRow(entry, LOGIN_FIELDS) });
+    });
+  };
+
+  const saveTransaction = db.transaction(writeLicense);
+  const importTransaction = db.transaction(entries => {
+    entries.forEach(([hash, license]) => writeLicense(hash, license));
+  });
+  const replaceTransaction = db.transaction(entries => {
+    statements.clearTables.forEach(statement => statement.run());
+    entries.forEach(([hash, license]) => writeLicense(hash, license));
+  });
+
+  return {
+    driver: 'sqlite',
+    file,
+
+    loadLicenses() {
+      const licenses = {};
+
+      statements.allLicenses.all().forEach(row => {
+        licenses[row.hash] = fromRow(row, LICENSE_FIELDS);
+      });
+
+      statements.allUsers.all().forEach(row => {
+        const license = licenses[row.license_hash];
+        if (license) {
+          (license.users = license.users || []).push(fromRow(row, USER_FIELDS));
+        }
+      });
+
+      statements.allDevices.all().forEach(row => {
+        const license = licenses[row.license_hash];
+        if (license) {
+          (license.devices = license.devices || []).push(fromRow(row, DEVICE_FIELDS));
+        }
+      });
+
+      statements.allLogins.all().forEach(row => {
+        const license = licenses[row.license_hash];
+        if (license) {
+          (license.loginHistory = license.loginHistory || []).push(fromRow(row, LOGIN_FIELDS));
+        }
+      });
+
+      return licenses;
+    },
+
+    saveLicense(hash, license) {
+      saveTransaction(hash, license);
+    },
+
+    deleteLicense(hash) {
+      statements.deleteLicense.run(hash);
+    },
+
+    importLicenses(entries) {
+      importTransaction(entries);
+      return entries.length;
+    },
+
+    replaceLicenses(entries) {
+      replaceTransaction(entries);
+      return entries.length;
+    },
+
+    // السجلات كما هي في القاعدة مع الصفوف اليتيمة التي لا يعيدها loadLicenses، للتشخيص فقط
+    inspect() {
+      const orphan = (table, subject) => row => ({ table, licenseHash: row.license_hash, subject: row[subject] });
+      const orphans = [
+        ...statements.orphanUsers.all().map(orphan('license_users', 'username')),
+        ...statements.orphanDevices.all().map(orphan('license_devices', 'device_id')),
+        ...statements.orphanLogins.all().map(orphan('login_history', 'username'))
+      ];
+      return {
+        entries: Object.entries(this.loadLicenses()),
+        orphans
+      };
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { logger } = require('./logger');
+
+const SIGNING_KEYS_FILE = path.join(__dirname, '..', 'signing-keys.json');
+const TOKEN_ISSUER = 'vetcare-license-server';
+// عدد المفاتيح السابقة التي تبقى منشورة بعد التدوير
+const PREVIOUS_KEYS_RETAINED = Number(process.env.SIGNING_KEYS_RETAINED) || 2;
+const OFFLINE_GRACE_DAYS = Number(process.env.OFFLINE_GRACE_DAYS) || 7;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function generateSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    createdAt: new Date().toISOString()
+  };
+}
+
+function loadSigningKeys(file = SIGNING_KEYS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const keys = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return { current: keys.current || null, previous: keys.previous || [] };
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return { current: null, previous: [] };
+}
+
+function saveSigningKeys(keys, file = SIGNING_KEYS_FILE) {
+  try {
+    writeFileAtomic(file, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+function ensureSigningKey(keys, file = SIGNING_KEYS_FILE) {
+  if (keys.current) {
+    return false;
+  }
+  keys.current = generateSigningKey();
+  saveSigningKeys(keys, file);
+  logger.info('signingKeyCreated', { kid: keys.current.kid });
+  return true;
+}
+
+function rotateSigningKey(keys, file = SIGNING_KEYS_FILE) {
+  if (keys.current) {
+    keys.current.retiredAt = new Date().toISOString();
+    keys.previous.unshift(keys.current);
+    keys.previous = keys.previous.slice(0, PREVIOUS_KEYS_RETAINED);
+  }
+  keys.current = generateSigningKey();
+  saveSigningKeys(keys, file);
+  return keys.current;
+}
+
+function describePublicKey(key, status) {
+  const jwk = crypto.createPublicKey(key.publicKey).export({ format: 'jwk' });
+  return {
+    kid: key.kid,
+    alg: 'EdDSA',
+    status,
+    createdAt: key.createdAt,
+    retiredAt: key.retiredAt || null,
+    publicKey: key.publicKey,
+    jwk: { ...jwk, kid: key.kid, alg: 'EdDSA', use: 'sig' }
+  };
+}
+
+function getPublicKeys(keys) {
+  const list = [];
+  if (keys.current) {
+    list.push(describePublicKey(keys.current, 'current'));
+  }
+  keys.previous.forEach(key => list.push(describePublicKey(key, 'previous')));
+  return list;
+}
+
+function signToken(keys, payload) {
+  const header = { alg: 'EdDSA', typ: 'JWT', kid: keys.current.kid };
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), keys.current.privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// التحقق من توقيع التوكن بأي مفتاح منشور (الحالي أو السابق)
+function verifyToken(keys, token, now = new Date()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf-8'));
+    const key = [keys.current, ...keys.previous].find(k => k && k.kid === header.kid);
+    if (!key || header.alg !== 'EdDSA') {
+      return null;
+    }
+
+    const signingInput = `${parts[0]}.${parts[1]}`;
+    const ok = crypto.verify(null, Buffer.from(signingInput), key.publicKey, Buffer.from(parts[2], 'base64url'));
+    if (!ok) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    if (payload.exp && payload.exp * 1000 < now.getTime()) {
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+// إصدار توكن للعمل دون اتصال بعد نجاح التحقق من الرخصة
+// validUntil: نهاية الصلاحية أو فترة السماح، لا يتجاوزها التوكن
+function issueOfflineToken(keys, { hash, license, entitlements, deviceId = null, validUntil, now = new Date() }) {
+  const graceDeadline = new Date(Math.min(
+    now.getTime() + OFFLINE_GRACE_DAYS * 24 * 60 * 60 * 1000,
+    (validUntil || new Date(license.expirationDate)).getTime()
+  ));
+
+  const payload = {
+    iss: TOKEN_ISSUER,
+    sub: hash,
+    customerId: license.customerId,
+    type: license.type,
+    planId: entitlements.planId,
+    features: entitlements.features,
+    expirationDate: license.expirationDate,
+    boundDeviceId: deviceId,
+    allowedUsers: (license.users || []).filter(u => u.isActive).map(u => u.username),
+    graceUntil: graceDeadline.toISOString(),
+    iat: Math.floor(now.getTime() / 1000),
+    exp: Math.floor(graceDeadline.getTime() / 1000)
+  };
+
+  return { token: signToken(keys, payload), expiresAt: payload.graceUntil };
+}
+
+module.exports = {
+  SIGNING_KEYS_FILE,
+  loadSigningKeys,
+  ensureSigningKey,
+  rotateSigningKey,
+  getPublicKeys,
+  signToken,
+  verifyToken,
+  issueOfflineToken
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/atomic-write');
+const { logger } = require('./logger');
+
+const TRIALS_FILE = path.join(__dirname, '..', 'trials.json');
+const TRIAL_DAYS = Number(process.env.TRIAL_DAYS) || 14;
+const TRIAL_MAX_USERS = Number(process.env.TRIAL_MAX_USERS) || 2;
+// وحدات محدودة للنسخة التجريبية
+const TRIAL_FEATURES = ['patients', 'appointments', 'billing'];
+
+// بصمة الجهاز تُخزن كـ hash فقط
+function fingerprintHash(deviceId) {
+  return crypto.createHash('sha256').update(`trial:${deviceId}`).digest('hex');
+}
+
+function generateTrialKey() {
+  const randomSuffix = crypto.randomBytes(8).toString('hex').toUpperCase();
+  return `DEMO-${Date.now()}-${randomSuffix}`;
+}
+
+// سجل الأجهزة التي حصلت على نسخة تجريبية، يبقى حتى بعد حذف الرخصة
+function loadTrialRegistry(file = TRIALS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const registry = {};
+      entries.forEach(([fingerprint, trial]) => {
+        registry[fingerprint] = trial;
+      });
+      return registry;
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return {};
+}
+
+function saveTrialRegistry(registry, file = TRIALS_FILE) {
+  try {
+    const entries = Object.entries(registry).map(([fingerprint, trial]) => [fingerprint, trial]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2));
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+function isTrial(license) {
+  return license.type === 'trial';
+}
+
+module.exports = {
+  TRIALS_FILE,
+  TRIAL_DAYS,
+  TRIAL_MAX_USERS,
+  TRIAL_FEATURES,
+  fingerprintHash,
+  generateTrialKey,
+  loadTrialRegistry,
+  saveTrialRegistry,
+  isTrial
+};
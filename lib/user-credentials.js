@@ -0,0 +1,94 @@
+const { hashPassword, verifyPassword } = require('./auth');
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.USER_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = Number(process.env.USER_LOCKOUT_MINUTES) || 15;
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_HISTORY_LIMIT = 100;
+
+// تعيين كلمة مرور أو PIN للمستخدم، يعيد { code, params } أو null
+function setUserCredential(user, { password, pin }, now = new Date()) {
+  if (password !== undefined && pin !== undefined) {
+    return { code: 'CREDENTIAL_CONFLICT' };
+  }
+
+  if (password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { code: 'PASSWORD_TOO_SHORT', params: { min: MIN_PASSWORD_LENGTH } };
+    }
+    user.credentialType = 'password';
+    user.credentialHash = hashPassword(password);
+  } else if (pin !== undefined) {
+    if (typeof pin !== 'string' || !/^\d{4,8}$/.test(pin)) {
+      return { code: 'PIN_INVALID' };
+    }
+    user.credentialType = 'pin';
+    user.credentialHash = hashPassword(pin);
+  } else {
+    return { code: 'CREDENTIAL_REQUIRED' };
+  }
+
+  user.credentialUpdatedAt = now.toISOString();
+  user.failedAttempts = 0;
+  user.lockedUntil = null;
+  return null;
+}
+
+function hasCredential(user) {
+  return Boolean(user.credentialHash);
+}
+
+function checkUserCredential(user, secret) {
+  return verifyPassword(secret, user.credentialHash);
+}
+
+function isLocked(user, now = new Date()) {
+  return Boolean(user.lockedUntil) && new Date(user.lockedUntil) > now;
+}
+
+// زيادة عداد المحاولات الفاشلة وقفل المستخدم مؤقتاً عند تجاوز الحد
+function registerFailedAttempt(user, now = new Date()) {
+  user.failedAttempts = (user.failedAttempts || 0) + 1;
+  if (user.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    user.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+    user.failedAttempts = 0;
+  }
+}
+
+function clearFailedAttempts(user) {
+  user.failedAttempts = 0;
+  user.lockedUntil = null;
+}
+
+function recordLogin(license, username, success, reason = null, now = new Date()) {
+  if (!license.loginHistory) {
+    license.loginHistory = [];
+  }
+
+  const entry = { username, timestamp: now.toISOString(), success };
+  if (reason) {
+    entry.reason = reason;
+  }
+  license.loginHistory.push(entry);
+
+  // الحفاظ على آخر 100 محاولة فقط
+  if (license.loginHistory.length > LOGIN_HISTORY_LIMIT) {
+    license.loginHistory = license.loginHistory.slice(-LOGIN_HISTORY_LIMIT);
+  }
+}
+
+// بيانات المستخدم بدون الـ hash لعرضها في الردود وسجل التدقيق
+function publicUser(user) {
+  const { credentialHash, ...fields } = user;
+  return { ...fields, hasCredential: Boolean(credentialHash) };
+}
+
+module.exports = {
+  setUserCredential,
+  hasCredential,
+  checkUserCredential,
+  isLocked,
+  registerFailedAttempt,
+  clearFailedAttempts,
+  recordLogin,
+  publicUser
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { writeFileAtomic, writeFileAtomicAsync } = require('./storage/atomic-write');
+const { logger } = require('./logger');
+
+const WEBHOOKS_FILE = path.join(__dirname, '..', 'webhooks.json');
+const DELIVERIES_FILE = path.join(__dirname, '..', 'webhook-deliveries.json');
+
+// أحداث دورة حياة الرخصة التي يمكن الاشتراك فيها
+const WEBHOOK_EVENTS = [
+  'license.created',
+  'license.activated',
+  'license.deactivated',
+  'license.extended',
+  'license.renewed',
+  'license.converted',
+  'license.archived',
+  'license.restored',
+  'license.deleted',
+  'license.key-regenerated',
+  'device.bound',
+  'device.released',
+  'device.transferred'
+];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// وصف الاشتراك، و '*' يعني كل الأحداث
+const WEBHOOK_SCHEMA = {
+  url: { type: 'string', format: 'url', required: true },
+  events: { type: 'array', required: true, nonEmpty: true, items: { type: 'string', oneOf: [...WEBHOOK_EVENTS, '*'] } },
+  description: { type: 'string', nullable: true },
+  isActive: { type: 'boolean' }
+};
+
+const DEFAULTS = {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  // 30 ثانية ثم تتضاعف: 1 د، 2 د، 4 د... بحد أقصى ساعة
+  baseDelayMs: (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30) * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  timeoutMs: (Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000,
+  // عدد التسليمات المحفوظة في السجل
+  logLimit: Number(process.env.WEBHOOK_DELIVERY_LOG_LIMIT) || 1000
+};
+
+function loadWebhooks(file = WEBHOOKS_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const webhooks = {};
+      entries.forEach(([id, webhook]) => {
+        webhooks[id] = webhook;
+      });
+      return webhooks;
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return {};
+}
+
+// الملف يحتوي على أسرار التوقيع
+function saveWebhooks(webhooks, file = WEBHOOKS_FILE) {
+  try {
+    const entries = Object.entries(webhooks).map(([id, webhook]) => [id, webhook]);
+    writeFileAtomic(file, JSON.stringify(entries, null, 2), { mode: 0o600 });
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+function loadDeliveries(file = DELIVERIES_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } catch (err) {
+    logger.error('loadFailed', { file: path.basename(file), err });
+  }
+  return [];
+}
+
+function saveDeliveries(deliveries, file = DELIVERIES_FILE) {
+  try {
+    writeFileAtomic(file, JSON.stringify(deliveries, null, 2));
+  } catch (err) {
+    logger.error('saveFailed', { file: path.basename(file), err });
+  }
+}
+
+// signal يلغي الكتابة الجارية عند الإيقاف، فلا تكتب فوق حفظ أحدث منها
+async function saveDeliveriesAsync(deliveries, file = DELIVERIES_FILE, signal) {
+  try {
+    await writeFileAtomicAsync(file, JSON.stringify(deliveries, null, 2), { signal });
+  } catch (err) {
+    if (!(signal && signal.aborted)) {
+      logger.error('saveFailed', { file: path.basename(file), err });
+    }
+  }
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// التوقيع على "timestamp.body" حتى لا يمكن إعادة إرسال طلب قديم بتوقيت جديد
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function publicWebhook(id, webhook) {
+  const { secret, ...fields } = webhook;
+  return { id, ...fields };
+}
+
+// delivery كما تظهر في القوائم: بدون نص الطلب الكامل
+function deliverySummary(delivery) {
+  const { payload, ...fields } = delivery;
+  return fields;
+}
+
+/*
+ * getWebhooks() -> { [id]: webhook }
+ * clock() -> Date ساعة التطبيق لأوقات التسليمات والتوقيع
+ * emit(event, data) يعود فوراً، والإرسال والحفظ يتمان في الخلفية
+ * saveAsync يحفظ السجل على دفعات، و save للحفظ الأخير عند stop()
+ */
+function createWebhookDispatcher({
+  getWebhooks,
+  deliveries,
+  save = saveDeliveries,
+  saveAsync = saveDeliveriesAsync,
+  post = (url, body, headers, timeout) => axios.post(url, body, { headers, timeout, validateStatus: () => true }),
+  clock = () => new Date(),
+  ...options
+}) {
+  const config = { ...DEFAULTS, ...options };
+  const timers = new Map();
+  const aborter = new AbortController();
+  let dirty = false;
+  let flushTimer = null;
+  let writing = null;
+
+  // تُحذف الأقدم من التسليمات المنتهية فقط، والمعلقة تبقى حتى تُرسل أو تفشل
+  function trim() {
+    let excess = deliveries.length - config.logLimit;
+    for (let i = 0; i < deliveries.length && excess > 0;) {
+      if (deliveries[i].status === 'pending') {
+        i++;
+      } else {
+        deliveries.splice(i, 1);
+        excess--;
+      }
+    }
+  }
+
+  // التغييرات تُجمع وتُكتب دفعة واحدة بعد انتهاء الطلب، وكتابة واحدة فقط في كل مرة
+  function persist() {
+    dirty = true;
+    if (!flushTimer && !writing && !aborter.signal.aborted) {
+      flushTimer = setImmediate(flush);
+    }
+  }
+
+  function flush() {
+    flushTimer = null;
+    dirty = false;
+    trim();
+    writing = saveAsync(deliveries, aborter.signal).finally(() => {
+      writing = null;
+      if (dirty) {
+        persist();
+      }
+    });
+  }
+
+  function schedule(delivery, delayMs) {
+    delivery.nextAttemptAt = new Date(clock().getTime() + delayMs).toISOString();
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery).catch(err => logger.error('webhookDeliveryFailed', { err }));
+    }, delayMs);
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(delivery) {
+    const webhook = getWebhooks()[delivery.webhookId];
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ at: clock().toISOString(), error: 'Webhook no longer exists' });
+      persist();
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(clock().getTime() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VetCare-License-Server',
+      'X-VetCare-Event': delivery.event,
+      'X-VetCare-Delivery': delivery.id,
+      'X-VetCare-Timestamp': String(timestamp),
+      'X-VetCare-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    };
+
+    // المدة تُقاس بمؤقت حقيقي وليس بساعة التطبيق
+    const started = process.hrtime.bigint();
+    const record = { at: clock().toISOString() };
+    try {
+      const response = await post(webhook.url, body, headers, config.timeoutMs);
+      record.statusCode = response.status;
+      record.ok = response.status >= 200 && response.status < 300;
+    } catch (err) {
+      record.ok = false;
+      record.error = err.message;
+    }
+    record.durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+    delivery.attempts.push(record);
+
+    if (record.ok) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = record.at;
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= config.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      logger.warn('webhookGaveUp', { event: delivery.event, url: webhook.url, attempts: delivery.attempts.length });
+    } else {
+      const delay = Math.min(config.baseDelayMs * 2 ** (delivery.attempts.length - 1), config.maxDelayMs);
+      schedule(delivery, delay);
+    }
+    persist();
+  }
+
+  function enqueue(webhookId, event, payload, extra = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId,
+      event,
+      status: 'pending',
+      createdAt: clock().toISOString(),
+      nextAttemptAt: null,
+      deliveredAt: null,
+      attempts: [],
+      payload,
+      ...extra
+    };
+    deliveries.push(delivery);
+    schedule(delivery, 0);
+    return delivery;
+  }
+
+  function emit(event, data) {
+    const subscribers = Object.entries(getWebhooks())
+      .filter(([, webhook]) => webhook.isActive && (webhook.events.includes('*') || webhook.events.includes(event)));
+    if (subscribers.length === 0) {
+      return [];
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: clock().toISOString(),
+      data
+    };
+    const queued = subscribers.map(([id]) => enqueue(id, event, payload));
+    persist();
+    return queued;
+  }
+
+  // إعادة إرسال يدوية: تسليم جديد بنفس المحتوى ومحاولات جديدة
+  function redeliver(deliveryId) {
+    const original = deliveries.find(delivery => delivery.id === deliveryId);
+    if (!original) {
+      return null;
+    }
+    const delivery = enqueue(original.webhookId, original.event, original.payload, { redeliveryOf: original.id });
+    persist();
+    return delivery;
+  }
+
+  // التسليمات المعلقة قبل إعادة التشغيل تُستأنف
+  function resume() {
+    const pending = deliveries.filter(delivery => delivery.status === 'pending' && !timers.has(delivery.id));
+    pending.forEach(delivery => {
+      const wait = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt) - clock() : 0;
+      schedule(delivery, Math.max(0, wait));
+    });
+    return pending.length;
+  }
+
+  // ما لم يُكتب بعد يُحفظ مباشرة، لأن الإيقاف قد يتبعه process.exit
+  function stop() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    clearImmediate(flushTimer);
+    flushTimer = null;
+    aborter.abort();
+    if (dirty || writing) {
+      dirty = false;
+      trim();
+      save(deliveries);
+    }
+  }
+
+  return { emit, redeliver, resume, stop };
+}
+
+module.exports = {
+  WEBHOOKS_FILE,
+  DELIVERIES_FILE,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  WEBHOOK_SCHEMA,
+  loadWebhooks,
+  saveWebhooks,
+  loadDeliveries,
+  saveDeliveries,
+  saveDeliveriesAsync,
+  generateWebhookSecret,
+  signPayload,
+  publicWebhook,
+  deliverySummary,
+  createWebhookDispatcher
+};
@@ -0,0 +1,741 @@
+// لوحة تحكم VetCare: تطبيق صفحة واحدة فوق واجهات REST الموجودة
+
+const ROLE_LEVELS = { viewer: 1, support: 2, owner: 3 };
+const PAGE_SIZE = 25;
+const LIST_FIELDS = 'maskedKey,customerName,planId,type,status,expirationDate,devices,maxDevices';
+
+const translations = {
+  ar: {
+    loginTitle: 'تسجيل دخول المسؤول',
+    username: 'اسم المستخدم',
+    password: 'كلمة المرور',
+    login: 'دخول',
+    logout: 'خروج',
+    licenseServer: 'خادم الرخص',
+    overview: 'نظرة عامة',
+    licenses: 'الرخص',
+    exportCsv: 'تصدير CSV',
+    newLicense: 'رخصة جديدة',
+    searchPlaceholder: 'بحث بالعميل أو آخر أرقام المفتاح',
+    allStatuses: 'كل الحالات',
+    allPlans: 'كل الخطط',
+    allTypes: 'كل الأنواع',
+    expiresTo: 'ينتهي قبل',
+    key: 'المفتاح',
+    customer: 'العميل',
+    plan: 'الخطة',
+    type: 'النوع',
+    status: 'الحالة',
+    expires: 'الانتهاء',
+    devices: 'الأجهزة',
+    previous: 'السابق',
+    next: 'التالي',
+    pageInfo: '{from}–{to} من {total}',
+    noResults: 'لا توجد نتائج',
+    backToLicenses: '→ العودة إلى الرخص',
+    extend: 'تمديد',
+    deactivate: 'تعطيل',
+    activate: 'تفعيل',
+    users: 'المستخدمون',
+    loginHistory: 'سجل الدخول',
+    auditTrail: 'سجل التدقيق',
+    validityDays: 'مدة الصلاحية (أيام)',
+    maxDevices: 'عدد الأجهزة',
+    planDefault: 'حسب الخطة',
+    noPlan: 'بدون خطة',
+    cancel: 'إلغاء',
+    create: 'إنشاء',
+    confirm: 'تأكيد',
+    licenseCreated: 'تم إنشاء الرخصة',
+    keyShownOnce: 'انسخ المفتاح الآن، لن يظهر مرة أخرى.',
+    copy: 'نسخ',
+    copied: 'تم النسخ',
+    done: 'تم',
+    daysToAdd: 'عدد الأيام',
+    confirmDeactivate: 'تعطيل الرخصة {key}؟ لن تعمل على أجهزة العميل حتى إعادة تفعيلها.',
+    extended: 'تم تمديد الرخصة',
+    activated: 'تم تفعيل الرخصة',
+    deactivated: 'تم تعطيل الرخصة',
+    release: 'تحرير',
+    released: 'تم تحرير الجهاز',
+    status_active: 'سارية',
+    status_grace: 'فترة سماح',
+    status_expired: 'منتهية',
+    status_inactive: 'معطلة',
+    status_archived: 'مؤرشفة',
+    stat_total: 'إجمالي الرخص',
+    stat_active: 'مفعلة',
+    stat_inactive: 'معطلة',
+    stat_expired: 'منتهية',
+    stat_grace: 'في فترة السماح',
+    stat_expiringIn30Days: 'تنتهي خلال 30 يوماً',
+    stat_trial: 'نسخ تجريبية',
+    stat_archived: 'مؤرشفة',
+    created: 'تاريخ الإنشاء',
+    usageCount: 'عدد مرات التحقق',
+    maxUsers: 'عدد المستخدمين',
+    role: 'الدور',
+    active: 'نشط',
+    credential: 'كلمة مرور / PIN',
+    yes: 'نعم',
+    no: 'لا',
+    deviceId: 'معرف الجهاز',
+    hostname: 'اسم الجهاز',
+    firstSeen: 'أول ظهور',
+    lastSeen: 'آخر ظهور',
+    time: 'الوقت',
+    result: 'النتيجة',
+    success: 'نجاح',
+    failure: 'فشل',
+    actor: 'المنفذ',
+    action: 'العملية',
+    changes: 'التغييرات',
+    sessionExpired: 'انتهت الجلسة، سجّل الدخول مجدداً',
+    language: 'English'
+  },
+  en: {
+    loginTitle: 'Administrator sign in',
+    username: 'Username',
+    password: 'Password',
+    login: 'Sign in',
+    logout: 'Sign out',
+    licenseServer: 'License Server',
+    overview: 'Overview',
+    licenses: 'Licenses',
+    exportCsv: 'Export CSV',
+    newLicense: 'New license',
+    searchPlaceholder: 'Search customer or key suffix',
+    allStatuses: 'All statuses',
+    allPlans: 'All plans',
+    allTypes: 'All types',
+    expiresTo: 'Expires before',
+    key: 'Key',
+    customer: 'Customer',
+    plan: 'Plan',
+    type: 'Type',
+    status: 'Status',
+    expires: 'Expires',
+    devices: 'Devices',
+    previous: 'Previous',
+    next: 'Next',
+    pageInfo: '{from}–{to} of {total}',
+    noResults: 'No results',
+    backToLicenses: '← Back to licenses',
+    extend: 'Extend',
+    deactivate: 'Deactivate',
+    activate: 'Activate',
+    users: 'Users',
+    loginHistory: 'Login history',
+    auditTrail: 'Audit trail',
+    validityDays: 'Validity (days)',
+    maxDevices: 'Devices',
+    planDefault: 'Plan default',
+    noPlan: 'No plan',
+    cancel: 'Cancel',
+    create: 'Create',
+    confirm: 'Confirm',
+    licenseCreated: 'License created',
+    keyShownOnce: 'Copy the key now. It will not be shown again.',
+    copy: 'Copy',
+    copied: 'Copied',
+    done: 'Done',
+    daysToAdd: 'Days to add',
+    confirmDeactivate: 'Deactivate license {key}? It stops working on the customer\'s devices until it is activated again.',
+    extended: 'License extended',
+    activated: 'License activated',
+    deactivated: 'License deactivated',
+    release: 'Release',
+    released: 'Device released',
+    status_active: 'Active',
+    status_grace: 'Grace period',
+    status_expired: 'Expired',
+    status_inactive: 'Inactive',
+    status_archived: 'Archived',
+    stat_total: 'Total licenses',
+    stat_active: 'Active',
+    stat_inactive: 'Inactive',
+    stat_expired: 'Expired',
+    stat_grace: 'In grace period',
+    stat_expiringIn30Days: 'Expiring in 30 days',
+    stat_trial: 'Trials',
+    stat_archived: 'Archived',
+    created: 'Created',
+    usageCount: 'Verifications',
+    maxUsers: 'Users',
+    role: 'Role',
+    active: 'Active',
+    credential: 'Password / PIN',
+    yes: 'Yes',
+    no: 'No',
+    deviceId: 'Device ID',
+    hostname: 'Hostname',
+    firstSeen: 'First seen',
+    lastSeen: 'Last seen',
+    time: 'Time',
+    result: 'Result',
+    success: 'Success',
+    failure: 'Failed',
+    actor: 'Actor',
+    action: 'Action',
+    changes: 'Changes',
+    sessionExpired: 'Your session expired, please sign in again',
+    language: 'العربية'
+  }
+};
+
+const state = {
+  lang: localStorage.getItem('vetcare.lang') || 'ar',
+  token: sessionStorage.getItem('vetcare.token'),
+  admin: null,
+  plans: [],
+  query: { q: '', status: '', planId: '', type: '', expiresTo: '', sort: '-created', offset: 0 },
+  license: null
+};
+
+const $ = selector => document.querySelector(selector);
+
+function t(key, params = {}) {
+  const text = translations[state.lang][key] || translations.en[key] || key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// إنشاء عناصر DOM بـ textContent فقط لتجنب إدخال HTML من البيانات
+function el(tag, attrs = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.entries(attrs).forEach(([name, value]) => {
+    if (name === 'className') {
+      node.className = value;
+    } else if (name.startsWith('on')) {
+      node.addEventListener(name.substring(2), value);
+    } else if (value !== null && value !== undefined) {
+      node.setAttribute(name, value);
+    }
+  });
+  [].concat(children).forEach(child => {
+    if (child !== null && child !== undefined) {
+      node.append(child instanceof Node ? child : String(child));
+    }
+  });
+  return node;
+}
+
+function formatDate(value, withTime = false) {
+  if (!value) {
+    return '—';
+  }
+  const locale = state.lang === 'ar' ? 'ar-EG' : 'en-GB';
+  const options = withTime
+    ? { dateStyle: 'medium', timeStyle: 'short' }
+    : { dateStyle: 'medium' };
+  return new Intl.DateTimeFormat(locale, options).format(new Date(value));
+}
+
+function statusBadge(status) {
+  return el('span', { className: `badge ${status}` }, t(`status_${status}`));
+}
+
+function toast(message, isError = false) {
+  const node = $('#toast');
+  node.textContent = message;
+  node.classList.toggle('error', isError);
+  node.hidden = false;
+  clearTimeout(toast.timer);
+  toast.timer = setTimeout(() => {
+    node.hidden = true;
+  }, 3500);
+}
+
+// اللغة والاتجاه
+
+function applyLanguage() {
+  document.documentElement.lang = state.lang;
+  document.documentElement.dir = state.lang === 'ar' ? 'rtl' : 'ltr';
+  document.querySelectorAll('[data-i18n]').forEach(node => {
+    node.textContent = t(node.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(node => {
+    node.placeholder = t(node.dataset.i18nPlaceholder);
+  });
+  document.querySelectorAll('.lang-toggle').forEach(node => {
+    node.textContent = t('language');
+  });
+}
+
+function toggleLanguage() {
+  state.lang = state.lang === 'ar' ? 'en' : 'ar';
+  localStorage.setItem('vetcare.lang', state.lang);
+  applyLanguage();
+  if (state.admin) {
+    route();
+  }
+}
+
+// الاتصال بالخادم
+
+async function api(method, url, body) {
+  // رسائل أخطاء الخادم بنفس لغة الواجهة
+  const headers = { 'Accept-Language': state.lang };
+  if (state.token) {
+    headers.Authorization = `Bearer ${state.token}`;
+  }
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 401 && state.admin) {
+    signOut();
+    toast(t('sessionExpired'), true);
+    throw new Error(t('sessionExpired'));
+  }
+
+  const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+  const data = isJson ? await response.json() : await response.blob();
+  if (!response.ok) {
+    throw new Error((data && data.error) || response.statusText);
+  }
+  return data;
+}
+
+function hasRole(role) {
+  return state.admin && ROLE_LEVELS[state.admin.role] >= ROLE_LEVELS[role];
+}
+
+// إخفاء الأزرار التي لا يملك المسؤول صلاحيتها
+function applyRoleVisibility() {
+  document.querySelectorAll('[data-role]').forEach(node => {
+    node.hidden = !hasRole(node.dataset.role);
+  });
+}
+
+// الدخول والخروج
+
+async function signIn(event) {
+  event.preventDefault();
+  const form = event.target;
+  const error = $('#login-error');
+  error.hidden = true;
+
+  try {
+    const result = await api('POST', '/api/admin/login', {
+      username: form.username.value,
+      password: form.password.value
+    });
+    state.token = result.token;
+    sessionStorage.setItem('vetcare.token', result.token);
+    form.reset();
+    await start();
+  } catch (err) {
+    error.textContent = err.message;
+    error.hidden = false;
+  }
+}
+
+function signOut() {
+  if (state.token) {
+    fetch('/api/admin/logout', { method: 'POST', headers: { Authorization: `Bearer ${state.token}` } }).catch(() => {});
+  }
+  state.token = null;
+  state.admin = null;
+  sessionStorage.removeItem('vetcare.token');
+  $('#app').hidden = true;
+  $('#login-view').hidden = false;
+}
+
+async function start() {
+  try {
+    state.admin = await api('GET', '/api/admin/me');
+  } catch (err) {
+    signOut();
+    return;
+  }
+
+  $('#current-admin').textContent = `${state.admin.username} (${state.admin.role})`;
+  $('#login-view').hidden = true;
+  $('#app').hidden = false;
+  applyRoleVisibility();
+  await loadPlans();
+  route();
+}
+
+async function loadPlans() {
+  try {
+    state.plans = (await api('GET', '/api/plans')).plans;
+  } catch (err) {
+    state.plans = [];
+  }
+  const select = $('#filters').planId;
+  select.replaceChildren(select.options[0]);
+  state.plans.forEach(plan => select.append(el('option', { value: plan.id }, plan.name)));
+}
+
+// التنقل: #/overview، #/licenses، #/licenses/<hash>
+
+function route() {
+  const [, section = 'overview', hash] = location.hash.split('/');
+  const view = section === 'licenses' && hash ? 'license' : section;
+
+  ['overview', 'licenses', 'license'].forEach(name => {
+    $(`#${name}-view`).hidden = name !== view;
+  });
+  document.querySelectorAll('nav a').forEach(link => {
+    link.classList.toggle('active', link.dataset.route === section);
+  });
+
+  if (view === 'overview') {
+    loadStats();
+  } else if (view === 'licenses') {
+    loadLicenses();
+  } else if (view === 'license') {
+    loadLicense(decodeURIComponent(hash));
+  }
+}
+
+// نظرة عامة
+
+async function loadStats() {
+  const container = $('#stats');
+  try {
+    const stats = await api('GET', '/api/stats');
+    const keys = ['total', 'active', 'inactive', 'grace', 'expired', 'expiringIn30Days', 'trial', 'archived'];
+    container.replaceChildren(...keys.map(key => el('div', { className: 'stat' }, [
+      el('span', { className: 'value' }, stats[key] || 0),
+      el('span', { className: 'muted' }, t(`stat_${key}`))
+    ])));
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// جدول الرخص
+
+function listParams() {
+  const params = new URLSearchParams({ fields: LIST_FIELDS, limit: PAGE_SIZE });
+  Object.entries(state.query).forEach(([name, value]) => {
+    if (value !== '' && value !== null) {
+      params.set(name, value);
+    }
+  });
+  return params;
+}
+
+async function loadLicenses() {
+  const tbody = $('#licenses-table tbody');
+  try {
+    const result = await api('GET', `/api/licenses?${listParams()}`);
+
+    if (result.licenses.length === 0) {
+      tbody.replaceChildren(el('tr', {}, el('td', { colspan: 7, className: 'empty' }, t('noResults'))));
+    } else {
+      tbody.replaceChildren(...result.licenses.map(license => el('tr', {
+        className: 'clickable',
+        onclick: () => {
+          location.hash = `#/licenses/${license.hash}`;
+        }
+      }, [
+        el('td', { className: 'mono' }, license.maskedKey),
+        el('td', {}, license.customerName || '—'),
+        el('td', {}, license.planId || '—'),
+        el('td', {}, license.type),
+        el('td', {}, statusBadge(license.status)),
+        el('td', {}, formatDate(license.expirationDate)),
+        el('td', {}, `${(license.devices || []).length}/${license.maxDevices || 1}`)
+      ])));
+    }
+
+    const from = result.total === 0 ? 0 : result.offset + 1;
+    const to = Math.min(result.offset + result.limit, result.total);
+    $('#page-info').textContent = t('pageInfo', { from, to, total: result.total });
+    $('#prev-page').disabled = result.offset === 0;
+    $('#next-page').disabled = to >= result.total;
+    updateSortIndicators();
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function updateSortIndicators() {
+  const { sort } = state.query;
+  const field = sort.replace(/^-/, '');
+  document.querySelectorAll('#licenses-table th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === field && !sort.startsWith('-'));
+    th.classList.toggle('sorted-desc', th.dataset.sort === field && sort.startsWith('-'));
+  });
+}
+
+function changeSort(field) {
+  state.query.sort = state.query.sort === field ? `-${field}` : field;
+  state.query.offset = 0;
+  loadLicenses();
+}
+
+let filterTimer = null;
+function onFilterChange() {
+  clearTimeout(filterTimer);
+  filterTimer = setTimeout(() => {
+    const form = $('#filters');
+    ['q', 'status', 'planId', 'type', 'expiresTo'].forEach(name => {
+      state.query[name] = form[name].value.trim();
+    });
+    state.query.offset = 0;
+    loadLicenses();
+  }, 250);
+}
+
+async function exportCsv() {
+  try {
+    const params = listParams();
+    ['fields', 'limit', 'offset', 'sort'].forEach(name => params.delete(name));
+    const blob = await api('GET', `/api/licenses/export?${params}`);
+    const link = el('a', {
+      href: URL.createObjectURL(blob),
+      download: `licenses-${new Date().toISOString().slice(0, 10)}.csv`
+    });
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// تفاصيل الرخصة
+
+function renderTable(table, columns, rows) {
+  const head = el('thead', {}, el('tr', {}, columns.map(column => el('th', {}, t(column.label)))));
+  const body = el('tbody', {}, rows.length === 0
+    ? el('tr', {}, el('td', { colspan: columns.length, className: 'empty' }, t('noResults')))
+    : rows.map(row => el('tr', {}, columns.map(column => el('td', { className: column.className || null }, column.render(row))))));
+  table.replaceChildren(head, body);
+}
+
+async function loadLicense(hash) {
+  try {
+    const [license, audit] = await Promise.all([
+      api('GET', `/api/licenses/${encodeURIComponent(hash)}`),
+      api('GET', `/api/licenses/${encodeURIComponent(hash)}/audit?limit=50`)
+    ]);
+    state.license = license;
+    renderLicense(license, audit.entries);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+function renderLicense(license, auditEntries) {
+  $('#license-title').replaceChildren(el('span', { className: 'mono' }, license.maskedKey));
+  $('#toggle-active').textContent = t(license.isActive ? 'deactivate' : 'activate');
+  $('#toggle-active').className = license.isActive ? 'danger' : 'primary';
+
+  const summary = [
+    ['customer', license.customerName || license.customerId || '—'],
+    ['plan', license.planId || '—'],
+    ['type', license.type],
+    ['status', statusBadge(license.status)],
+    ['created', formatDate(license.created)],
+    ['expires', formatDate(license.expirationDate)],
+    ['devices', `${(license.devices || []).length}/${license.maxDevices || 1}`],
+    ['maxUsers', license.maxUsers || '—'],
+    ['usageCount', license.usageCount || 0]
+  ];
+  $('#license-summary').replaceChildren(...summary.flatMap(([label, value]) => [
+    el('dt', {}, t(label)),
+    el('dd', {}, value)
+  ]));
+
+  renderTable($('#users-table'), [
+    { label: 'username', render: user => user.username },
+    { label: 'role', render: user => user.role },
+    { label: 'active', render: user => t(user.isActive ? 'yes' : 'no') },
+    { label: 'credential', render: user => t(user.hasCredential ? 'yes' : 'no') }
+  ], license.users || []);
+
+  renderTable($('#devices-table'), [
+    { label: 'deviceId', className: 'mono', render: device => device.deviceId },
+    { label: 'hostname', render: device => device.hostname || '—' },
+    { label: 'firstSeen', render: device => formatDate(device.firstSeen, true) },
+    { label: 'lastSeen', render: device => formatDate(device.lastSeen, true) },
+    {
+      label: 'release',
+      render: device => (hasRole('support')
+        ? el('button', { type: 'button', onclick: () => releaseDevice(device.deviceId) }, t('release'))
+        : '')
+    }
+  ], license.devices || []);
+
+  renderTable($('#logins-table'), [
+    { label: 'time', render: entry => formatDate(entry.timestamp, true) },
+    { label: 'username', render: entry => entry.username },
+    { label: 'result', render: entry => (entry.success ? t('success') : `${t('failure')}${entry.reason ? ` — ${entry.reason}` : ''}`) }
+  ], (license.loginHistory || []).slice().reverse().slice(0, 50));
+
+  renderTable($('#audit-table'), [
+    { label: 'time', render: entry => formatDate(entry.timestamp, true) },
+    { label: 'actor', render: entry => entry.actor },
+    { label: 'action', className: 'mono', render: entry => entry.action },
+    { label: 'changes', render: entry => Object.keys(entry.changes || {}).join(', ') || '—' }
+  ], auditEntries);
+}
+
+async function releaseDevice(deviceId) {
+  const { hash } = state.license;
+  try {
+    await api('DELETE', `/api/licenses/${hash}/devices/${encodeURIComponent(deviceId)}`);
+    toast(t('released'));
+    loadLicense(hash);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+async function toggleActive() {
+  const { hash, isActive, maskedKey } = state.license;
+
+  if (isActive) {
+    $('#confirm-message').textContent = t('confirmDeactivate', { key: maskedKey });
+    const dialog = $('#confirm-dialog');
+    dialog.returnValue = '';
+    dialog.showModal();
+    await new Promise(resolve => dialog.addEventListener('close', resolve, { once: true }));
+    if (dialog.returnValue !== 'ok') {
+      return;
+    }
+  }
+
+  try {
+    await api('PUT', `/api/licenses/${hash}/${isActive ? 'deactivate' : 'activate'}`);
+    toast(t(isActive ? 'deactivated' : 'activated'));
+    loadLicense(hash);
+  } catch (err) {
+    toast(err.message, true);
+  }
+}
+
+// النوافذ
+
+function showFormError(form, message) {
+  const error = form.querySelector('.error');
+  error.textContent = message;
+  error.hidden = !message;
+}
+
+async function openCreateDialog() {
+  const form = $('#create-form');
+  form.reset();
+  showFormError(form, '');
+
+  try {
+    const customers = await api('GET', '/api/customers');
+    form.customerId.replaceChildren(...customers.map(customer => el('option', { value: customer.id }, `${customer.clinicName} (${customer.code})`)));
+  } catch (err) {
+    toast(err.message, true);
+    return;
+  }
+  form.planId.replaceChildren(
+    el('option', { value: '' }, t('noPlan')),
+    ...state.plans.map(plan => el('option', { value: plan.id }, plan.name))
+  );
+  $('#create-dialog').showModal();
+}
+
+async function submitCreate(event) {
+  event.preventDefault();
+  const form = event.target;
+  const body = { customerId: form.customerId.value };
+  if (form.planId.value) {
+    body.planId = form.planId.value;
+  }
+  ['validityDays', 'maxDevices'].forEach(name => {
+    if (form[name].value) {
+      body[name] = Number(form[name].value);
+    }
+  });
+
+  try {
+    const result = await api('POST', '/api/licenses', body);
+    $('#create-dialog').close();
+    $('#new-key').textContent = result.licenseKey;
+    $('#key-dialog').showModal();
+    loadLicenses();
+  } catch (err) {
+    showFormError(form, err.message);
+  }
+}
+
+async function submitExtend(event) {
+  event.preventDefault();
+  const form = event.target;
+  const { hash } = state.license;
+
+  try {
+    await api('PUT', `/api/licenses/${hash}/extend`, { daysToAdd: Number(form.daysToAdd.value) });
+    $('#extend-dialog').close();
+    toast(t('extended'));
+    loadLicense(hash);
+  } catch (err) {
+    showFormError(form, err.message);
+  }
+}
+
+async function copyKey() {
+  try {
+    await navigator.clipboard.writeText($('#new-key').textContent);
+    toast(t('copied'));
+  } catch (err) {
+    // بدون HTTPS قد لا يتوفر clipboard، المفتاح ظاهر للنسخ اليدوي
+    toast(err.message, true);
+  }
+}
+
+// ربط الأحداث
+
+document.addEventListener('DOMContentLoaded', () => {
+  applyLanguage();
+
+  $('#login-form').addEventListener('submit', signIn);
+  $('#logout').addEventListener('click', signOut);
+  document.querySelectorAll('.lang-toggle').forEach(button => button.addEventListener('click', toggleLanguage));
+  window.addEventListener('hashchange', () => {
+    if (state.admin) {
+      route();
+    }
+  });
+
+  $('#filters').addEventListener('input', onFilterChange);
+  $('#filters').addEventListener('submit', event => event.preventDefault());
+  document.querySelectorAll('#licenses-table th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => changeSort(th.dataset.sort));
+  });
+  $('#prev-page').addEventListener('click', () => {
+    state.query.offset = Math.max(0, state.query.offset - PAGE_SIZE);
+    loadLicenses();
+  });
+  $('#next-page').addEventListener('click', () => {
+    state.query.offset += PAGE_SIZE;
+    loadLicenses();
+  });
+  $('#export-csv').addEventListener('click', exportCsv);
+
+  $('#open-create').addEventListener('click', openCreateDialog);
+  $('#create-form').addEventListener('submit', submitCreate);
+  $('#copy-key').addEventListener('click', copyKey);
+  $('#open-extend').addEventListener('click', () => {
+    showFormError($('#extend-form'), '');
+    $('#extend-dialog').showModal();
+  });
+  $('#extend-form').addEventListener('submit', submitExtend);
+  $('#toggle-active').addEventListener('click', toggleActive);
+  document.querySelectorAll('dialog .cancel').forEach(button => {
+    button.addEventListener('click', () => button.closest('dialog').close());
+  });
+
+  if (state.token) {
+    start();
+  } else {
+    signOut();
+  }
+});
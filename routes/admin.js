@@ -0,0 +1,250 @@
+const express = require('express');
+const crypto = require('crypto');
+const {
+  hashPassword,
+  verifyPassword,
+  ROLES
+} = require('../lib/auth');
+const { getPublicKeys } = require('../lib/tokens');
+const { validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+// Dummy hash so unknown usernames cost the same as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+const USERNAME = { type: 'string', required: true, nonEmpty: true };
+const PASSWORD = { type: 'string', required: true, nonEmpty: true };
+const ROLE = { type: 'string', oneOf: ROLES, code: 'INVALID_ROLE' };
+const USERNAME_PARAMS = { username: { type: 'string', nonEmpty: true } };
+
+const LOGIN_REQUEST = { body: { username: USERNAME, password: PASSWORD } };
+const CREATE_ADMIN_REQUEST = { body: { username: USERNAME, password: PASSWORD, role: ROLE } };
+const UPDATE_ADMIN_REQUEST = {
+  params: USERNAME_PARAMS,
+  body: { role: ROLE, password: { ...PASSWORD, required: false } }
+};
+const ADMIN_REQUEST = { params: USERNAME_PARAMS };
+
+// حسابات المسؤولين، الحظر المؤقت ومفاتيح توقيع الرموز
+function createAdminRouter(ctx) {
+  const {
+    clock,
+    admins,
+    signingKeys,
+    rateLimiter,
+    internalError,
+    diagnose,
+    saveAdmins,
+    rotateSigningKey,
+    sessions,
+    loginThrottle,
+    authenticate,
+    requireRole
+  } = ctx;
+  const router = express.Router();
+
+  // Admin authentication
+
+  function publicAdmin(username, admin) {
+    return {
+      username,
+      role: admin.role,
+      createdAt: admin.createdAt,
+      lastLoginAt: admin.lastLoginAt || null
+    };
+  }
+
+  function countOwners() {
+    return Object.values(admins).filter(admin => admin.role === 'owner').length;
+  }
+
+  router.post('/api/admin/login', validate(LOGIN_REQUEST), (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      // الاسم المقفل يُرفض قبل فحص كلمة المرور، حتى الصحيحة
+      const lockedUntil = loginThrottle.lockedUntil(username);
+      if (lockedUntil) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((lockedUntil - clock()) / 1000))));
+        return res.status(429).json({ ...errorBody(req, 'LOGIN_LOCKED'), lockedUntil: lockedUntil.toISOString() });
+      }
+
+      const admin = admins[username];
+      const passwordOk = verifyPassword(password, admin ? admin.passwordHash : DUMMY_PASSWORD_HASH);
+
+      if (!admin || !passwordOk) {
+        const locked = loginThrottle.fail(username);
+        if (locked) {
+          req.log.warn('adminLoginLocked', { username, until: locked.toISOString() });
+        }
+        return res.status(401).json(errorBody(req, 'INVALID_LOGIN'));
+      }
+
+      loginThrottle.succeed(username);
+      admin.lastLoginAt = clock().toISOString();
+      saveAdmins(admins);
+
+      const session = sessions.create(username, admin.role);
+      res.json({
+        success: true,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        admin: publicAdmin(username, admin)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.post('/api/admin/logout', authenticate, (req, res) => {
+    sessions.destroy(req.admin.token);
+    res.json({ success: true, message: localize(req, 'LOGGED_OUT') });
+  });
+
+  router.get('/api/admin/me', authenticate, (req, res) => {
+    const admin = admins[req.admin.username];
+    if (!admin) {
+      return res.status(404).json(errorBody(req, 'ADMIN_NOT_FOUND'));
+    }
+    res.json(publicAdmin(req.admin.username, admin));
+  });
+
+  router.get('/api/admin/users', requireRole('owner'), (req, res) => {
+    try {
+      res.json(Object.entries(admins).map(([username, admin]) => publicAdmin(username, admin)));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.post('/api/admin/users', requireRole('owner'), validate(CREATE_ADMIN_REQUEST), (req, res) => {
+    try {
+      const { username, password, role = 'viewer' } = req.body;
+
+      if (admins[username]) {
+        return res.status(400).json(errorBody(req, 'ADMIN_EXISTS'));
+      }
+
+      admins[username] = {
+        passwordHash: hashPassword(password),
+        role,
+        createdAt: clock().toISOString()
+      };
+      saveAdmins(admins);
+
+      res.status(201).json({
+        success: true,
+        message: localize(req, 'ADMIN_CREATED'),
+        admin: publicAdmin(username, admins[username])
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.put('/api/admin/users/:username', requireRole('owner'), validate(UPDATE_ADMIN_REQUEST), (req, res) => {
+    try {
+      const { username } = req.params;
+      const { role, password } = req.body;
+      const admin = admins[username];
+
+      if (!admin) {
+        return res.status(404).json(errorBody(req, 'ADMIN_NOT_FOUND'));
+      }
+
+      if (role && role !== 'owner' && admin.role === 'owner' && countOwners() === 1) {
+        return res.status(400).json(errorBody(req, 'LAST_OWNER'));
+      }
+
+      if (role) {
+        admin.role = role;
+      }
+      if (password) {
+        admin.passwordHash = hashPassword(password);
+      }
+      saveAdmins(admins);
+      sessions.revoke(username);
+
+      res.json({ success: true, message: localize(req, 'ADMIN_UPDATED'), admin: publicAdmin(username, admin) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.delete('/api/admin/users/:username', requireRole('owner'), validate(ADMIN_REQUEST), (req, res) => {
+    try {
+      const { username } = req.params;
+
+      if (!admins[username]) {
+        return res.status(404).json(errorBody(req, 'ADMIN_NOT_FOUND'));
+      }
+
+      if (username === req.admin.username) {
+        return res.status(400).json(errorBody(req, 'CANNOT_DELETE_SELF'));
+      }
+
+      delete admins[username];
+      saveAdmins(admins);
+      sessions.revoke(username);
+
+      res.json({ success: true, message: localize(req, 'ADMIN_DELETED') });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // API Routes
+
+  // الحظر المؤقت الناتج عن تحديد المعدل
+  router.get('/api/admin/rate-limits', requireRole('support'), (req, res) => {
+    res.json({ blocks: rateLimiter.listBlocks() });
+  });
+
+  router.delete('/api/admin/rate-limits', requireRole('support'), (req, res) => {
+    const cleared = rateLimiter.clearAll();
+    req.log.info('blocksCleared', { count: cleared, admin: req.admin.username });
+    res.json({ success: true, message: localize(req, 'BLOCKS_CLEARED', { count: cleared }) });
+  });
+
+  router.delete('/api/admin/rate-limits/:id', requireRole('support'), (req, res) => {
+    if (!rateLimiter.clearBlock(req.params.id)) {
+      return res.status(404).json(errorBody(req, 'BLOCK_NOT_FOUND'));
+    }
+    req.log.info('blockCleared', { id: req.params.id, admin: req.admin.username });
+    res.json({ success: true, message: localize(req, 'BLOCK_CLEARED') });
+  });
+
+  // Offline token signing keys
+
+  // Public keys used by desktop clients to verify offline tokens
+  router.get('/api/public-keys', (req, res) => {
+    try {
+      res.json({ keys: getPublicKeys(signingKeys) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.post('/api/admin/signing-keys/rotate', requireRole('owner'), (req, res) => {
+    try {
+      const key = rotateSigningKey(signingKeys);
+      req.log.info('signingKeyRotated', { kid: key.kid });
+      res.json({ success: true, message: localize(req, 'SIGNING_KEY_ROTATED'), keys: getPublicKeys(signingKeys) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تقرير التشخيص الذاتي، ok=false إذا فشل أي فحص
+  router.get('/api/admin/diagnostics', requireRole('owner'), async (req, res) => {
+    try {
+      res.json(await diagnose(req.lang));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,64 @@
+const express = require('express');
+const { queryAudit } = require('../lib/audit');
+const { HASH_PARAMS, validate } = require('../lib/schema');
+const { errorBody } = require('../lib/i18n');
+
+const AUDIT_QUERY = {
+  actor: { type: 'string' },
+  action: { type: 'string' },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  limit: { type: 'integer', min: 1 },
+  offset: { type: 'integer', min: 0 }
+};
+const LIST_REQUEST = { query: { ...AUDIT_QUERY, license: { type: 'string' } } };
+const LICENSE_AUDIT_REQUEST = { params: HASH_PARAMS, query: AUDIT_QUERY };
+
+// سجل التدقيق
+function createAuditRouter(ctx) {
+  const { licenses, auditLog, internalError, requireRole } = ctx;
+  const router = express.Router();
+
+  // القيم مفحوصة مسبقاً عبر AUDIT_QUERY
+  function auditFilters(query) {
+    const { actor, action, from, to } = query;
+    return {
+      actor,
+      action,
+      from,
+      to,
+      limit: Math.min(parseInt(query.limit, 10) || 100, 1000),
+      offset: parseInt(query.offset, 10) || 0
+    };
+  }
+
+  router.get('/api/audit', requireRole('viewer'), validate(LIST_REQUEST), (req, res) => {
+    try {
+      res.json(queryAudit(auditLog, { ...auditFilters(req.query), license: req.query.license }));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/licenses/:hash/audit', requireRole('viewer'), validate(LICENSE_AUDIT_REQUEST), (req, res) => {
+    try {
+      const { hash } = req.params;
+      const filters = auditFilters(req.query);
+
+      // السجل يبقى متاحاً حتى بعد حذف الرخصة، ويشمل الـ hash القديم بعد تغيير المفتاح
+      const previousHashes = licenses[hash] ? licenses[hash].previousHashes || [] : [];
+      const history = queryAudit(auditLog, { ...filters, license: [hash, ...previousHashes] });
+      if (!licenses[hash] && history.total === 0) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      res.json({ hash, ...history });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
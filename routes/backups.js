@@ -0,0 +1,100 @@
+const express = require('express');
+const { validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const RESTORE_REQUEST = {
+  params: { file: { type: 'string', required: true } },
+  body: { dryRun: { type: 'boolean' } }
+};
+
+// مشاكل النسخة لكل hash مع رسالة مترجمة
+function problemList(req, problems) {
+  return problems.map(({ hash, code, params }) => ({
+    hash,
+    field: params.field,
+    code,
+    message: localize(req, code, params)
+  }));
+}
+
+// النسخ الاحتياطية لملف الرخص، للمالك فقط لأنها تحتوي كل بيانات العيادات
+function createBackupsRouter(ctx) {
+  const { backups, restoreBackup, audit, internalError, requireRole } = ctx;
+  const router = express.Router();
+
+  router.get('/api/admin/backups', requireRole('owner'), (req, res) => {
+    try {
+      res.json({
+        enabled: backups.isRunning(),
+        dir: backups.dir,
+        keep: backups.keep,
+        intervalHours: backups.intervalHours,
+        backups: backups.list()
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // نسخة فورية بدل انتظار الموعد
+  router.post('/api/admin/backups', requireRole('owner'), (req, res) => {
+    try {
+      const backup = backups.snapshot('manual');
+      audit(req, 'backup.create', backup.file, null, null, { details: { licenses: backup.licenses } });
+      res.status(201).json({
+        success: true,
+        message: localize(req, 'BACKUP_CREATED', { file: backup.file, count: backup.licenses }),
+        backup
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // dryRun يفحص النسخة فقط دون استعادتها
+  router.post('/api/admin/backups/:file/restore', requireRole('owner'), validate(RESTORE_REQUEST), (req, res) => {
+    try {
+      const { file } = req.params;
+      const { dryRun = false } = req.body;
+      const result = restoreBackup(file, { dryRun });
+
+      if (result.error) {
+        const status = result.error.code === 'BACKUP_NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({
+          success: false,
+          ...errorBody(req, result.error),
+          ...(result.problems ? { problems: problemList(req, result.problems) } : {})
+        });
+      }
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun,
+          message: localize(req, 'BACKUP_VALID', { file, count: result.backup.licenses }),
+          backup: result.backup,
+          skipped: problemList(req, result.skipped)
+        });
+      }
+
+      audit(req, 'backup.restore', file, null, null, {
+        details: { licenses: result.loaded, skipped: result.skipped.length, preRestore: result.preRestore.file }
+      });
+      res.json({
+        success: true,
+        dryRun,
+        message: localize(req, 'BACKUP_RESTORED', { file, count: result.loaded }),
+        backup: result.backup,
+        preRestore: result.preRestore,
+        restored: result.loaded,
+        skipped: problemList(req, result.skipped)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBackupsRouter };
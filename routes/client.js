@@ -0,0 +1,481 @@
+const express = require('express');
+const { issueOfflineToken } = require('../lib/tokens');
+const {
+  findDevice,
+  registerDevice,
+  transferDevice
+} = require('../lib/devices');
+const { snapshotLicense } = require('../lib/audit');
+const { resolveEntitlements } = require('../lib/plans');
+const { resolveLicenseRole, getRolePermissions } = require('../lib/license-roles');
+const {
+  hasCredential,
+  checkUserCredential,
+  isLocked,
+  registerFailedAttempt,
+  clearFailedAttempts,
+  recordLogin
+} = require('../lib/user-credentials');
+const { maskLicenseKey } = require('../lib/license-keys');
+const {
+  TRIAL_DAYS,
+  TRIAL_MAX_USERS,
+  TRIAL_FEATURES,
+  fingerprintHash,
+  generateTrialKey,
+  isTrial
+} = require('../lib/trials');
+const { DAY_MS, getExpiryStatus, isArchived } = require('../lib/license-status');
+const {
+  LOG_LANGUAGE,
+  translate,
+  localize,
+  reasonBody
+} = require('../lib/i18n');
+const { validate } = require('../lib/schema');
+
+const LICENSE_KEY = { type: 'string', required: true, nonEmpty: true };
+const DEVICE_ID = { type: 'string', required: true, nonEmpty: true };
+const HOSTNAME = { type: 'string', nullable: true };
+
+const VALIDATE_REQUEST = { body: { licenseKey: LICENSE_KEY } };
+const VERIFY_REQUEST = { body: { licenseKey: LICENSE_KEY, deviceId: DEVICE_ID, hostname: HOSTNAME } };
+
+const TRIAL_REQUEST = {
+  body: {
+    deviceId: DEVICE_ID,
+    hostname: HOSTNAME,
+    customerId: { type: 'string', nullable: true }
+  }
+};
+
+const TRANSFER_REQUEST = {
+  body: {
+    licenseKey: LICENSE_KEY,
+    deviceId: DEVICE_ID,
+    hostname: HOSTNAME,
+    replaceDeviceId: { type: 'string', nullable: true }
+  }
+};
+
+// pin نص كما يُحفظ، فالرقم يفقد الأصفار في أوله (0123 تصل 123) ولا يطابق أبداً
+const VERIFY_USER_REQUEST = {
+  body: {
+    username: { type: 'string', required: true, nonEmpty: true },
+    licenseKey: LICENSE_KEY,
+    deviceId: { type: 'string', nullable: true },
+    password: { type: 'string' },
+    pin: { type: 'string' }
+  }
+};
+
+// مسارات تطبيق العيادة: التحقق من الرخصة والنسخ التجريبية ونقل الأجهزة
+function createClientRouter(ctx) {
+  const {
+    config,
+    clock,
+    licenses,
+    signingKeys,
+    plans,
+    rateLimiter,
+    trialRegistry,
+    customers,
+    saveLicense,
+    hashLicense,
+    notify,
+    audit,
+    internalError,
+    saveTrialRegistry
+  } = ctx;
+  const router = express.Router();
+
+  // Validate license
+  router.post('/api/licenses/validate', rateLimiter.middleware, validate(VALIDATE_REQUEST, { valid: false }), (req, res) => {
+    try {
+      const { licenseKey } = req.body;
+      const hash = hashLicense(licenseKey);
+      const license = licenses[hash];
+
+      if (!license) {
+        rateLimiter.recordNotFound(req);
+        return res.json({ valid: false, ...reasonBody(req, 'LICENSE_NOT_FOUND') });
+      }
+
+      if (isArchived(license)) {
+        return res.json({ valid: false, ...reasonBody(req, 'LICENSE_ARCHIVED') });
+      }
+
+      const now = clock();
+      const expiry = getExpiryStatus(license, plans, now);
+
+      if (expiry.status === 'expired') {
+        return res.json({ valid: false, ...reasonBody(req, 'LICENSE_EXPIRED') });
+      }
+
+      if (!license.isActive) {
+        return res.json({ valid: false, ...reasonBody(req, 'LICENSE_INACTIVE') });
+      }
+
+      license.usageCount++;
+      saveLicense(hash);
+
+      res.json({
+        valid: true,
+        status: expiry.status,
+        graceEndsAt: expiry.graceEndsAt,
+        customerId: license.customerId,
+        expirationDate: license.expirationDate,
+        type: license.type
+      });
+    } catch (err) {
+      internalError(req, res, err, { valid: false });
+    }
+  });
+
+  // API للتحقق من بيانات المستخدم والرخصة
+  router.post('/api/verify-license', rateLimiter.middleware, validate(VERIFY_REQUEST, { valid: false }), (req, res) => {
+    try {
+      const { licenseKey, deviceId, hostname } = req.body;
+      const hash = hashLicense(licenseKey);
+      const license = licenses[hash];
+      req.log.debug('verifyStarted', { hash: hash.substring(0, 12), deviceId });
+
+      if (!license) {
+        req.log.info('verifyRejected', { code: 'LICENSE_NOT_FOUND', reason: translate('LICENSE_NOT_FOUND', LOG_LANGUAGE) });
+        rateLimiter.recordNotFound(req);
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_NOT_FOUND')
+        });
+      }
+
+      if (isArchived(license)) {
+        req.log.info('verifyRejected', { code: 'LICENSE_ARCHIVED', reason: translate('LICENSE_ARCHIVED', LOG_LANGUAGE) });
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_ARCHIVED')
+        });
+      }
+
+      // التحقق من انتهاء الرخصة (مع فترة السماح)
+      const now = clock();
+      const expirationDate = new Date(license.expirationDate);
+      const expiry = getExpiryStatus(license, plans, now);
+      if (expiry.status === 'expired') {
+        req.log.info('verifyRejected', { code: 'LICENSE_EXPIRED', reason: translate('LICENSE_EXPIRED', LOG_LANGUAGE) });
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_EXPIRED')
+        });
+      }
+
+      if (expiry.status === 'grace') {
+        req.log.info('verifyInGrace', { graceEndsAt: expiry.graceEndsAt });
+      }
+
+      // التحقق من تفعيل الرخصة
+      if (!license.isActive) {
+        req.log.info('verifyRejected', { code: 'LICENSE_INACTIVE', reason: translate('LICENSE_INACTIVE', LOG_LANGUAGE) });
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_INACTIVE')
+        });
+      }
+
+      // تسجيل الجهاز في أحد مقاعد الرخصة
+      const seat = registerDevice(license, deviceId, hostname, now);
+      if (!seat.ok) {
+        req.log.info('verifyRejected', {
+          code: seat.code,
+          reason: `${translate(seat.code, LOG_LANGUAGE)} (${license.devices.length}/${license.maxDevices})`
+        });
+        return res.json({
+          valid: false,
+          ...reasonBody(req, seat.code)
+        });
+      }
+
+      if (seat.isNew) {
+        req.log.info('deviceBound', { deviceId, count: license.devices.length, limit: license.maxDevices });
+        notify('device.bound', hash, license, { device: seat.device });
+      }
+
+      req.log.debug('verifySucceeded');
+
+      // حفظ التحديثات
+      saveLicense(hash);
+
+      const entitlements = resolveEntitlements(license, plans);
+      const offline = issueOfflineToken(signingKeys, {
+        hash,
+        license,
+        entitlements,
+        deviceId,
+        validUntil: expiry.validUntil,
+        now
+      });
+
+      return res.json({
+        valid: true,
+        status: expiry.status,
+        graceEndsAt: expiry.graceEndsAt,
+        licenseName: license.name || 'VetCare License',
+        expirationDate: license.expirationDate,
+        type: license.type,
+        boundDeviceId: deviceId,
+        maxDevices: license.maxDevices,
+        devicesUsed: license.devices.length,
+        remainingDays: Math.max(0, Math.ceil((expirationDate - now) / DAY_MS)),
+        entitlements,
+        offlineToken: offline.token,
+        offlineTokenExpiresAt: offline.expiresAt
+      });
+    } catch (err) {
+      internalError(req, res, err, { valid: false });
+    }
+  });
+
+  // طلب نسخة تجريبية من التطبيق: نسخة واحدة فقط لكل جهاز حتى بعد إعادة التثبيت
+  router.post('/api/trials', rateLimiter.middleware, validate(TRIAL_REQUEST, { success: false }), (req, res) => {
+    try {
+      const { deviceId, hostname, customerId } = req.body;
+      const fingerprint = fingerprintHash(deviceId);
+      const previous = trialRegistry[fingerprint];
+      if (previous) {
+        return res.json({
+          success: false,
+          ...reasonBody(req, 'TRIAL_ALREADY_USED'),
+          trialIssuedAt: previous.issuedAt,
+          trialExpiresAt: previous.expiresAt
+        });
+      }
+
+      const licenseKey = generateTrialKey();
+      const hash = hashLicense(licenseKey);
+      const now = clock();
+      const expirationDate = new Date(now.getTime() + TRIAL_DAYS * 24 * 60 * 60 * 1000);
+
+      const license = {
+        maskedKey: maskLicenseKey(licenseKey),
+        customerId: customers[customerId] ? customerId : null,
+        type: 'trial',
+        planId: null,
+        features: [...TRIAL_FEATURES],
+        created: now.toISOString(),
+        expirationDate: expirationDate.toISOString(),
+        validityDays: TRIAL_DAYS,
+        deviceFingerprint: fingerprint,
+        maxDevices: 1,
+        maxUsers: TRIAL_MAX_USERS,
+        devices: [],
+        usageCount: 0,
+        isActive: true
+      };
+      registerDevice(license, deviceId, hostname, now);
+
+      licenses[hash] = license;
+      saveLicense(hash);
+      trialRegistry[fingerprint] = {
+        licenseHash: hash,
+        issuedAt: license.created,
+        expiresAt: license.expirationDate
+      };
+      saveTrialRegistry(trialRegistry);
+      audit(req, 'license.create', hash, null, snapshotLicense(license), { details: { trial: true } });
+      notify('license.created', hash, license, { deviceId });
+
+      req.log.info('trialIssued', { key: license.maskedKey, deviceId });
+      res.status(201).json({
+        success: true,
+        message: localize(req, 'TRIAL_ISSUED', { days: TRIAL_DAYS }),
+        licenseKey,
+        expirationDate: license.expirationDate,
+        features: license.features
+      });
+    } catch (err) {
+      internalError(req, res, err, { success: false });
+    }
+  });
+
+  // نقل مقعد إلى جهاز جديد من طرف العميل بعد تغيير الجهاز
+  router.post('/api/transfer-device', rateLimiter.middleware, validate(TRANSFER_REQUEST, { success: false }), (req, res) => {
+    try {
+      const { licenseKey, deviceId, hostname, replaceDeviceId } = req.body;
+      const hash = hashLicense(licenseKey);
+      const license = licenses[hash];
+
+      if (!license) {
+        rateLimiter.recordNotFound(req);
+        return res.json({ success: false, ...reasonBody(req, 'LICENSE_NOT_FOUND') });
+      }
+
+      if (isArchived(license)) {
+        return res.json({ success: false, ...reasonBody(req, 'LICENSE_ARCHIVED') });
+      }
+
+      const now = clock();
+      if (getExpiryStatus(license, plans, now).status === 'expired') {
+        return res.json({ success: false, ...reasonBody(req, 'LICENSE_EXPIRED') });
+      }
+
+      if (!license.isActive) {
+        return res.json({ success: false, ...reasonBody(req, 'LICENSE_INACTIVE') });
+      }
+
+      // النسخة التجريبية مرتبطة بجهاز واحد ولا تنتقل
+      if (isTrial(license)) {
+        return res.json({ success: false, ...reasonBody(req, 'TRIAL_NOT_TRANSFERABLE') });
+      }
+
+      const result = transferDevice(license, { deviceId, hostname, replaceDeviceId }, now);
+      if (!result.ok) {
+        return res.json({
+          success: false,
+          ...reasonBody(req, result.code),
+          nextTransferAt: result.nextTransferAt
+        });
+      }
+
+      saveLicense(hash);
+      audit(req, 'device.transfer', hash, result.released, result.device, { subject: deviceId });
+      notify('device.transferred', hash, license, { device: result.device, releasedDevice: result.released || null });
+
+      if (result.released) {
+        req.log.info('deviceReplaced', { deviceId, replacedDeviceId: result.released.deviceId });
+      } else {
+        req.log.info('deviceTransferred', { deviceId });
+      }
+      res.json({
+        success: true,
+        message: localize(req, 'DEVICE_TRANSFERRED'),
+        device: result.device,
+        releasedDeviceId: result.released ? result.released.deviceId : null
+      });
+    } catch (err) {
+      internalError(req, res, err, { success: false });
+    }
+  });
+
+  router.post('/api/verify-user-license', rateLimiter.middleware, validate(VERIFY_USER_REQUEST, { valid: false }), (req, res) => {
+    try {
+      const { username, licenseKey, deviceId, password, pin } = req.body;
+      const hash = hashLicense(licenseKey);
+      const license = licenses[hash];
+
+      if (!license) {
+        rateLimiter.recordNotFound(req);
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_NOT_FOUND')
+        });
+      }
+
+      if (isArchived(license)) {
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_ARCHIVED')
+        });
+      }
+
+      // التحقق من انتهاء الرخصة (مع فترة السماح)
+      const now = clock();
+      const expiry = getExpiryStatus(license, plans, now);
+      if (expiry.status === 'expired') {
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_EXPIRED')
+        });
+      }
+
+      // التحقق من تفعيل الرخصة
+      if (!license.isActive) {
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'LICENSE_INACTIVE')
+        });
+      }
+
+      // التحقق من وجود المستخدم في الرخصة
+      if (!license.users || license.users.length === 0) {
+        return res.json({
+          valid: false,
+          ...reasonBody(req, 'NO_USERS_ASSIGNED')
+        });
+      }
+
+      // تسجيل المحاولة الفاشلة في loginHistory قبل الرد
+      // سجل الدخول يحفظ الرمز الثابت وليس النص المترجم
+      const reject = (code, extra = {}) => {
+        recordLogin(license, username, false, code, now);
+        saveLicense(hash);
+        return res.json({ valid: false, ...reasonBody(req, code), ...extra });
+      };
+
+      // أسماء المستخدمين الخاطئة تُحسب مع المفاتيح غير الموجودة حتى لا يمكن تخمينها
+      const user = license.users.find(u => u.username === username);
+      if (!user) {
+        rateLimiter.recordNotFound(req);
+        return reject('USER_NOT_ASSIGNED');
+      }
+
+      if (!user.isActive) {
+        return reject('USER_INACTIVE');
+      }
+
+      if (isLocked(user, now)) {
+        return reject('USER_LOCKED', { lockedUntil: user.lockedUntil });
+      }
+
+      // التحقق من كلمة المرور أو PIN
+      if (hasCredential(user)) {
+        const secret = password !== undefined ? password : pin;
+        if (!secret || !checkUserCredential(user, secret)) {
+          registerFailedAttempt(user, now);
+          return reject('INVALID_CREDENTIALS', isLocked(user, now) ? { lockedUntil: user.lockedUntil } : {});
+        }
+      } else if (!config.allowPasswordlessUsers) {
+        return reject('USER_NO_CREDENTIAL');
+      }
+
+      clearFailedAttempts(user);
+      recordLogin(license, username, true, null, now);
+
+      license.usageCount++;
+      saveLicense(hash);
+
+      const boundDeviceId = deviceId && findDevice(license, deviceId) ? deviceId : null;
+      const entitlements = resolveEntitlements(license, plans);
+      const offline = issueOfflineToken(signingKeys, {
+        hash,
+        license,
+        entitlements,
+        deviceId: boundDeviceId,
+        validUntil: expiry.validUntil,
+        now
+      });
+
+      res.json({
+        valid: true,
+        status: expiry.status,
+        graceEndsAt: expiry.graceEndsAt,
+        customerId: license.customerId,
+        expirationDate: license.expirationDate,
+        type: license.type,
+        user: {
+          username: user.username,
+          role: resolveLicenseRole(user.role) || user.role,
+          permissions: getRolePermissions(user.role)
+        },
+        entitlements,
+        offlineToken: offline.token,
+        offlineTokenExpiresAt: offline.expiresAt
+      });
+    } catch (err) {
+      internalError(req, res, err, { valid: false });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createClientRouter };
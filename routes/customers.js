@@ -0,0 +1,168 @@
+const express = require('express');
+const {
+  CUSTOMER_SCHEMA,
+  CUSTOMER_FIELDS,
+  generateCustomerId,
+  uniqueCode
+} = require('../lib/customers');
+const { FILTER_SCHEMA, matchesFilter } = require('../lib/license-filter');
+const { optionalFields, validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const ID_PARAMS = { id: { type: 'string', nonEmpty: true } };
+const LIST_REQUEST = { query: { q: { type: 'string' } } };
+const CUSTOMER_REQUEST = { params: ID_PARAMS };
+const LICENSES_REQUEST = { params: ID_PARAMS, query: { status: FILTER_SCHEMA.status } };
+const CREATE_REQUEST = { body: CUSTOMER_SCHEMA };
+const UPDATE_REQUEST = { params: ID_PARAMS, body: optionalFields(CUSTOMER_SCHEMA) };
+
+// العملاء (العيادات)
+function createCustomersRouter(ctx) {
+  const {
+    clock,
+    licenses,
+    customers,
+    plans,
+    publicLicense,
+    audit,
+    internalError,
+    saveCustomers,
+    requireRole
+  } = ctx;
+  const router = express.Router();
+
+  // كل الرخص بما فيها المؤرشفة، فلا يُحذف عميل له رخص يمكن استعادتها
+  function licensesOfCustomer(customerId) {
+    return Object.entries(licenses).filter(([, license]) => license.customerId === customerId);
+  }
+
+  // كما في GET /api/licenses: المؤرشفة لا تظهر إلا مع status=archived
+  function listedLicensesOfCustomer(customerId, status) {
+    const now = clock();
+    return licensesOfCustomer(customerId)
+      .filter(([, license]) => matchesFilter(license, { customerId, status }, { plans, customers, now }));
+  }
+
+  function publicCustomer(id, customer) {
+    return { id, ...customer, licenseCount: listedLicensesOfCustomer(id).length };
+  }
+
+  router.get('/api/customers', requireRole('viewer'), validate(LIST_REQUEST), (req, res) => {
+    try {
+      const q = String(req.query.q || '').trim().toLowerCase();
+      const result = Object.entries(customers)
+        .filter(([id, customer]) => !q || [id, customer.code, customer.clinicName, customer.contactName, customer.email, customer.phone]
+          .some(value => value && String(value).toLowerCase().includes(q)))
+        .map(([id, customer]) => publicCustomer(id, customer));
+      res.json(result);
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/customers/:id', requireRole('viewer'), validate(CUSTOMER_REQUEST), (req, res) => {
+    try {
+      const customer = customers[req.params.id];
+      if (!customer) {
+        return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+      }
+      res.json(publicCustomer(req.params.id, customer));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/customers/:id/licenses', requireRole('viewer'), validate(LICENSES_REQUEST), (req, res) => {
+    try {
+      if (!customers[req.params.id]) {
+        return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+      }
+      res.json(listedLicensesOfCustomer(req.params.id, req.query.status)
+        .map(([hash, license]) => publicLicense(hash, license)));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.post('/api/customers', requireRole('support'), validate(CREATE_REQUEST), (req, res) => {
+    try {
+      const id = generateCustomerId();
+      const now = clock().toISOString();
+      const customer = { clinicName: req.body.clinicName.trim() };
+      CUSTOMER_FIELDS.filter(field => field !== 'clinicName' && field !== 'code').forEach(field => {
+        customer[field] = req.body[field] === undefined ? null : req.body[field];
+      });
+      // الرمز المختصر يُشتق من اسم العيادة إن لم يُحدد
+      customer.code = uniqueCode(customers, req.body.code || customer.clinicName);
+      customer.createdAt = now;
+      customer.updatedAt = now;
+
+      customers[id] = customer;
+      saveCustomers(customers);
+      audit(req, 'customer.create', id, null, customer);
+
+      req.log.info('customerCreated', { name: customer.clinicName, code: customer.code });
+      res.status(201).json({ success: true, customer: publicCustomer(id, customer) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.put('/api/customers/:id', requireRole('support'), validate(UPDATE_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+      const customer = customers[id];
+      if (!customer) {
+        return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+      }
+
+      const before = { ...customer };
+      CUSTOMER_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          customer[field] = req.body[field];
+        }
+      });
+      customer.clinicName = customer.clinicName.trim();
+      // تغيير الرمز لا يؤثر على المفاتيح الصادرة سابقاً
+      if (req.body.code !== undefined) {
+        customer.code = uniqueCode(customers, req.body.code, id);
+      }
+      customer.updatedAt = clock().toISOString();
+
+      saveCustomers(customers);
+      audit(req, 'customer.update', id, before, customer);
+
+      res.json({ success: true, customer: publicCustomer(id, customer) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // لا يمكن حذف عميل مرتبط برخص
+  router.delete('/api/customers/:id', requireRole('owner'), validate(CUSTOMER_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+      const customer = customers[id];
+      if (!customer) {
+        return res.status(404).json(errorBody(req, 'CUSTOMER_NOT_FOUND'));
+      }
+
+      const linked = licensesOfCustomer(id).length;
+      if (linked > 0) {
+        return res.status(409).json(errorBody(req, 'CUSTOMER_IN_USE', { count: linked }));
+      }
+
+      delete customers[id];
+      saveCustomers(customers);
+      audit(req, 'customer.delete', id, customer, null);
+
+      res.json({ success: true, message: localize(req, 'CUSTOMER_DELETED') });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCustomersRouter };
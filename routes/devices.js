@@ -0,0 +1,81 @@
+const express = require('express');
+const { findDevice, releaseDevice } = require('../lib/devices');
+const { HASH_PARAMS, HASH_REQUEST, validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const DEVICE_REQUEST = { params: { ...HASH_PARAMS, deviceId: { type: 'string', nonEmpty: true } } };
+
+// أجهزة الرخصة (المقاعد)
+function createDevicesRouter(ctx) {
+  const { licenses, saveLicense, notify, audit, internalError, refuseArchived, requireRole } = ctx;
+  const router = express.Router();
+
+  router.get('/api/licenses/:hash/devices', requireRole('viewer'), validate(HASH_REQUEST), (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      res.json({
+        maxDevices: license.maxDevices,
+        lastDeviceTransferAt: license.lastDeviceTransferAt || null,
+        devices: license.devices
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/licenses/:hash/devices/:deviceId', requireRole('viewer'), validate(DEVICE_REQUEST), (req, res) => {
+    try {
+      const { hash, deviceId } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const device = findDevice(license, deviceId);
+      if (!device) {
+        return res.status(404).json(errorBody(req, 'DEVICE_NOT_FOUND'));
+      }
+
+      res.json(device);
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تحرير مقعد جهاز حتى يمكن تفعيل الرخصة على جهاز آخر
+  router.delete('/api/licenses/:hash/devices/:deviceId', requireRole('support'), validate(DEVICE_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash, deviceId } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const device = releaseDevice(license, deviceId);
+      if (!device) {
+        return res.status(404).json(errorBody(req, 'DEVICE_NOT_FOUND'));
+      }
+
+      saveLicense(hash);
+      audit(req, 'device.release', hash, device, null, { subject: deviceId });
+      notify('device.released', hash, license, { device });
+
+      req.log.info('deviceReleased', { deviceId, hash: hash.substring(0, 12) });
+      res.json({ success: true, message: localize(req, 'DEVICE_RELEASED'), device });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDevicesRouter };
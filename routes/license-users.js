@@ -0,0 +1,242 @@
+const express = require('express');
+const { resolveEntitlements } = require('../lib/plans');
+const {
+  LICENSE_ROLES,
+  getRolePermissions
+} = require('../lib/license-roles');
+const { setUserCredential, publicUser } = require('../lib/user-credentials');
+const { HASH_PARAMS, HASH_REQUEST, validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const USER_PARAMS = { ...HASH_PARAMS, username: { type: 'string', nonEmpty: true } };
+const ROLE = { type: 'string', oneOf: Object.keys(LICENSE_ROLES), code: 'INVALID_ROLE' };
+// طول كلمة المرور وصيغة PIN يتحقق منهما setUserCredential
+const CREDENTIAL_FIELDS = {
+  password: { type: 'string' },
+  pin: { type: 'string' }
+};
+
+const ADD_USER_REQUEST = {
+  params: HASH_PARAMS,
+  body: {
+    username: { type: 'string', required: true, nonEmpty: true },
+    role: ROLE,
+    ...CREDENTIAL_FIELDS
+  }
+};
+const USER_REQUEST = { params: USER_PARAMS };
+const ROLE_REQUEST = { params: USER_PARAMS, body: { role: { ...ROLE, required: true } } };
+const ACTIVE_REQUEST = { params: USER_PARAMS, body: { isActive: { type: 'boolean', required: true } } };
+const CREDENTIAL_REQUEST = { params: USER_PARAMS, body: CREDENTIAL_FIELDS };
+
+// مستخدمو الرخصة وصلاحياتهم
+function createLicenseUsersRouter(ctx) {
+  const { clock, licenses, plans, saveLicense, audit, internalError, refuseArchived, requireRole } = ctx;
+  const router = express.Router();
+
+  // API لربط المستخدمين بالرخصة والتحكم فيهم
+  // إضافة مستخدمين لرخصة معينة
+  router.post('/api/licenses/:hash/users', requireRole('support'), validate(ADD_USER_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const { username, role = 'receptionist', password, pin } = req.body;
+      const license = licenses[hash];
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      if (!license.users) {
+        license.users = [];
+      }
+
+      // تحقق من عدم تكرار المستخدم
+      if (license.users.find(u => u.username === username)) {
+        return res.status(400).json(errorBody(req, 'USER_EXISTS'));
+      }
+
+      // التحقق من الحد الأقصى لعدد المستخدمين حسب الرخصة أو الخطة
+      const { maxUsers } = resolveEntitlements(license, plans);
+      if (maxUsers && license.users.length >= maxUsers) {
+        return res.status(400).json({
+          ...errorBody(req, 'USER_LIMIT_REACHED', { count: license.users.length, limit: maxUsers }),
+          maxUsers
+        });
+      }
+
+      const user = {
+        username,
+        role,
+        addedAt: clock().toISOString(),
+        isActive: true
+      };
+
+      if (password !== undefined || pin !== undefined) {
+        const credentialError = setUserCredential(user, { password, pin }, clock());
+        if (credentialError) {
+          return res.status(400).json(errorBody(req, credentialError));
+        }
+      }
+
+      license.users.push(user);
+      saveLicense(hash);
+      audit(req, 'user.add', hash, null, publicUser(user), { subject: username });
+
+      res.status(201).json({
+        success: true,
+        message: localize(req, 'USER_ADDED'),
+        user: publicUser(user)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تغيير دور مستخدم في رخصة
+  router.patch('/api/licenses/:hash/users/:username', requireRole('support'), validate(ROLE_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash, username } = req.params;
+      const { role } = req.body;
+      const license = licenses[hash];
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const user = (license.users || []).find(u => u.username === username);
+      if (!user) {
+        return res.status(404).json(errorBody(req, 'USER_NOT_FOUND'));
+      }
+
+      const before = publicUser(user);
+      user.role = role;
+      saveLicense(hash);
+      audit(req, 'user.update', hash, before, publicUser(user), { subject: username });
+
+      res.json({
+        success: true,
+        message: localize(req, 'USER_ROLE_CHANGED', { role }),
+        user: { ...publicUser(user), permissions: getRolePermissions(role) }
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // الحصول على مستخدمي رخصة
+  router.get('/api/licenses/:hash/users', requireRole('viewer'), validate(HASH_REQUEST), (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      res.json({
+        maskedKey: license.maskedKey,
+        customerId: license.customerId,
+        users: (license.users || []).map(publicUser)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تعطيل/تفعيل مستخدم في رخصة
+  router.put('/api/licenses/:hash/users/:username', requireRole('support'), validate(ACTIVE_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash, username } = req.params;
+      const { isActive } = req.body;
+
+      const license = licenses[hash];
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      if (!license.users) {
+        return res.status(404).json(errorBody(req, 'USERS_NOT_FOUND'));
+      }
+
+      const user = license.users.find(u => u.username === username);
+      if (!user) {
+        return res.status(404).json(errorBody(req, 'USER_NOT_FOUND'));
+      }
+
+      const before = publicUser(user);
+      user.isActive = isActive;
+      saveLicense(hash);
+      audit(req, 'user.update', hash, before, publicUser(user), { subject: username });
+
+      res.json({
+        success: true,
+        message: localize(req, isActive ? 'USER_ACTIVATED' : 'USER_DEACTIVATED'),
+        user: publicUser(user)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تعيين أو إعادة تعيين كلمة مرور / PIN لمستخدم (يفك القفل المؤقت أيضاً)
+  router.put('/api/licenses/:hash/users/:username/credential', requireRole('support'), validate(CREDENTIAL_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash, username } = req.params;
+      const { password, pin } = req.body;
+
+      const license = licenses[hash];
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const user = (license.users || []).find(u => u.username === username);
+      if (!user) {
+        return res.status(404).json(errorBody(req, 'USER_NOT_FOUND'));
+      }
+
+      const before = publicUser(user);
+      const credentialError = setUserCredential(user, { password, pin }, clock());
+      if (credentialError) {
+        return res.status(400).json(errorBody(req, credentialError));
+      }
+
+      saveLicense(hash);
+      audit(req, 'user.credential', hash, before, publicUser(user), { subject: username });
+
+      res.json({ success: true, message: localize(req, 'USER_CREDENTIAL_UPDATED'), user: publicUser(user) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // حذف مستخدم من رخصة
+  router.delete('/api/licenses/:hash/users/:username', requireRole('support'), validate(USER_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash, username } = req.params;
+
+      const license = licenses[hash];
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      if (!license.users) {
+        return res.status(404).json(errorBody(req, 'USERS_NOT_FOUND'));
+      }
+
+      const userIndex = license.users.findIndex(u => u.username === username);
+      if (userIndex === -1) {
+        return res.status(404).json(errorBody(req, 'USER_NOT_FOUND'));
+      }
+
+      const [removed] = license.users.splice(userIndex, 1);
+      saveLicense(hash);
+      audit(req, 'user.remove', hash, publicUser(removed), null, { subject: username });
+
+      res.json({ success: true, message: localize(req, 'USER_REMOVED') });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLicenseUsersRouter };
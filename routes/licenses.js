@@ -0,0 +1,959 @@
+const express = require('express');
+const crypto = require('crypto');
+const { snapshotLicense } = require('../lib/audit');
+const { maskLicenseKey } = require('../lib/license-keys');
+const { isTrial } = require('../lib/trials');
+const { DAY_MS, getExpiryStatus, isArchived } = require('../lib/license-status');
+const { toCsv, parseCsv } = require('../lib/csv');
+const {
+  FILTER_SCHEMA,
+  LIST_QUERY_SCHEMA,
+  licenseStatus,
+  matchesFilter,
+  filterFromQuery,
+  compareBy,
+  parseLicenseQuery,
+  projectFields
+} = require('../lib/license-filter');
+const { HASH_PARAMS, HASH_REQUEST, checkFields, validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const BATCH_LIMIT = Number(process.env.LICENSE_BATCH_LIMIT) || 500;
+const IMPORT_LIMIT = Number(process.env.LICENSE_IMPORT_LIMIT) || 5000;
+// الرخص المؤرشفة منذ أكثر من هذه المدة تُحذف نهائياً عند طلب purge
+const ARCHIVE_RETENTION_DAYS = process.env.LICENSE_ARCHIVE_RETENTION_DAYS !== undefined
+  ? Number(process.env.LICENSE_ARCHIVE_RETENTION_DAYS)
+  : 90;
+
+// خيارات الرخصة الجديدة، وما لم يُرسل يأتي من الخطة
+const LICENSE_OPTIONS = {
+  type: { type: 'string', nonEmpty: true },
+  planId: { type: 'string', nullable: true },
+  validityDays: { type: 'integer', min: 1 },
+  maxDevices: { type: 'integer', min: 1 },
+  maxUsers: { type: 'integer', min: 1, nullable: true }
+};
+
+const LICENSE_SCHEMA = {
+  customerId: { type: 'string', required: true, nonEmpty: true },
+  ...LICENSE_OPTIONS
+};
+
+// وصف كل طلب: params و query و body
+const LIST_REQUEST = { query: LIST_QUERY_SCHEMA };
+const EXPORT_REQUEST = { query: { ...FILTER_SCHEMA, columns: { type: 'string' } } };
+const CREATE_REQUEST = { body: LICENSE_SCHEMA };
+const IMPORT_REQUEST = { query: { dryRun: { type: 'boolean' } } };
+
+const BATCH_REQUEST = {
+  body: {
+    customerIds: { type: 'array', required: true, nonEmpty: true, items: { type: 'string', nonEmpty: true } },
+    count: { type: 'integer', min: 1 },
+    ...LICENSE_OPTIONS
+  }
+};
+
+const BULK_REQUEST = {
+  body: {
+    hashes: { type: 'array', nonEmpty: true, items: { type: 'string' } },
+    filter: { type: 'object', fields: FILTER_SCHEMA, strict: true },
+    daysToAdd: { type: 'integer', min: 1 }
+  }
+};
+
+const CONVERT_REQUEST = {
+  params: HASH_PARAMS,
+  body: {
+    planId: { type: 'string', required: true, nonEmpty: true },
+    type: { type: 'string', nonEmpty: true },
+    validityDays: { type: 'integer', min: 1 },
+    customerId: { type: 'string', nonEmpty: true }
+  }
+};
+
+const EXTEND_REQUEST = {
+  params: HASH_PARAMS,
+  body: { daysToAdd: { type: 'integer', min: 1, required: true } }
+};
+
+const RENEW_REQUEST = {
+  params: HASH_PARAMS,
+  body: {
+    days: { type: 'integer', min: 1 },
+    note: { type: 'string' }
+  }
+};
+
+const ARCHIVE_REQUEST = {
+  params: HASH_PARAMS,
+  body: { reason: { type: 'string', nullable: true } }
+};
+
+const PURGE_REQUEST = {
+  body: {
+    olderThanDays: { type: 'integer', min: 0 },
+    dryRun: { type: 'boolean' }
+  }
+};
+
+// إدارة الرخص: القوائم والإنشاء والعمليات الجماعية ودورة حياة الرخصة
+function createLicensesRouter(ctx) {
+  const {
+    clock,
+    store,
+    licenses,
+    plans,
+    customers,
+    reminderState,
+    trialRegistry,
+    saveLicense,
+    hashLicense,
+    publicLicense,
+    generateLicenseKey,
+    customerCodeFor,
+    notify,
+    audit,
+    internalError,
+    refuseArchived,
+    saveReminderState,
+    saveTrialRegistry,
+    requireRole
+  } = ctx;
+  const router = express.Router();
+
+  // Get all licenses
+  // ?status=&type=&planId=&customerId=&q=&expiresFrom=&expiresTo=&createdFrom=&createdTo=
+  // &sort=-created&limit=50&offset=0&fields=maskedKey,expirationDate
+  router.get('/api/licenses', requireRole('viewer'), validate(LIST_REQUEST), (req, res) => {
+    try {
+      const { error, filter, sort, fields, limit, offset } = parseLicenseQuery(req.query);
+      if (error) {
+        return res.status(400).json(errorBody(req, error));
+      }
+
+      const now = clock();
+      const valueOf = ([, license], field) => {
+        if (field === 'status') {
+          return licenseStatus(license, plans, now);
+        }
+        if (field === 'customerName') {
+          return (customers[license.customerId] || {}).clinicName;
+        }
+        return license[field];
+      };
+
+      const matches = Object.entries(licenses)
+        .filter(([, license]) => matchesFilter(license, filter, { plans, customers, now }))
+        .sort(compareBy(sort.field, sort.descending, valueOf));
+
+      res.json({
+        total: matches.length,
+        limit,
+        offset,
+        licenses: matches.slice(offset, offset + limit).map(([hash, license]) => projectFields({
+          ...publicLicense(hash, license),
+          status: licenseStatus(license, plans, now)
+        }, fields))
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // الأعمدة المتاحة في ملف التصدير
+  const EXPORT_COLUMNS = {
+    hash: (hash) => hash,
+    maskedKey: (hash, license) => license.maskedKey,
+    customerId: (hash, license) => license.customerId,
+    customerName: (hash, license) => (customers[license.customerId] || {}).clinicName,
+    customerCode: (hash, license) => (customers[license.customerId] || {}).code,
+    type: (hash, license) => license.type,
+    planId: (hash, license) => license.planId,
+    status: (hash, license) => licenseStatus(license, plans, clock()),
+    isActive: (hash, license) => license.isActive,
+    created: (hash, license) => license.created,
+    expirationDate: (hash, license) => license.expirationDate,
+    validityDays: (hash, license) => license.validityDays,
+    maxDevices: (hash, license) => license.maxDevices,
+    devicesUsed: (hash, license) => (license.devices || []).length,
+    maxUsers: (hash, license) => license.maxUsers,
+    usersCount: (hash, license) => (license.users || []).length,
+    usageCount: (hash, license) => license.usageCount
+  };
+  const DEFAULT_EXPORT_COLUMNS = [
+    'maskedKey', 'customerName', 'customerCode', 'type', 'planId', 'status', 'created', 'expirationDate', 'devicesUsed', 'maxDevices'
+  ];
+
+  // تصدير الرخص كملف CSV يفتح في Excel: ?columns=a,b مع نفس فلاتر GET /api/licenses
+  router.get('/api/licenses/export', requireRole('viewer'), validate(EXPORT_REQUEST), (req, res) => {
+    try {
+      const columns = req.query.columns
+        ? String(req.query.columns).split(',').map(column => column.trim()).filter(Boolean)
+        : DEFAULT_EXPORT_COLUMNS;
+      const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          ...errorBody(req, 'UNKNOWN_COLUMNS', { columns: unknown.join(', ') }),
+          available: Object.keys(EXPORT_COLUMNS)
+        });
+      }
+
+      const filter = filterFromQuery(req.query);
+      const now = clock();
+      const rows = Object.entries(licenses)
+        .filter(([, license]) => matchesFilter(license, filter, { plans, customers, now }))
+        .map(([hash, license]) => {
+          const row = {};
+          columns.forEach(column => {
+            row[column] = EXPORT_COLUMNS[column](hash, license);
+          });
+          return row;
+        });
+
+      const fileName = `licenses-${now.toISOString().slice(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(toCsv(rows, columns));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // الحصول على معلومات رخصة محددة
+  router.get('/api/licenses/:hash', requireRole('viewer'), validate(HASH_REQUEST), (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      res.json({ ...publicLicense(hash, license), status: licenseStatus(license, plans, clock()) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // Get license statistics
+  router.get('/api/stats', requireRole('viewer'), (req, res) => {
+    try {
+      const now = clock();
+      const current = Object.values(licenses).filter(license => !isArchived(license));
+      const stats = {
+        total: current.length,
+        active: 0,
+        inactive: 0,
+        expired: 0,
+        grace: 0,
+        expiringIn30Days: 0,
+        trial: 0,
+        archived: Object.keys(licenses).length - current.length,
+        timeToResolve: '0h'
+      };
+
+      // الرخص المؤرشفة لا تدخل في الإحصائيات، ويظهر عددها فقط
+      current.forEach(license => {
+        const expirationDate = new Date(license.expirationDate);
+        const daysUntilExpiry = (expirationDate - now) / (1000 * 60 * 60 * 24);
+        const { status } = getExpiryStatus(license, plans, now);
+
+        if (status === 'expired') {
+          stats.expired++;
+        } else if (status === 'grace') {
+          stats.grace++;
+        } else if (daysUntilExpiry <= 30) {
+          stats.expiringIn30Days++;
+        }
+
+        if (license.isActive) {
+          stats.active++;
+        } else {
+          stats.inactive++;
+        }
+
+        if (isTrial(license)) {
+          stats.trial++;
+        }
+      });
+
+      stats.available = stats.total - stats.active;
+      res.json(stats);
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // ربط رخصة جديدة (تم التحقق من حقولها بـ LICENSE_SCHEMA) بالعميل والخطة مع القيم الافتراضية
+  // يعيد { error: { code, params } } أو { fields }
+  function prepareLicense(input) {
+    const { customerId, type = 'production', planId = null } = input;
+
+    if (!customers[customerId]) {
+      return { error: { code: 'UNKNOWN_CUSTOMER', params: { customerId } } };
+    }
+
+    if (type === 'trial') {
+      return { error: { code: 'TRIAL_REQUIRES_TRIAL_ENDPOINT' } };
+    }
+
+    const plan = planId ? plans[planId] : null;
+    if (planId && !plan) {
+      return { error: { code: 'UNKNOWN_PLAN', params: { planId } } };
+    }
+
+    // القيم الافتراضية تأتي من الخطة ويمكن تجاوزها في الطلب
+    const {
+      validityDays = plan ? plan.validityDays : 365,
+      maxDevices = plan ? plan.maxDevices : 1,
+      maxUsers = plan ? plan.maxUsers : null
+    } = input;
+
+    return { fields: { customerId, type, planId, validityDays, maxDevices, maxUsers } };
+  }
+
+  // إنشاء رخصة من بيانات تم التحقق منها، والمفتاح الكامل يُعاد للمتصل فقط
+  function createLicense(req, fields, { expirationDate = null, details } = {}) {
+    const { customerId, type, planId, validityDays, maxDevices, maxUsers } = fields;
+    const licenseKey = generateLicenseKey(customers[customerId].code);
+    const hash = hashLicense(licenseKey);
+    const now = clock();
+
+    const license = {
+      maskedKey: maskLicenseKey(licenseKey),
+      customerId,
+      type,
+      planId,
+      created: now.toISOString(),
+      expirationDate: expirationDate || new Date(now.getTime() + validityDays * DAY_MS).toISOString(),
+      validityDays,
+      deviceFingerprint: null,
+      maxDevices,
+      maxUsers,
+      devices: [],
+      usageCount: 0,
+      isActive: true
+    };
+
+    licenses[hash] = license;
+    saveLicense(hash);
+    audit(req, 'license.create', hash, null, snapshotLicense(license), details ? { details } : {});
+    notify('license.created', hash, license);
+
+    return { hash, licenseKey, license };
+  }
+
+  // Create new license
+  router.post('/api/licenses', requireRole('owner'), validate(CREATE_REQUEST), (req, res) => {
+    try {
+      const { error, fields } = prepareLicense(req.body);
+      if (error) {
+        return res.status(400).json(errorBody(req, error));
+      }
+
+      const { hash, licenseKey, license } = createLicense(req, fields);
+
+      // المفتاح الكامل يظهر هنا فقط ولا يُخزن
+      res.status(201).json({
+        success: true,
+        message: localize(req, 'LICENSE_CREATED'),
+        licenseKey,
+        license: publicLicense(hash, license)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // إنشاء دفعة رخص (مثلاً طلب موزع): count رخصة لكل عميل في القائمة
+  router.post('/api/licenses/batch', requireRole('owner'), validate(BATCH_REQUEST), (req, res) => {
+    try {
+      const { customerIds, count = 1, ...options } = req.body;
+
+      if (customerIds.length * count > BATCH_LIMIT) {
+        return res.status(400).json(errorBody(req, 'BATCH_TOO_LARGE', { limit: BATCH_LIMIT }));
+      }
+
+      // التحقق من الكل قبل إنشاء أي رخصة
+      const prepared = [];
+      for (const customerId of customerIds) {
+        const { error, fields } = prepareLicense({ ...options, customerId });
+        if (error) {
+          return res.status(400).json({ ...errorBody(req, error), customerId });
+        }
+        prepared.push(fields);
+      }
+
+      const batchId = crypto.randomUUID();
+      const created = [];
+      prepared.forEach(fields => {
+        for (let i = 0; i < count; i++) {
+          const { hash, licenseKey, license } = createLicense(req, fields, { details: { batchId } });
+          created.push({ licenseKey, license: publicLicense(hash, license) });
+        }
+      });
+
+      req.log.info('batchCreated', { count: created.length });
+      res.status(201).json({
+        success: true,
+        batchId,
+        created: created.length,
+        licenses: created
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تحديد الرخص المستهدفة بعملية جماعية: قائمة hashes أو فلتر
+  function resolveBulkTargets({ hashes, filter }) {
+    if ((hashes === undefined) === (filter === undefined)) {
+      return { error: { code: 'BULK_TARGET_REQUIRED' } };
+    }
+
+    // الرخص المؤرشفة لا تتغير في العمليات الجماعية وتُعاد في archived
+    if (hashes !== undefined) {
+      const unique = [...new Set(hashes)];
+      return {
+        hashes: unique.filter(hash => licenses[hash] && !isArchived(licenses[hash])),
+        archived: unique.filter(hash => licenses[hash] && isArchived(licenses[hash])),
+        notFound: unique.filter(hash => !licenses[hash])
+      };
+    }
+
+    // فلتر فارغ يطابق كل الرخص، وهذا غالباً خطأ
+    if (!Object.values(filter).some(Boolean)) {
+      return { error: { code: 'FILTER_EMPTY' } };
+    }
+
+    const now = clock();
+    const matches = Object.keys(licenses).filter(hash => matchesFilter(licenses[hash], filter, { plans, customers, now }));
+    return {
+      hashes: matches.filter(hash => !isArchived(licenses[hash])),
+      archived: matches.filter(hash => isArchived(licenses[hash])),
+      notFound: []
+    };
+  }
+
+  function setLicenseActive(req, hash, isActive) {
+    const license = licenses[hash];
+    const before = snapshotLicense(license);
+    license.isActive = isActive;
+    saveLicense(hash);
+    audit(req, isActive ? 'license.activate' : 'license.deactivate', hash, before, snapshotLicense(license));
+    notify(isActive ? 'license.activated' : 'license.deactivated', hash, license);
+    return license;
+  }
+
+  function extendLicense(req, hash, daysToAdd) {
+    const license = licenses[hash];
+    const before = snapshotLicense(license);
+    const currentExpiry = new Date(license.expirationDate);
+    const newExpiry = new Date(currentExpiry.getTime() + daysToAdd * DAY_MS);
+
+    license.expirationDate = newExpiry.toISOString();
+    license.validityDays += daysToAdd;
+    saveLicense(hash);
+    audit(req, 'license.extend', hash, before, snapshotLicense(license), { details: { daysToAdd } });
+    notify('license.extended', hash, license, { daysToAdd });
+    return license;
+  }
+
+  // عمليات جماعية: تفعيل / تعطيل / تمديد
+  router.post('/api/licenses/bulk/:action', requireRole('support'), validate(BULK_REQUEST), (req, res) => {
+    try {
+      const { action } = req.params;
+      if (!['activate', 'deactivate', 'extend'].includes(action)) {
+        return res.status(404).json(errorBody(req, 'UNKNOWN_BULK_ACTION', { action }));
+      }
+
+      const { daysToAdd } = req.body;
+      if (action === 'extend' && daysToAdd === undefined) {
+        return res.status(400).json(errorBody(req, 'FIELD_REQUIRED', { field: 'daysToAdd' }));
+      }
+
+      const { error, hashes, archived, notFound } = resolveBulkTargets(req.body);
+      if (error) {
+        return res.status(400).json(errorBody(req, error));
+      }
+
+      const updated = [];
+      const unchanged = [];
+      hashes.forEach(hash => {
+        const license = licenses[hash];
+        if (action === 'extend') {
+          extendLicense(req, hash, daysToAdd);
+          updated.push(hash);
+        } else if (license.isActive === (action === 'activate')) {
+          unchanged.push(hash);
+        } else {
+          setLicenseActive(req, hash, action === 'activate');
+          updated.push(hash);
+        }
+      });
+
+      req.log.info('bulkApplied', { action, updated: updated.length, total: hashes.length });
+      res.json({
+        success: true,
+        action,
+        matched: hashes.length,
+        updated: updated.length,
+        updatedHashes: updated,
+        unchanged,
+        archived,
+        notFound
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تحويل صف CSV إلى بيانات رخصة، الخلايا الفارغة تأخذ القيم الافتراضية
+  function licenseFromCsvRow(row) {
+    const errors = [];
+    const input = {};
+
+    if (row.customerId) {
+      input.customerId = row.customerId;
+    } else if (row.customerCode) {
+      const code = row.customerCode.toUpperCase();
+      const match = Object.entries(customers).find(([, customer]) => customer.code === code);
+      if (match) {
+        input.customerId = match[0];
+      } else {
+        errors.push({ code: 'UNKNOWN_CUSTOMER_CODE', params: { customerCode: row.customerCode } });
+      }
+    }
+
+    if (row.type) {
+      input.type = row.type;
+    }
+    if (row.planId) {
+      input.planId = row.planId;
+    }
+
+    ['validityDays', 'maxDevices', 'maxUsers'].forEach(field => {
+      if (row[field]) {
+        input[field] = Number(row[field]);
+      }
+    });
+
+    errors.push(...checkFields(LICENSE_SCHEMA, input));
+
+    let expirationDate = null;
+    if (row.expirationDate) {
+      const parsed = new Date(row.expirationDate);
+      if (Number.isNaN(parsed.getTime())) {
+        errors.push({ code: 'FIELD_DATE', params: { field: 'expirationDate' } });
+      } else {
+        expirationDate = parsed.toISOString();
+      }
+    }
+
+    if (errors.length === 0) {
+      const { error, fields } = prepareLicense(input);
+      if (error) {
+        errors.push(error);
+      } else {
+        return { fields, expirationDate, errors };
+      }
+    }
+    return { errors };
+  }
+
+  // استيراد رخص من CSV: الافتراضي dryRun يعيد تقرير التحقق فقط
+  // الاستيراد الفعلي يتم فقط إذا كانت كل الصفوف صحيحة
+  router.post('/api/licenses/import',
+    requireRole('owner'),
+    validate(IMPORT_REQUEST),
+    express.text({ type: 'text/csv', limit: '5mb' }),
+    (req, res) => {
+      try {
+        const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+        const dryRunValue = req.query.dryRun !== undefined ? req.query.dryRun : req.body.dryRun;
+        const dryRun = String(dryRunValue === undefined ? true : dryRunValue) !== 'false';
+
+        if (!csv || typeof csv !== 'string') {
+          return res.status(400).json(errorBody(req, 'CSV_REQUIRED'));
+        }
+
+        const { columns, rows } = parseCsv(csv);
+        if (!columns.includes('customerId') && !columns.includes('customerCode')) {
+          return res.status(400).json(errorBody(req, 'CSV_CUSTOMER_COLUMN_REQUIRED'));
+        }
+        if (rows.length > IMPORT_LIMIT) {
+          return res.status(400).json(errorBody(req, 'IMPORT_TOO_LARGE', { limit: IMPORT_LIMIT }));
+        }
+
+        // رقم الصف كما يظهر في Excel (الصف 1 هو العناوين)
+        const report = rows.map((row, index) => ({ row: index + 2, ...licenseFromCsvRow(row) }));
+        const invalid = report.filter(entry => entry.errors.length > 0);
+        const summary = {
+          dryRun,
+          total: rows.length,
+          valid: rows.length - invalid.length,
+          invalid: invalid.length,
+          errors: invalid.map(({ row, errors }) => ({ row, errors: errors.map(error => errorBody(req, error)) }))
+        };
+
+        if (dryRun) {
+          return res.json({ success: invalid.length === 0, ...summary });
+        }
+
+        if (invalid.length > 0 || rows.length === 0) {
+          return res.status(400).json({ success: false, ...errorBody(req, 'IMPORT_INVALID_ROWS'), ...summary });
+        }
+
+        const importId = crypto.randomUUID();
+        const created = report.map(({ row, fields, expirationDate }) => {
+          const { hash, licenseKey, license } = createLicense(req, fields, {
+            expirationDate,
+            details: { importId, row }
+          });
+          return { row, licenseKey, license: publicLicense(hash, license) };
+        });
+
+        req.log.info('licensesImported', { count: created.length });
+        res.status(201).json({ success: true, importId, ...summary, licenses: created });
+      } catch (err) {
+        internalError(req, res, err);
+      }
+    });
+
+  // تحويل نسخة تجريبية إلى رخصة مدفوعة مع الإبقاء على الجهاز والمستخدمين
+  router.post('/api/licenses/:hash/convert', requireRole('owner'), validate(CONVERT_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const { planId, type = 'production' } = req.body;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      if (!isTrial(license)) {
+        return res.status(400).json(errorBody(req, 'NOT_A_TRIAL'));
+      }
+
+      const plan = plans[planId];
+      if (!plan) {
+        return res.status(400).json(errorBody(req, 'UNKNOWN_PLAN', { planId }));
+      }
+
+      if (type === 'trial') {
+        return res.status(400).json(errorBody(req, 'CONVERTED_TYPE_INVALID'));
+      }
+
+      const { validityDays = plan.validityDays, customerId } = req.body;
+      if (customerId && !customers[customerId]) {
+        return res.status(400).json(errorBody(req, 'UNKNOWN_CUSTOMER', { customerId }));
+      }
+
+      const before = snapshotLicense(license);
+      const now = clock();
+
+      license.type = type;
+      license.planId = planId;
+      delete license.features;
+      if (customerId) {
+        license.customerId = customerId;
+      }
+      license.maxDevices = Math.max(plan.maxDevices, license.devices.length);
+      license.maxUsers = Math.max(plan.maxUsers, (license.users || []).length);
+      license.validityDays = validityDays;
+      license.expirationDate = new Date(now.getTime() + validityDays * 24 * 60 * 60 * 1000).toISOString();
+      license.isActive = true;
+      license.convertedAt = now.toISOString();
+
+      saveLicense(hash);
+      audit(req, 'license.convert', hash, before, snapshotLicense(license), { details: { planId } });
+      notify('license.converted', hash, license);
+
+      req.log.info('trialConverted', { key: license.maskedKey, plan: plan.name });
+      res.json({ success: true, message: localize(req, 'TRIAL_CONVERTED', { plan: plan.name }), license: publicLicense(hash, license) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // إصدار مفتاح جديد للرخصة وإبطال المفتاح القديم
+  router.post('/api/licenses/:hash/regenerate-key', requireRole('owner'), validate(HASH_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const before = snapshotLicense(license);
+      const licenseKey = generateLicenseKey(customerCodeFor(license));
+      const newHash = hashLicense(licenseKey);
+
+      license.maskedKey = maskLicenseKey(licenseKey);
+      license.keyRegeneratedAt = clock().toISOString();
+      license.previousHashes = [...(license.previousHashes || []), hash];
+
+      licenses[newHash] = license;
+      delete licenses[hash];
+      store.deleteLicense(hash);
+      saveLicense(newHash);
+      if (reminderState[hash]) {
+        reminderState[newHash] = reminderState[hash];
+        delete reminderState[hash];
+        saveReminderState(reminderState);
+      }
+      // سجل التجارب يشير إلى الرخصة بالـ hash، فيتبع المفتاح الجديد
+      const trials = Object.values(trialRegistry).filter(entry => entry.licenseHash === hash);
+      if (trials.length > 0) {
+        trials.forEach(entry => {
+          entry.licenseHash = newHash;
+        });
+        saveTrialRegistry();
+      }
+      audit(req, 'license.regenerate-key', newHash, before, snapshotLicense(license), {
+        details: { previousHash: hash }
+      });
+      notify('license.key-regenerated', newHash, license, { previousHash: hash });
+
+      req.log.info('keyRegenerated', { key: license.maskedKey });
+      res.json({
+        success: true,
+        message: localize(req, 'LICENSE_KEY_REGENERATED'),
+        licenseKey,
+        license: publicLicense(newHash, license)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // Deactivate license
+  router.put('/api/licenses/:hash/deactivate', requireRole('support'), validate(HASH_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      setLicenseActive(req, hash, false);
+
+      req.log.info('licenseDeactivated', { key: license.maskedKey });
+      res.json({ success: true, message: localize(req, 'LICENSE_DEACTIVATED'), license: publicLicense(hash, license) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // Activate license
+  router.put('/api/licenses/:hash/activate', requireRole('support'), validate(HASH_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      setLicenseActive(req, hash, true);
+
+      req.log.info('licenseActivated', { key: license.maskedKey });
+      res.json({ success: true, message: localize(req, 'LICENSE_ACTIVATED'), license: publicLicense(hash, license) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // Extend license validity
+  router.put('/api/licenses/:hash/extend', requireRole('support'), validate(EXTEND_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const { daysToAdd } = req.body;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      extendLicense(req, hash, daysToAdd);
+
+      req.log.info('licenseExtended', {
+        key: license.maskedKey,
+        days: daysToAdd,
+        expirationDate: license.expirationDate.substring(0, 10)
+      });
+
+      res.json({
+        success: true,
+        message: localize(req, 'LICENSE_EXTENDED', { days: daysToAdd }),
+        license: publicLicense(hash, license)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تجديد الاشتراك: يبدأ من تاريخ الانتهاء أو من الآن أيهما أبعد، مع سجل للتجديدات
+  router.post('/api/licenses/:hash/renew', requireRole('support'), validate(RENEW_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const plan = license.planId ? plans[license.planId] : null;
+      const { days = plan ? plan.validityDays : license.validityDays || 365, note } = req.body;
+
+      const before = snapshotLicense(license);
+      const now = clock();
+      const currentExpiry = new Date(license.expirationDate);
+      const base = currentExpiry > now ? currentExpiry : now;
+      const newExpiry = new Date(base.getTime() + days * DAY_MS);
+
+      const renewal = {
+        renewedAt: now.toISOString(),
+        renewedBy: req.admin.username,
+        days,
+        previousExpirationDate: license.expirationDate,
+        newExpirationDate: newExpiry.toISOString(),
+        statusBefore: getExpiryStatus(license, plans, now).status
+      };
+      if (note) {
+        renewal.note = note;
+      }
+
+      license.expirationDate = newExpiry.toISOString();
+      license.renewals = [...(license.renewals || []), renewal];
+      saveLicense(hash);
+      audit(req, 'license.renew', hash, before, snapshotLicense(license), { details: renewal });
+      notify('license.renewed', hash, license, { renewal });
+
+      req.log.info('licenseRenewed', { key: license.maskedKey, expirationDate: newExpiry.toISOString() });
+      res.json({
+        success: true,
+        message: localize(req, 'LICENSE_RENEWED', { days }),
+        renewal,
+        license: publicLicense(hash, license)
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // الحذف من لوحة التحكم ينقل الرخصة إلى الأرشيف مع السبب ومن قام به
+  // تبقى الأجهزة والمستخدمون وسجل الدخول كما هي حتى الاستعادة أو الحذف النهائي
+  router.delete('/api/licenses/:hash', requireRole('owner'), validate(ARCHIVE_REQUEST), refuseArchived, (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      const before = snapshotLicense(license);
+      license.archivedAt = clock().toISOString();
+      license.archivedBy = req.admin.username;
+      license.archiveReason = req.body.reason || null;
+      saveLicense(hash);
+      audit(req, 'license.archive', hash, before, snapshotLicense(license), {
+        details: { reason: license.archiveReason }
+      });
+      notify('license.archived', hash, license);
+
+      req.log.info('licenseArchived', { key: license.maskedKey });
+      res.json({
+        success: true,
+        message: localize(req, 'LICENSE_MOVED_TO_ARCHIVE'),
+        license: { ...publicLicense(hash, license), status: licenseStatus(license, plans, clock()) }
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.post('/api/licenses/:hash/restore', requireRole('owner'), validate(HASH_REQUEST), (req, res) => {
+    try {
+      const { hash } = req.params;
+      const license = licenses[hash];
+
+      if (!license) {
+        return res.status(404).json(errorBody(req, 'LICENSE_NOT_FOUND'));
+      }
+
+      if (!isArchived(license)) {
+        return res.status(409).json(errorBody(req, 'LICENSE_NOT_ARCHIVED'));
+      }
+
+      const before = snapshotLicense(license);
+      delete license.archivedAt;
+      delete license.archivedBy;
+      delete license.archiveReason;
+      saveLicense(hash);
+      audit(req, 'license.restore', hash, before, snapshotLicense(license));
+      notify('license.restored', hash, license);
+
+      req.log.info('licenseRestored', { key: license.maskedKey });
+      res.json({
+        success: true,
+        message: localize(req, 'LICENSE_RESTORED'),
+        license: { ...publicLicense(hash, license), status: licenseStatus(license, plans, clock()) }
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // الحذف النهائي للرخص المؤرشفة منذ أكثر من olderThanDays يوماً، و dryRun يعرضها فقط
+  // سجل التدقيق وسجل النسخ التجريبية يبقيان كما هما
+  router.post('/api/licenses/purge', requireRole('owner'), validate(PURGE_REQUEST), (req, res) => {
+    try {
+      const { olderThanDays = ARCHIVE_RETENTION_DAYS, dryRun = false } = req.body;
+      const cutoff = clock().getTime() - olderThanDays * DAY_MS;
+      const hashes = Object.keys(licenses)
+        .filter(hash => isArchived(licenses[hash]) && new Date(licenses[hash].archivedAt).getTime() <= cutoff);
+
+      if (dryRun) {
+        return res.json({ success: true, dryRun, olderThanDays, purged: 0, hashes });
+      }
+
+      let remindersChanged = false;
+      hashes.forEach(hash => {
+        const license = licenses[hash];
+        delete licenses[hash];
+        store.deleteLicense(hash);
+        if (reminderState[hash]) {
+          delete reminderState[hash];
+          remindersChanged = true;
+        }
+        audit(req, 'license.purge', hash, snapshotLicense(license), null, {
+          details: { archivedAt: license.archivedAt, archivedBy: license.archivedBy, olderThanDays }
+        });
+        notify('license.deleted', hash, license);
+      });
+      if (remindersChanged) {
+        saveReminderState(reminderState);
+      }
+
+      req.log.info('licensesPurged', { count: hashes.length, days: olderThanDays });
+      res.json({
+        success: true,
+        dryRun,
+        olderThanDays,
+        purged: hashes.length,
+        hashes,
+        message: localize(req, 'LICENSES_PURGED', { count: hashes.length })
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLicensesRouter };
@@ -0,0 +1,117 @@
+const express = require('express');
+const { FEATURES, PLAN_SCHEMA } = require('../lib/plans');
+const { LICENSE_ROLES } = require('../lib/license-roles');
+const { optionalFields, validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const ID_PARAMS = { id: { type: 'string', nonEmpty: true } };
+const PLAN_REQUEST = { params: ID_PARAMS };
+const CREATE_REQUEST = {
+  body: {
+    // constructor اسم موروث في كل كائن، فلا يصلح معرّفاً
+    id: { type: 'string', required: true, pattern: /^(?!constructor$)[a-z0-9-]+$/, code: 'PLAN_ID_INVALID' },
+    ...PLAN_SCHEMA
+  }
+};
+const UPDATE_REQUEST = { params: ID_PARAMS, body: optionalFields(PLAN_SCHEMA) };
+
+// خطط الاشتراك وأدوار مستخدمي العيادة
+function createPlansRouter(ctx) {
+  const { licenses, plans, internalError, savePlans, requireRole } = ctx;
+  const router = express.Router();
+
+  // خطط الاشتراك (Basic / Pro / Enterprise)
+  router.get('/api/plans', requireRole('viewer'), (req, res) => {
+    try {
+      res.json({
+        features: FEATURES,
+        plans: Object.entries(plans).map(([id, plan]) => ({ id, ...plan }))
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/plans/:id', requireRole('viewer'), validate(PLAN_REQUEST), (req, res) => {
+    const plan = plans[req.params.id];
+    if (!plan) {
+      return res.status(404).json(errorBody(req, 'PLAN_NOT_FOUND'));
+    }
+    res.json({ id: req.params.id, ...plan });
+  });
+
+  router.post('/api/plans', requireRole('owner'), validate(CREATE_REQUEST), (req, res) => {
+    try {
+      const { id, name, features, maxUsers, maxDevices, validityDays, graceDays } = req.body;
+
+      if (plans[id]) {
+        return res.status(400).json(errorBody(req, 'PLAN_EXISTS'));
+      }
+
+      const plan = { name, features, maxUsers, maxDevices, validityDays, graceDays };
+
+      plans[id] = plan;
+      savePlans(plans);
+
+      res.status(201).json({ success: true, message: localize(req, 'PLAN_CREATED'), plan: { id, ...plan } });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.put('/api/plans/:id', requireRole('owner'), validate(UPDATE_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+      const plan = plans[id];
+
+      if (!plan) {
+        return res.status(404).json(errorBody(req, 'PLAN_NOT_FOUND'));
+      }
+
+      const { name, features, maxUsers, maxDevices, validityDays, graceDays } = req.body;
+      const changes = { name, features, maxUsers, maxDevices, validityDays, graceDays };
+
+      Object.entries(changes).forEach(([field, value]) => {
+        if (value !== undefined) {
+          plan[field] = value;
+        }
+      });
+      savePlans(plans);
+
+      res.json({ success: true, message: localize(req, 'PLAN_UPDATED'), plan: { id, ...plan } });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.delete('/api/plans/:id', requireRole('owner'), validate(PLAN_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!plans[id]) {
+        return res.status(404).json(errorBody(req, 'PLAN_NOT_FOUND'));
+      }
+
+      const inUse = Object.values(licenses).filter(license => license.planId === id).length;
+      if (inUse > 0) {
+        return res.status(400).json(errorBody(req, 'PLAN_IN_USE', { count: inUse }));
+      }
+
+      delete plans[id];
+      savePlans(plans);
+
+      res.json({ success: true, message: localize(req, 'PLAN_DELETED') });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // قائمة أدوار مستخدمي العيادة وصلاحياتها
+  router.get('/api/license-roles', requireRole('viewer'), (req, res) => {
+    res.json(Object.entries(LICENSE_ROLES).map(([role, permissions]) => ({ role, permissions })));
+  });
+
+  return router;
+}
+
+module.exports = { createPlansRouter };
@@ -0,0 +1,42 @@
+const express = require('express');
+const { errorBody } = require('../lib/i18n');
+
+// تنبيهات انتهاء الرخص
+function createRemindersRouter(ctx) {
+  const { clock, reminderState, reminders, internalError, requireRole } = ctx;
+  const router = express.Router();
+
+  // تنبيهات انتهاء الرخص: الإعدادات والتنبيهات المستحقة وحالة الإرسال
+  router.get('/api/reminders', requireRole('viewer'), (req, res) => {
+    try {
+      res.json({
+        enabled: reminders.isRunning(),
+        channels: reminders.channels,
+        stages: reminders.stages,
+        intervalMinutes: reminders.intervalMs / 60000,
+        pending: reminders.pending(clock()),
+        sent: Object.entries(reminderState).map(([hash, entry]) => ({ hash, ...entry }))
+      });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // تشغيل دورة تنبيهات فوراً بدل انتظار الموعد
+  router.post('/api/reminders/run', requireRole('support'), async (req, res) => {
+    try {
+      if (reminders.channels.length === 0) {
+        return res.status(400).json(errorBody(req, 'NO_REMINDER_CHANNELS'));
+      }
+
+      const sent = await reminders.runOnce(clock());
+      res.json({ success: true, sent });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRemindersRouter };
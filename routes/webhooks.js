@@ -0,0 +1,176 @@
+const express = require('express');
+const crypto = require('crypto');
+const {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  WEBHOOK_SCHEMA,
+  generateWebhookSecret,
+  publicWebhook,
+  deliverySummary
+} = require('../lib/webhooks');
+const { optionalFields, validate } = require('../lib/schema');
+const { localize, errorBody } = require('../lib/i18n');
+
+const ID_PARAMS = { id: { type: 'string', nonEmpty: true } };
+const DELIVERY_PARAMS = { ...ID_PARAMS, deliveryId: { type: 'string', nonEmpty: true } };
+// isActive لا يُرسل عند الإنشاء، الاشتراك الجديد مفعّل دائماً
+const CREATE_REQUEST = {
+  body: { url: WEBHOOK_SCHEMA.url, events: WEBHOOK_SCHEMA.events, description: WEBHOOK_SCHEMA.description }
+};
+const UPDATE_REQUEST = { params: ID_PARAMS, body: optionalFields(WEBHOOK_SCHEMA) };
+const WEBHOOK_REQUEST = { params: ID_PARAMS };
+const DELIVERIES_REQUEST = { params: ID_PARAMS, query: { status: { type: 'string', oneOf: DELIVERY_STATUSES } } };
+const DELIVERY_REQUEST = { params: DELIVERY_PARAMS };
+
+// اشتراكات Webhook وسجل التسليمات
+function createWebhooksRouter(ctx) {
+  const {
+    clock,
+    webhooks,
+    webhookDeliveries,
+    webhookDispatcher,
+    audit,
+    internalError,
+    saveWebhooks,
+    requireRole
+  } = ctx;
+  const router = express.Router();
+
+  // اشتراكات Webhook لإبلاغ أنظمة الفوترة و CRM بأحداث الرخص
+  router.get('/api/webhooks', requireRole('viewer'), (req, res) => {
+    try {
+      res.json(Object.entries(webhooks).map(([id, webhook]) => publicWebhook(id, webhook)));
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/webhooks/events', requireRole('viewer'), (req, res) => {
+    res.json(WEBHOOK_EVENTS);
+  });
+
+  // السر يظهر مرة واحدة فقط عند الإنشاء
+  router.post('/api/webhooks', requireRole('owner'), validate(CREATE_REQUEST), (req, res) => {
+    try {
+      const { url, events, description = null } = req.body;
+
+      const id = `wh_${crypto.randomBytes(6).toString('hex')}`;
+      const secret = generateWebhookSecret();
+      webhooks[id] = {
+        url,
+        events: [...new Set(events)],
+        description,
+        secret,
+        isActive: true,
+        createdAt: clock().toISOString(),
+        createdBy: req.admin.username
+      };
+      saveWebhooks(webhooks);
+      audit(req, 'webhook.create', id, null, publicWebhook(id, webhooks[id]));
+
+      res.status(201).json({ success: true, secret, webhook: publicWebhook(id, webhooks[id]) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.put('/api/webhooks/:id', requireRole('owner'), validate(UPDATE_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+      const webhook = webhooks[id];
+      if (!webhook) {
+        return res.status(404).json(errorBody(req, 'WEBHOOK_NOT_FOUND'));
+      }
+
+      const { url, events, description, isActive } = req.body;
+      const before = publicWebhook(id, webhook);
+      if (url !== undefined) {
+        webhook.url = url;
+      }
+      if (events !== undefined) {
+        webhook.events = [...new Set(events)];
+      }
+      if (description !== undefined) {
+        webhook.description = description;
+      }
+      if (isActive !== undefined) {
+        webhook.isActive = isActive;
+      }
+      webhook.updatedAt = clock().toISOString();
+      saveWebhooks(webhooks);
+      audit(req, 'webhook.update', id, before, publicWebhook(id, webhook));
+
+      res.json({ success: true, webhook: publicWebhook(id, webhook) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.delete('/api/webhooks/:id', requireRole('owner'), validate(WEBHOOK_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!webhooks[id]) {
+        return res.status(404).json(errorBody(req, 'WEBHOOK_NOT_FOUND'));
+      }
+
+      const before = publicWebhook(id, webhooks[id]);
+      delete webhooks[id];
+      saveWebhooks(webhooks);
+      audit(req, 'webhook.delete', id, before, null);
+
+      res.json({ success: true, message: localize(req, 'WEBHOOK_DELETED') });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  // سجل التسليمات، الأحدث أولاً
+  router.get('/api/webhooks/:id/deliveries', requireRole('viewer'), validate(DELIVERIES_REQUEST), (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!webhooks[id]) {
+        return res.status(404).json(errorBody(req, 'WEBHOOK_NOT_FOUND'));
+      }
+
+      const { status } = req.query;
+      const result = webhookDeliveries
+        .filter(delivery => delivery.webhookId === id && (!status || delivery.status === status))
+        .reverse()
+        .map(deliverySummary);
+      res.json(result);
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.get('/api/webhooks/:id/deliveries/:deliveryId', requireRole('viewer'), validate(DELIVERY_REQUEST), (req, res) => {
+    try {
+      const { id, deliveryId } = req.params;
+      const delivery = webhookDeliveries.find(entry => entry.id === deliveryId && entry.webhookId === id);
+      if (!delivery) {
+        return res.status(404).json(errorBody(req, 'DELIVERY_NOT_FOUND'));
+      }
+      res.json(delivery);
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  router.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('support'), validate(DELIVERY_REQUEST), (req, res) => {
+    try {
+      const { id, deliveryId } = req.params;
+      if (!webhooks[id] || !webhookDeliveries.some(entry => entry.id === deliveryId && entry.webhookId === id)) {
+        return res.status(404).json(errorBody(req, 'DELIVERY_NOT_FOUND'));
+      }
+
+      const delivery = webhookDispatcher.redeliver(deliveryId);
+      res.status(202).json({ success: true, delivery: deliverySummary(delivery) });
+    } catch (err) {
+      internalError(req, res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhooksRouter };
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * نقل الرخص من licenses.json إلى قاعدة SQLite
+ * تشغيل: npm run migrate:sqlite -- [licenses.json] [licenses.db]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { readEntries } = require('../lib/storage/json-store');
+const { createStore } = require('../lib/storage');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const source = path.resolve(process.argv[2] || process.env.LICENSES_FILE || path.join(ROOT_DIR, 'licenses.json'));
+const target = path.resolve(process.argv[3] || process.env.SQLITE_FILE || path.join(ROOT_DIR, 'licenses.db'));
+
+if (!fs.existsSync(source)) {
+  console.error(`❌ الملف غير موجود: ${source}`);
+  process.exit(1);
+}
+
+let entries;
+try {
+  entries = readEntries(source);
+} catch (err) {
+  console.error(`❌ تعذر قراءة ${source}: ${err.message}`);
+  process.exit(1);
+}
+
+if (!Array.isArray(entries) || !entries.every(entry => Array.isArray(entry) && entry.length === 2)) {
+  console.error('❌ صيغة غير متوقعة: يجب أن يكون الملف مصفوفة من [hash, license]');
+  process.exit(1);
+}
+
+const store = createStore({ driver: 'sqlite', file: target });
+try {
+  const existing = Object.keys(store.loadLicenses()).length;
+  const imported = store.importLicenses(entries);
+  const total = Object.keys(store.loadLicenses()).length;
+
+  console.log(`✅ تم استيراد ${imported} رخصة من ${source}`);
+  console.log(`   قاعدة البيانات: ${target} (${existing} قبل الاستيراد، ${total} بعده)`);
+  console.log('   شغّل السيرفر مع STORAGE_DRIVER=sqlite لاستخدامها');
+} finally {
+  store.close();
+}
@@ -0,0 +1,175 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer } = require('./helpers');
+
+describe('admin access', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('answers the health check with the injected clock', async () => {
+    const { status, body } = await server.request('GET', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.timestamp, server.clock().toISOString());
+  });
+
+  it('creates the bootstrap owner from config', async () => {
+    const { status, body } = await server.request('GET', '/api/admin/me', { token });
+    assert.equal(status, 200);
+    assert.equal(body.username, ADMIN.username);
+    assert.equal(body.role, 'owner');
+  });
+
+  it('rejects a wrong password', async () => {
+    const { status, body } = await server.request('POST', '/api/admin/login', {
+      body: { username: ADMIN.username, password: 'wrong' }
+    });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_LOGIN');
+  });
+
+  it('requires a token on management routes', async () => {
+    const { status, body } = await server.request('GET', '/api/licenses');
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTH_REQUIRED');
+  });
+
+  it('enforces admin roles', async () => {
+    const created = await server.request('POST', '/api/admin/users', {
+      token,
+      body: { username: 'viewer1', password: 'viewer-pass', role: 'viewer' }
+    });
+    assert.equal(created.status, 201);
+
+    const viewerToken = await server.login('viewer1', 'viewer-pass');
+    const list = await server.request('GET', '/api/licenses', { token: viewerToken });
+    assert.equal(list.status, 200);
+
+    const denied = await server.request('POST', '/api/customers', {
+      token: viewerToken,
+      body: { clinicName: 'Denied Clinic' }
+    });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'INSUFFICIENT_PERMISSIONS');
+  });
+
+  it('keeps the last owner', async () => {
+    const { status, body } = await server.request('PUT', `/api/admin/users/${ADMIN.username}`, {
+      token,
+      body: { role: 'viewer' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'LAST_OWNER');
+  });
+
+  it('returns JSON codes for unknown routes and invalid JSON', async () => {
+    const missing = await server.request('GET', '/api/nothing-here');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'NOT_FOUND');
+
+    const invalid = await server.request('POST', '/api/admin/login', {
+      body: '{"username":',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_JSON');
+  });
+
+  it('localizes messages from Accept-Language', async () => {
+    const { headers, body } = await server.request('POST', '/api/admin/login', {
+      body: { username: ADMIN.username, password: 'wrong' },
+      headers: { 'Accept-Language': 'ar' }
+    });
+    assert.equal(headers.get('content-language'), 'ar');
+    assert.equal(body.code, 'INVALID_LOGIN');
+    assert.match(body.error, /[؀-ۿ]/);
+  });
+});
+
+describe('login lockout and session expiry', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  function attempt(password, username = ADMIN.username) {
+    return server.request('POST', '/api/admin/login', { body: { username, password } });
+  }
+
+  it('locks a username after repeated wrong passwords, even for the right one', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await attempt('wrong')).status, 401);
+    }
+
+    const locked = await attempt(ADMIN.password);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'LOGIN_LOCKED');
+    assert.equal(locked.headers.get('retry-after'), String(15 * 60));
+    assert.equal(locked.body.lockedUntil, new Date(server.clock().getTime() + 15 * 60 * 1000).toISOString());
+  });
+
+  it('locks unknown usernames the same way', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await attempt('wrong', 'ghost')).status, 401);
+    }
+    assert.equal((await attempt('wrong', 'ghost')).body.code, 'LOGIN_LOCKED');
+  });
+
+  it('lets the owner in again once the lock runs out', async () => {
+    server.clock.set(new Date(server.clock().getTime() + 15 * 60 * 1000 + 1));
+    const { status, body } = await attempt(ADMIN.password);
+    assert.equal(status, 200);
+    assert.ok(body.token);
+  });
+
+  it('expires sessions on the app clock', async () => {
+    const token = await server.login();
+    server.clock.set(new Date(server.clock().getTime() + 13 * 60 * 60 * 1000));
+    const { status, body } = await server.request('GET', '/api/admin/me', { token });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'SESSION_EXPIRED');
+  });
+});
+
+describe('app instances', () => {
+  let first;
+  let second;
+
+  before(async () => {
+    first = await startServer();
+    second = await startServer();
+  });
+
+  after(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  it('keeps admin sessions separate', async () => {
+    const token = await first.login();
+    assert.equal((await first.request('GET', '/api/admin/me', { token })).status, 200);
+
+    const other = await second.request('GET', '/api/admin/me', { token });
+    assert.equal(other.status, 401);
+    assert.equal(other.body.code, 'AUTH_REQUIRED');
+  });
+
+  it('stamps audit entries with the injected clock', async () => {
+    first.clock.advanceDays(3);
+    const token = await first.login();
+    await first.request('POST', '/api/customers', { token, body: { clinicName: 'Clock Clinic' } });
+
+    const { body } = await first.request('GET', '/api/audit?action=customer.create', { token });
+    assert.equal(body.entries[0].timestamp, first.clock().toISOString());
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createLicense } = require('./helpers');
+
+describe('archiving licenses', () => {
+  let server;
+  let token;
+  let archived;
+  let kept;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    archived = await createLicense(server, token, { clinicName: 'Closed Clinic', validityDays: 365 });
+    kept = await createLicense(server, token, { clinicName: 'Open Clinic', validityDays: 365 });
+  });
+
+  after(() => server.close());
+
+  it('archives instead of deleting, with the reason and the admin', async () => {
+    const { status, body } = await server.request('DELETE', `/api/licenses/${archived.hash}`, {
+      token,
+      body: { reason: 'clinic closed' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.license.status, 'archived');
+
+    const details = await server.request('GET', `/api/licenses/${archived.hash}`, { token });
+    assert.equal(details.status, 200);
+    assert.equal(details.body.archivedAt, server.clock().toISOString());
+    assert.equal(details.body.archivedBy, 'admin');
+    assert.equal(details.body.archiveReason, 'clinic closed');
+    assert.ok(server.store.loadLicenses()[archived.hash]);
+
+    const again = await server.request('DELETE', `/api/licenses/${archived.hash}`, { token });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'LICENSE_ARCHIVED');
+  });
+
+  it('leaves archived licenses out of listings and stats by default', async () => {
+    const list = await server.request('GET', '/api/licenses', { token });
+    assert.deepEqual(list.body.licenses.map(license => license.hash), [kept.hash]);
+
+    const onlyArchived = await server.request('GET', '/api/licenses?status=archived', { token });
+    assert.deepEqual(onlyArchived.body.licenses.map(license => license.hash), [archived.hash]);
+
+    const stats = await server.request('GET', '/api/stats', { token });
+    assert.equal(stats.body.total, 1);
+    assert.equal(stats.body.archived, 1);
+  });
+
+  it('leaves archived licenses out of the customer licenses', async () => {
+    const customer = await server.request('GET', `/api/customers/${archived.customerId}`, { token });
+    assert.equal(customer.body.licenseCount, 0);
+
+    const list = await server.request('GET', `/api/customers/${archived.customerId}/licenses`, { token });
+    assert.deepEqual(list.body, []);
+
+    const onlyArchived = await server.request('GET', `/api/customers/${archived.customerId}/licenses?status=archived`, {
+      token
+    });
+    assert.deepEqual(onlyArchived.body.map(license => license.hash), [archived.hash]);
+
+    const remove = await server.request('DELETE', `/api/customers/${archived.customerId}`, { token });
+    assert.equal(remove.status, 409);
+  });
+
+  it('fails verification with LICENSE_ARCHIVED', async () => {
+    const validate = await server.request('POST', '/api/licenses/validate', {
+      body: { licenseKey: archived.licenseKey }
+    });
+    assert.equal(validate.body.valid, false);
+    assert.equal(validate.body.code, 'LICENSE_ARCHIVED');
+
+    const verify = await server.request('POST', '/api/verify-license', {
+      body: { licenseKey: archived.licenseKey, deviceId: 'PC-1' }
+    });
+    assert.equal(verify.body.code, 'LICENSE_ARCHIVED');
+  });
+
+  it('refuses changes until the license is restored', async () => {
+    const extend = await server.request('PUT', `/api/licenses/${archived.hash}/extend`, {
+      token,
+      body: { daysToAdd: 5 }
+    });
+    assert.equal(extend.status, 409);
+    assert.equal(extend.body.code, 'LICENSE_ARCHIVED');
+
+    const bulk = await server.request('POST', '/api/licenses/bulk/deactivate', {
+      token,
+      body: { hashes: [archived.hash, kept.hash] }
+    });
+    assert.deepEqual(bulk.body.updatedHashes, [kept.hash]);
+    assert.deepEqual(bulk.body.archived, [archived.hash]);
+    await server.request('PUT', `/api/licenses/${kept.hash}/activate`, { token });
+  });
+
+  it('restores an archived license', async () => {
+    const { status, body } = await server.request('POST', `/api/licenses/${archived.hash}/restore`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.license.status, 'active');
+    assert.equal(body.license.archivedAt, undefined);
+
+    const validate = await server.request('POST', '/api/licenses/validate', {
+      body: { licenseKey: archived.licenseKey }
+    });
+    assert.equal(validate.body.valid, true);
+
+    const again = await server.request('POST', `/api/licenses/${archived.hash}/restore`, { token });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'LICENSE_NOT_ARCHIVED');
+
+    const audit = await server.request('GET', `/api/licenses/${archived.hash}/audit`, { token });
+    assert.deepEqual(audit.body.entries.map(entry => entry.action).slice(0, 2), ['license.restore', 'license.archive']);
+  });
+});
+
+describe('purging archived licenses', () => {
+  let server;
+  let token;
+  let old;
+  let recent;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    old = await createLicense(server, token, { clinicName: 'Old Clinic', validityDays: 365 });
+    recent = await createLicense(server, token, { clinicName: 'Recent Clinic', validityDays: 365 });
+
+    await server.request('DELETE', `/api/licenses/${old.hash}`, { token });
+    server.clock.advanceDays(100);
+    // الجلسة تنتهي مع ساعة التطبيق
+    token = await server.login();
+    await server.request('DELETE', `/api/licenses/${recent.hash}`, { token });
+    server.clock.advanceDays(10);
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('lists what would be purged on a dry run', async () => {
+    const { body } = await server.request('POST', '/api/licenses/purge', { token, body: { dryRun: true } });
+    assert.equal(body.olderThanDays, 90);
+    assert.equal(body.purged, 0);
+    assert.deepEqual(body.hashes, [old.hash]);
+    assert.ok(server.store.loadLicenses()[old.hash]);
+  });
+
+  it('deletes archives older than the retention window for good', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses/purge', { token, body: {} });
+    assert.equal(status, 200);
+    assert.equal(body.purged, 1);
+    assert.deepEqual(body.hashes, [old.hash]);
+
+    assert.equal(server.store.loadLicenses()[old.hash], undefined);
+    const gone = await server.request('GET', `/api/licenses/${old.hash}`, { token });
+    assert.equal(gone.status, 404);
+    const restore = await server.request('POST', `/api/licenses/${old.hash}/restore`, { token });
+    assert.equal(restore.status, 404);
+
+    const still = await server.request('GET', `/api/licenses/${recent.hash}`, { token });
+    assert.equal(still.body.status, 'archived');
+  });
+
+  it('accepts a shorter window', async () => {
+    const { body } = await server.request('POST', '/api/licenses/purge', { token, body: { olderThanDays: 7 } });
+    assert.deepEqual(body.hashes, [recent.hash]);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { startServer, createLicense } = require('./helpers');
+
+// نسخة مكتوبة يدوياً مع ملف checksum صحيح، والمصفوفة هي صيغة النسخ القديمة (رخص فقط)
+function writeSnapshot(dir, file, contents) {
+  const data = zlib.gzipSync(JSON.stringify(contents));
+  const checksum = crypto.createHash('sha256').update(data).digest('hex');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), data);
+  fs.writeFileSync(path.join(dir, `${file}.sha256`), `${checksum}  ${file}\n`);
+}
+
+describe('backups', () => {
+  let server;
+  let token;
+  let first;
+  let snapshot;
+  let backupDir;
+
+  before(async () => {
+    server = await startServer({ config: { backups: { keep: 3 } } });
+    token = await server.login();
+    backupDir = path.join(server.dataDir, 'backups');
+    first = await createLicense(server, token, { clinicName: 'First Clinic', validityDays: 365 });
+  });
+
+  after(() => server.close());
+
+  it('writes a compressed snapshot with a sha256sum file', async () => {
+    const { status, body } = await server.request('POST', '/api/admin/backups', { token });
+    assert.equal(status, 201);
+    snapshot = body.backup;
+    assert.equal(snapshot.kind, 'manual');
+    assert.equal(snapshot.licenses, 1);
+    assert.equal(snapshot.customers, 1);
+
+    const data = fs.readFileSync(path.join(backupDir, snapshot.file));
+    const contents = JSON.parse(zlib.gunzipSync(data).toString('utf-8'));
+    assert.deepEqual(contents.licenses.map(([hash]) => hash), [first.hash]);
+    assert.deepEqual(contents.customers.map(([id]) => id), [first.customerId]);
+    assert.ok(contents.plans.length > 0);
+    assert.equal(
+      fs.readFileSync(path.join(backupDir, `${snapshot.file}.sha256`), 'utf-8'),
+      `${crypto.createHash('sha256').update(data).digest('hex')}  ${snapshot.file}\n`
+    );
+  });
+
+  it('lists snapshots for owners only', async () => {
+    const { body } = await server.request('GET', '/api/admin/backups', { token });
+    assert.equal(body.keep, 3);
+    assert.deepEqual(body.backups.map(backup => backup.file), [snapshot.file]);
+    assert.equal(body.backups[0].sha256, snapshot.sha256);
+
+    await server.request('POST', '/api/admin/users', {
+      token,
+      body: { username: 'helpdesk', password: 'helpdesk-password', role: 'support' }
+    });
+    const support = await server.login('helpdesk', 'helpdesk-password');
+    const denied = await server.request('GET', '/api/admin/backups', { token: support });
+    assert.equal(denied.status, 403);
+  });
+
+  it('checks a snapshot on a dry run without changing anything', async () => {
+    const second = await createLicense(server, token, { clinicName: 'Second Clinic', validityDays: 365 });
+    const { status, body } = await server.request('POST', `/api/admin/backups/${snapshot.file}/restore`, {
+      token,
+      body: { dryRun: true }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.backup.licenses, 1);
+    assert.ok(server.store.loadLicenses()[second.hash]);
+  });
+
+  it('restores a snapshot with its customers and reloads them in memory', async () => {
+    await server.request('DELETE', `/api/licenses/${first.hash}`, { token });
+    await server.request('POST', '/api/licenses/purge', { token, body: { olderThanDays: 0 } });
+    const gone = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: first.licenseKey } });
+    assert.equal(gone.body.code, 'LICENSE_NOT_FOUND');
+    const removed = await server.request('DELETE', `/api/customers/${first.customerId}`, { token });
+    assert.equal(removed.status, 200);
+
+    const { status, body } = await server.request('POST', `/api/admin/backups/${snapshot.file}/restore`, {
+      token,
+      body: {}
+    });
+    assert.equal(status, 200);
+    assert.equal(body.restored, 1);
+    assert.equal(body.preRestore.kind, 'pre-restore');
+    assert.equal(body.preRestore.licenses, 1);
+
+    const back = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: first.licenseKey } });
+    assert.equal(back.body.valid, true);
+    const list = await server.request('GET', '/api/licenses', { token });
+    assert.deepEqual(list.body.licenses.map(license => license.hash), [first.hash]);
+    assert.equal(list.body.licenses[0].customerName, 'First Clinic');
+    const customer = await server.request('GET', `/api/customers/${first.customerId}`, { token });
+    assert.equal(customer.status, 200);
+
+    const audit = await server.request('GET', '/api/audit?action=backup.restore', { token });
+    assert.equal(audit.body.entries[0].target, snapshot.file);
+  });
+
+  it('refuses a snapshot that does not match its checksum', async () => {
+    const file = snapshot.file.replace('manual', 'scheduled');
+    fs.copyFileSync(path.join(backupDir, snapshot.file), path.join(backupDir, file));
+    fs.writeFileSync(path.join(backupDir, `${file}.sha256`), `${'0'.repeat(64)}  ${file}\n`);
+
+    const { status, body } = await server.request('POST', `/api/admin/backups/${file}/restore`, { token, body: {} });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'BACKUP_CHECKSUM_MISMATCH');
+  });
+
+  it('refuses a snapshot with invalid records before touching the store', async () => {
+    const file = 'licenses-2025-12-31T00-00-00-000Z-manual.json.gz';
+    writeSnapshot(backupDir, file, [['not-a-hash', { maskedKey: 'VET-X', devices: 'PC-1' }]]);
+
+    const { status, body } = await server.request('POST', `/api/admin/backups/${file}/restore`, { token, body: {} });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'BACKUP_INVALID');
+    assert.ok(body.problems.some(problem => problem.code === 'HASH_INVALID'));
+    assert.ok(body.problems.every(problem => problem.message));
+    assert.ok(server.store.loadLicenses()[first.hash]);
+  });
+
+  it('refuses an old licenses-only snapshot that points at a missing customer', async () => {
+    const file = 'licenses-2025-12-30T00-00-00-000Z-manual.json.gz';
+    const license = { ...server.store.loadLicenses()[first.hash], customerId: 'cus_000000000000' };
+    writeSnapshot(backupDir, file, [[first.hash, license]]);
+
+    const { status, body } = await server.request('POST', `/api/admin/backups/${file}/restore`, { token, body: {} });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'BACKUP_INVALID');
+    assert.deepEqual(body.problems.map(problem => [problem.code, problem.field]), [['UNKNOWN_CUSTOMER', 'customerId']]);
+  });
+
+  it('returns 404 for an unknown snapshot', async () => {
+    const { status, body } = await server.request('POST', '/api/admin/backups/licenses.json/restore', {
+      token,
+      body: {}
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'BACKUP_NOT_FOUND');
+  });
+
+  it('keeps only the latest snapshots of each kind', async () => {
+    for (let i = 0; i < 3; i++) {
+      server.clock.advanceDays(1);
+      token = await server.login();
+      await server.request('POST', '/api/admin/backups', { token });
+    }
+    const { body } = await server.request('GET', '/api/admin/backups', { token });
+    const manual = body.backups.filter(backup => backup.kind === 'manual');
+    assert.equal(manual.length, 3);
+    assert.ok(manual.every(backup => backup.createdAt > '2026-01-01T12:00:00.000Z'));
+    assert.deepEqual(body.backups.filter(backup => backup.kind !== 'manual').map(backup => backup.kind).sort(), ['pre-restore', 'scheduled']);
+    assert.equal(fs.readdirSync(backupDir).length, 10);
+  });
+
+  it('restores the valid records of a snapshot taken with a broken row in the store', async () => {
+    const broken = crypto.createHash('sha256').update('VET-BROKEN-0000000000000009').digest('hex');
+    server.store.saveLicense(broken, { maskedKey: 'VET-BROKEN-****0009', isActive: true, expirationDate: 'soon' });
+    const created = await server.request('POST', '/api/admin/backups', { token });
+    assert.equal(created.body.backup.licenses, 2);
+
+    const { status, body } = await server.request('POST', `/api/admin/backups/${created.body.backup.file}/restore`, {
+      token,
+      body: {}
+    });
+    assert.equal(status, 200);
+    assert.equal(body.restored, 1);
+    assert.deepEqual(body.skipped.map(problem => [problem.hash, problem.code, problem.field]), [
+      [broken, 'FIELD_DATE', 'expirationDate']
+    ]);
+    const back = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: first.licenseKey } });
+    assert.equal(back.body.valid, true);
+  });
+});
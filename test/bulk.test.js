@@ -0,0 +1,228 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createLicense } = require('./helpers');
+const { DAY_MS } = require('../lib/license-status');
+
+const UNKNOWN_HASH = 'f'.repeat(64);
+
+describe('CSV import', () => {
+  let server;
+  let token;
+  let customer;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    ({ body: { customer } } = await server.request('POST', '/api/customers', {
+      token,
+      body: { clinicName: 'Import Clinic' }
+    }));
+  });
+
+  after(() => server.close());
+
+  async function licenseCount() {
+    return (await server.request('GET', '/api/licenses', { token })).body.total;
+  }
+
+  function mixedCsv() {
+    return [
+      'customerCode,planId,validityDays,expirationDate',
+      `${customer.code},basic,30,`,
+      'NOPE,,,',
+      `${customer.code},,abc,`,
+      `${customer.code},,,not-a-date`,
+      `${customer.code},no-such-plan,,`
+    ].join('\n');
+  }
+
+  it('reports each invalid row by its spreadsheet row number', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses/import', { token, body: { csv: mixedCsv() } });
+    assert.equal(status, 200);
+    assert.equal(body.success, false);
+    assert.equal(body.dryRun, true);
+    assert.deepEqual([body.total, body.valid, body.invalid], [5, 1, 4]);
+    assert.deepEqual(body.errors.map(({ row, errors }) => [row, errors.map(error => error.code)]), [
+      [3, ['UNKNOWN_CUSTOMER_CODE', 'FIELD_REQUIRED']],
+      [4, ['FIELD_POSITIVE_INTEGER']],
+      [5, ['FIELD_DATE']],
+      [6, ['UNKNOWN_PLAN']]
+    ]);
+    assert.ok(body.errors.every(({ errors }) => errors.every(error => typeof error.error === 'string')));
+  });
+
+  it('imports nothing while any row is invalid', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses/import?dryRun=false', {
+      token,
+      body: mixedCsv(),
+      headers: { 'Content-Type': 'text/csv' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'IMPORT_INVALID_ROWS');
+    assert.equal(body.invalid, 4);
+    assert.equal(await licenseCount(), 0);
+  });
+
+  it('imports the rows once they are all valid', async () => {
+    const csv = [
+      'customerId,planId,validityDays,expirationDate',
+      `${customer.id},basic,30,`,
+      `${customer.id},,,2027-06-30`
+    ].join('\r\n');
+    const { status, body } = await server.request('POST', '/api/licenses/import', {
+      token,
+      body: { csv, dryRun: false }
+    });
+    assert.equal(status, 201);
+    assert.deepEqual([body.total, body.valid, body.invalid], [2, 2, 0]);
+    assert.deepEqual(body.licenses.map(entry => entry.row), [2, 3]);
+    assert.ok(body.licenses.every(entry => entry.licenseKey.startsWith('VET-')));
+    assert.equal(body.licenses[0].license.planId, 'basic');
+    assert.equal(body.licenses[1].license.expirationDate, '2027-06-30T00:00:00.000Z');
+    assert.equal(await licenseCount(), 2);
+  });
+
+  it('requires a customer column', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses/import', {
+      token,
+      body: { csv: 'planId\nbasic' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'CSV_CUSTOMER_COLUMN_REQUIRED');
+  });
+});
+
+describe('bulk actions', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('deactivates by hash and reports unchanged, archived and unknown hashes', async () => {
+    const active = await createLicense(server, token);
+    const inactive = await createLicense(server, token);
+    const archived = await createLicense(server, token);
+    await server.request('PUT', `/api/licenses/${inactive.hash}/deactivate`, { token });
+    await server.request('DELETE', `/api/licenses/${archived.hash}`, { token, body: {} });
+
+    const { status, body } = await server.request('POST', '/api/licenses/bulk/deactivate', {
+      token,
+      body: { hashes: [active.hash, inactive.hash, archived.hash, UNKNOWN_HASH, active.hash] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.matched, 2);
+    assert.deepEqual(body.updatedHashes, [active.hash]);
+    assert.deepEqual(body.unchanged, [inactive.hash]);
+    assert.deepEqual(body.archived, [archived.hash]);
+    assert.deepEqual(body.notFound, [UNKNOWN_HASH]);
+
+    const changed = await server.request('GET', `/api/licenses/${active.hash}`, { token });
+    assert.equal(changed.body.isActive, false);
+  });
+
+  it('extends every license that matches a filter', async () => {
+    const first = await createLicense(server, token, { clinicName: 'Extend Clinic', validityDays: 30 });
+    const second = await server.request('POST', '/api/licenses', {
+      token,
+      body: { customerId: first.customerId, validityDays: 60 }
+    });
+    const other = await createLicense(server, token, { validityDays: 30 });
+
+    const { body } = await server.request('POST', '/api/licenses/bulk/extend', {
+      token,
+      body: { filter: { customerId: first.customerId }, daysToAdd: 10 }
+    });
+    assert.equal(body.updated, 2);
+    assert.deepEqual(body.updatedHashes.sort(), [first.hash, second.body.license.hash].sort());
+
+    const extended = await server.request('GET', `/api/licenses/${first.hash}`, { token });
+    assert.equal(new Date(extended.body.expirationDate) - new Date(first.license.expirationDate), 10 * DAY_MS);
+    assert.equal(extended.body.validityDays, 40);
+    const untouched = await server.request('GET', `/api/licenses/${other.hash}`, { token });
+    assert.equal(untouched.body.expirationDate, other.license.expirationDate);
+
+    const { body: audit } = await server.request('GET', `/api/licenses/${first.hash}/audit`, { token });
+    assert.ok(audit.entries.some(entry => entry.action === 'license.extend'));
+  });
+
+  it('rejects requests without a usable target or action', async () => {
+    const cases = [
+      ['/api/licenses/bulk/extend', { hashes: [UNKNOWN_HASH] }, 400, 'FIELD_REQUIRED'],
+      ['/api/licenses/bulk/activate', {}, 400, 'BULK_TARGET_REQUIRED'],
+      ['/api/licenses/bulk/activate', { hashes: [UNKNOWN_HASH], filter: { status: 'active' } }, 400, 'BULK_TARGET_REQUIRED'],
+      ['/api/licenses/bulk/activate', { filter: {} }, 400, 'FILTER_EMPTY'],
+      ['/api/licenses/bulk/activate', { filter: { colour: 'red' } }, 400, 'UNKNOWN_FIELDS'],
+      ['/api/licenses/bulk/delete', { hashes: [UNKNOWN_HASH] }, 404, 'UNKNOWN_BULK_ACTION']
+    ];
+    for (const [route, body, status, code] of cases) {
+      const response = await server.request('POST', route, { token, body });
+      assert.equal(response.status, status, route);
+      assert.equal(response.body.code, code, `${route} ${JSON.stringify(body)}`);
+    }
+  });
+});
+
+describe('CSV export', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('exports licenses that import back with the same settings', async () => {
+    const { customerId } = await createLicense(server, token, { clinicName: 'Round Trip, "Clinic"', planId: 'basic', validityDays: 30 });
+    await server.request('POST', '/api/licenses', {
+      token,
+      body: { customerId, planId: 'pro', validityDays: 365, maxDevices: 3 }
+    });
+
+    const columns = 'customerId,type,planId,validityDays,maxDevices,maxUsers,expirationDate,customerName';
+    const exported = await server.request('GET', `/api/licenses/export?customerId=${customerId}&columns=${columns}`, { token });
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get('content-type'), /^text\/csv/);
+    assert.match(exported.body, /\r\n/);
+    assert.ok(exported.body.includes('"Round Trip, ""Clinic"""'));
+
+    const imported = await server.request('POST', '/api/licenses/import?dryRun=false', {
+      token,
+      body: exported.body,
+      headers: { 'Content-Type': 'text/csv' }
+    });
+    assert.equal(imported.status, 201, JSON.stringify(imported.body.errors));
+
+    const settings = license => [license.customerId, license.type, license.planId, license.validityDays,
+      license.maxDevices, license.maxUsers, license.expirationDate].join('|');
+    const { body } = await server.request('GET', `/api/licenses?customerId=${customerId}`, { token });
+    const copies = imported.body.licenses.map(entry => settings(entry.license)).sort();
+    const originals = body.licenses
+      .filter(license => !imported.body.licenses.some(entry => entry.license.hash === license.hash))
+      .map(settings)
+      .sort();
+    assert.equal(originals.length, 2);
+    assert.deepEqual(copies, originals);
+  });
+
+  it('rejects unknown columns and lists the available ones', async () => {
+    const { status, body } = await server.request('GET', '/api/licenses/export?columns=maskedKey,licenseKey', { token });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNKNOWN_COLUMNS');
+    assert.ok(body.available.includes('maskedKey'));
+    assert.equal(body.available.includes('licenseKey'), false);
+  });
+
+  it('leaves archived licenses out', async () => {
+    const { hash, customerId } = await createLicense(server, token, { clinicName: 'Archived Export Clinic' });
+    await server.request('DELETE', `/api/licenses/${hash}`, { token, body: {} });
+    const { body } = await server.request('GET', `/api/licenses/export?customerId=${customerId}&columns=hash`, { token });
+    assert.equal(body.trim(), 'hash');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+const { createMemoryStore } = require('../lib/storage');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// رخصة قديمة تحمل اسم العيادة في customerId
+function legacyLicense(customerId) {
+  return {
+    maskedKey: 'VET-CLINIC-****0001',
+    customerId,
+    type: 'production',
+    created: '2025-06-01T00:00:00.000Z',
+    expirationDate: '2026-06-01T00:00:00.000Z',
+    validityDays: 365,
+    maxDevices: 1,
+    isActive: true,
+    devices: [],
+    users: [],
+    loginHistory: []
+  };
+}
+
+describe('legacy customer migration', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    const store = createMemoryStore({
+      licenses: {
+        [sha256('cairo')]: legacyLicense('Happy Paws Clinic Cairo'),
+        [sha256('giza')]: legacyLicense('Happy Paws Clinic Giza'),
+        [sha256('cairo-2')]: legacyLicense('VET-happy paws clinic cairo'),
+        // اسم يطابق مفتاحاً موروثاً من Object.prototype
+        [sha256('constructor')]: legacyLicense('constructor')
+      }
+    });
+    server = await startServer({ store });
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('keeps clinics that share a name prefix apart', async () => {
+    const { body } = await server.request('GET', '/api/customers', { token });
+    const byName = Object.fromEntries(body.map(customer => [customer.clinicName, customer]));
+    assert.deepEqual(Object.keys(byName).sort(), ['Happy Paws Clinic Cairo', 'Happy Paws Clinic Giza', 'constructor']);
+
+    const cairo = byName['Happy Paws Clinic Cairo'];
+    const giza = byName['Happy Paws Clinic Giza'];
+    assert.equal(cairo.licenseCount, 2);
+    assert.deepEqual(cairo.legacyIds, ['Happy Paws Clinic Cairo', 'VET-happy paws clinic cairo']);
+    assert.equal(giza.licenseCount, 1);
+    assert.deepEqual([cairo.code, giza.code].sort(), ['HAPPYPAWS2', 'HAPPYPAWSC']);
+  });
+
+  it('migrates a clinic named like an inherited object key', async () => {
+    const { body } = await server.request('GET', '/api/customers', { token });
+    const customer = body.find(item => item.clinicName === 'constructor');
+    assert.match(customer.id, /^cus_/);
+    assert.equal(customer.licenseCount, 1);
+  });
+
+  it('refuses an inherited object key as a customerId', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses', {
+      token,
+      body: { customerId: 'constructor', validityDays: 30 }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNKNOWN_CUSTOMER');
+  });
+});
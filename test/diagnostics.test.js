@@ -0,0 +1,261 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, createLicense, createClock } = require('./helpers');
+const { createApp } = require('../app');
+const { createMemoryStore, createStore } = require('../lib/storage');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function checkOf(report, name) {
+  return report.checks.find(check => check.name === name);
+}
+
+function codesOf(report, name) {
+  return checkOf(report, name).problems.map(item => item.code);
+}
+
+function validLicense(fields = {}) {
+  return {
+    maskedKey: 'VET-CLINIC-****ABCD',
+    customerId: null,
+    type: 'trial',
+    created: '2026-01-01T00:00:00.000Z',
+    expirationDate: '2026-01-31T00:00:00.000Z',
+    validityDays: 30,
+    maxDevices: 1,
+    isActive: true,
+    devices: [],
+    users: [],
+    loginHistory: [],
+    ...fields
+  };
+}
+
+describe('diagnostics', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    await createLicense(server, token, { validityDays: 30 });
+  });
+
+  after(() => server.close());
+
+  it('reports a healthy server and checks every route', async () => {
+    const { status, body } = await server.request('GET', '/api/admin/diagnostics', { token });
+    assert.equal(status, 200);
+    assert.equal(body.ok, true, JSON.stringify(body.checks.filter(check => check.status === 'fail')));
+    assert.equal(body.storage.driver, 'memory');
+    assert.equal(body.storage.licenses, 1);
+    assert.equal(body.generatedAt, server.clock().toISOString());
+
+    const routes = checkOf(body, 'routes');
+    assert.equal(routes.status, 'pass');
+    assert.ok(routes.total > 50);
+  });
+
+  it('does not spend the client rate limit of localhost', async () => {
+    const limited = await startServer({ config: { rateLimit: { maxPerIp: 1, maxPerKey: 1000 } } });
+    try {
+      const { body } = await limited.request('GET', '/api/admin/diagnostics', { token: await limited.login() });
+      assert.equal(checkOf(body, 'routes').status, 'pass');
+      const { status } = await limited.request('POST', '/api/licenses/validate', {
+        body: { licenseKey: 'VET-NOPE-0000000000000001' }
+      });
+      assert.equal(status, 200);
+    } finally {
+      await limited.close();
+    }
+  });
+
+  it('is limited to owners', async () => {
+    await server.request('POST', '/api/admin/users', {
+      token,
+      body: { username: 'viewer-diag', password: 'viewer-pass', role: 'viewer' }
+    });
+    const viewerToken = await server.login('viewer-diag', 'viewer-pass');
+    const { status } = await server.request('GET', '/api/admin/diagnostics', { token: viewerToken });
+    assert.equal(status, 403);
+  });
+});
+
+describe('diagnostics on damaged records', () => {
+  const legacyKey = 'VET-OLD-1111222233334444';
+  let server;
+  let report;
+
+  before(async () => {
+    const store = createMemoryStore({
+      licenses: {
+        [sha256('VET-GOOD-0000000000000001')]: validLicense(),
+        [sha256('VET-BAD-0000000000000002')]: validLicense({
+          maskedKey: 'VET-BAD-****0002',
+          type: 'full',
+          validityDays: 'thirty',
+          isActive: undefined,
+          planId: 'no-such-plan',
+          expirationDate: '31/01/2026',
+          users: [
+            { username: 'ahmed', isActive: true },
+            { username: 'ahmed', isActive: true }
+          ],
+          devices: [{ deviceId: 'PC-1', firstSeen: '2026-01-01T00:00:00.000Z', lastSeen: 'yesterday' }]
+        }),
+        // سجل قديم يحمل المفتاح الكامل لكن hash لمفتاح آخر
+        [sha256('VET-OLD-9999999999999999')]: validLicense({ key: legacyKey }),
+        'not-a-hash': validLicense()
+      }
+    });
+    server = await startServer({ store });
+    const token = await server.login();
+    report = (await server.request('GET', '/api/admin/diagnostics', { token })).body;
+  });
+
+  after(() => server.close());
+
+  it('fails the report', () => {
+    assert.equal(report.ok, false);
+    assert.ok(report.summary.fail >= 4);
+  });
+
+  it('validates records against the schema', () => {
+    const problems = checkOf(report, 'records').problems;
+    const bad = sha256('VET-BAD-0000000000000002');
+    assert.ok(problems.every(item => item.hash === bad));
+    assert.deepEqual(problems.map(item => [item.code, item.params.field || item.params.planId || null]).sort(), [
+      ['FIELD_POSITIVE_INTEGER', 'validityDays'],
+      ['FIELD_REQUIRED', 'customerId'],
+      ['FIELD_REQUIRED', 'isActive'],
+      ['UNKNOWN_PLAN', 'no-such-plan']
+    ]);
+  });
+
+  it('reports malformed dates with their path', () => {
+    const fields = checkOf(report, 'dates').problems.map(item => item.params.field).sort();
+    assert.deepEqual(fields, ['devices[0].lastSeen', 'expirationDate']);
+  });
+
+  it('reports a user listed twice on one license', () => {
+    const [duplicate] = checkOf(report, 'orphanedUsers').problems;
+    assert.equal(duplicate.code, 'DUPLICATE_USERNAME');
+    assert.deepEqual(duplicate.params, { username: 'ahmed', count: 2 });
+  });
+
+  it('reports masked keys shared by several licenses as a warning', () => {
+    const duplicates = checkOf(report, 'duplicateKeys');
+    assert.equal(duplicates.status, 'warn');
+    assert.deepEqual(codesOf(report, 'duplicateKeys'), ['DUPLICATE_MASKED_KEY']);
+  });
+
+  it('reports invalid hashes and legacy keys that do not match their hash', () => {
+    const hashes = checkOf(report, 'hashes');
+    assert.equal(hashes.withKey, 1);
+    assert.deepEqual(hashes.problems.map(item => [item.code, item.hash]).sort(), [
+      ['HASH_INVALID', 'not-a-hash'],
+      ['HASH_MISMATCH', sha256('VET-OLD-9999999999999999')]
+    ]);
+  });
+
+  it('localizes the messages', async () => {
+    const token = await server.login();
+    const { body } = await server.request('GET', '/api/admin/diagnostics', {
+      token,
+      headers: { 'Accept-Language': 'ar' }
+    });
+    assert.match(checkOf(body, 'dates').problems[0].message, /[؀-ۿ]/);
+  });
+});
+
+describe('diagnostics on stored files', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetcare-diag-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('finds a hash stored twice in licenses.json', async () => {
+    const file = path.join(dir, 'licenses.json');
+    const hash = sha256('VET-TWICE-0000000000000001');
+    fs.writeFileSync(file, JSON.stringify([[hash, validLicense()], [hash, validLicense()]]));
+
+    const server = await startServer({ store: createStore({ driver: 'json', file }) });
+    try {
+      const token = await server.login();
+      const { body } = await server.request('GET', '/api/admin/diagnostics', { token });
+      assert.deepEqual(codesOf(body, 'duplicateKeys'), ['DUPLICATE_HASH']);
+      assert.equal(checkOf(body, 'duplicateKeys').problems[0].hash, hash);
+      assert.ok(checkOf(body, 'files').files.some(entry => entry.name === 'licenses' && entry.exists));
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('warns about secret files readable by other users', async () => {
+    const server = await startServer();
+    try {
+      const token = await server.login();
+      fs.chmodSync(path.join(server.dataDir, 'admins.json'), 0o644);
+      const { body } = await server.request('GET', '/api/admin/diagnostics', { token });
+      const files = checkOf(body, 'files');
+      assert.equal(files.status, 'warn');
+      assert.deepEqual(files.problems.map(item => [item.code, item.params.file]), [['FILE_TOO_OPEN', 'admins.json']]);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('read-only check before the first start', () => {
+  let dir;
+  let file;
+  let original;
+  let report;
+  let lockTaken;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetcare-check-'));
+    file = path.join(dir, 'licenses.json');
+    // licenses.json الأصلي: المفتاح الكامل واسم العميل في customerId
+    fs.copyFileSync(path.join(__dirname, '..', 'licenses.json'), file);
+    original = fs.readFileSync(file, 'utf-8');
+
+    const app = createApp({
+      store: createStore({ driver: 'json', file, readOnly: true }),
+      clock: createClock(),
+      config: { dataDir: dir, readOnly: true, adminUsername: 'admin', adminPassword: 'test-password' }
+    });
+    // بدون قفل، فلا يتعارض مع سيرفر شغال على نفس الملف
+    lockTaken = fs.existsSync(`${file}.lock`);
+    try {
+      report = await app.diagnose();
+    } finally {
+      app.stop();
+    }
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('leaves the data untouched', () => {
+    assert.equal(fs.readFileSync(file, 'utf-8'), original);
+    assert.equal(lockTaken, false);
+    assert.deepEqual(fs.readdirSync(dir), ['licenses.json']);
+  });
+
+  it('reports the pending migrations as warnings', () => {
+    assert.equal(report.ok, true, JSON.stringify(report.checks.filter(check => check.status === 'fail')));
+    assert.equal(checkOf(report, 'routes').status, 'pass');
+    assert.equal(checkOf(report, 'records').status, 'warn');
+    assert.deepEqual(checkOf(report, 'records').problems.map(item => [item.code, item.params.field]), [
+      ['MIGRATION_PENDING', 'key'],
+      ['MIGRATION_PENDING', 'customerId']
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, createLicense } = require('./helpers');
+const { loadSigningKeys, verifyToken } = require('../lib/tokens');
+
+const START = '2026-01-01T00:00:00.000Z';
+
+describe('expiry and grace period', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  // جلسة جديدة عند كل طلب، لأن الجلسات تنتهي مع تقديم الساعة
+  async function statusOf(hash) {
+    const { body } = await server.request('GET', `/api/licenses/${hash}`, { token: await server.login() });
+    return body.status;
+  }
+
+  it('moves from active to grace to expired as the clock advances', async () => {
+    server.clock.set(START);
+    // خطة basic: مدة سماح 7 أيام
+    const { licenseKey, hash } = await createLicense(server, await server.login(), { planId: 'basic', validityDays: 30 });
+
+    server.clock.advanceDays(29);
+    assert.equal(await statusOf(hash), 'active');
+    const active = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(active.body.valid, true);
+    assert.equal(active.body.status, 'active');
+    assert.equal(active.body.remainingDays, 1);
+
+    server.clock.advanceDays(2);
+    assert.equal(await statusOf(hash), 'grace');
+    const grace = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(grace.body.valid, true);
+    assert.equal(grace.body.status, 'grace');
+    assert.equal(grace.body.graceEndsAt, '2026-02-07T00:00:00.000Z');
+    assert.equal(grace.body.remainingDays, 0);
+
+    server.clock.set('2026-02-07T00:00:01.000Z');
+    assert.equal(await statusOf(hash), 'expired');
+    const expired = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(expired.body.valid, false);
+    assert.equal(expired.body.code, 'LICENSE_EXPIRED');
+
+    const validate = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(validate.body.code, 'LICENSE_EXPIRED');
+  });
+
+  it('uses the grace days of the plan', async () => {
+    server.clock.set(START);
+    const { hash } = await createLicense(server, await server.login(), { planId: 'enterprise', validityDays: 10 });
+
+    server.clock.advanceDays(39);
+    assert.equal(await statusOf(hash), 'grace');
+    server.clock.advanceDays(2);
+    assert.equal(await statusOf(hash), 'expired');
+  });
+
+  it('gives trials no grace period', async () => {
+    server.clock.set(START);
+    const trial = await server.request('POST', '/api/trials', { body: { deviceId: 'TRIAL-PC' } });
+    assert.equal(trial.status, 201);
+
+    server.clock.set(new Date(new Date(trial.body.expirationDate).getTime() + 1000));
+    const { body } = await server.request('POST', '/api/verify-license', {
+      body: { licenseKey: trial.body.licenseKey, deviceId: 'TRIAL-PC' }
+    });
+    assert.equal(body.code, 'LICENSE_EXPIRED');
+  });
+
+  it('renews from the expiry date before it passes and from now after it', async () => {
+    server.clock.set(START);
+    const { hash } = await createLicense(server, await server.login(), { planId: 'basic', validityDays: 30 });
+
+    server.clock.advanceDays(20);
+    const early = await server.request('POST', `/api/licenses/${hash}/renew`, {
+      token: await server.login(),
+      body: { days: 30 }
+    });
+    assert.equal(early.status, 200);
+    assert.equal(early.body.license.expirationDate, '2026-03-02T00:00:00.000Z');
+
+    server.clock.set('2026-03-05T00:00:00.000Z');
+    assert.equal(await statusOf(hash), 'grace');
+    const inGrace = await server.request('POST', `/api/licenses/${hash}/renew`, {
+      token: await server.login(),
+      body: { days: 30 }
+    });
+    assert.equal(inGrace.body.license.expirationDate, '2026-04-04T00:00:00.000Z');
+    assert.equal(await statusOf(hash), 'active');
+  });
+
+  it('counts grace and expired licenses in stats and filters', async () => {
+    server.clock.set(START);
+    const fresh = await startServer({ clock: server.clock });
+    try {
+      const freshToken = await fresh.login();
+      await createLicense(fresh, freshToken, { planId: 'basic', validityDays: 10 });
+      await createLicense(fresh, freshToken, { planId: 'basic', validityDays: 20 });
+      await createLicense(fresh, freshToken, { planId: 'basic', validityDays: 100 });
+
+      fresh.clock.advanceDays(21);
+      const laterToken = await fresh.login();
+      const stats = await fresh.request('GET', '/api/stats', { token: laterToken });
+      assert.equal(stats.body.expired, 1);
+      assert.equal(stats.body.grace, 1);
+
+      const grace = await fresh.request('GET', '/api/licenses?status=grace', { token: laterToken });
+      assert.equal(grace.body.total, 1);
+      assert.equal(grace.body.licenses[0].validityDays, 20);
+    } finally {
+      await fresh.close();
+    }
+  });
+
+  it('limits offline tokens to the end of the grace period', async () => {
+    server.clock.set(START);
+    const { licenseKey } = await createLicense(server, await server.login(), { planId: 'basic', validityDays: 30 });
+
+    server.clock.advanceDays(35);
+    const { body } = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(body.valid, true);
+    assert.ok(new Date(body.offlineTokenExpiresAt) <= new Date('2026-02-07T00:00:00.000Z'));
+
+    const keys = loadSigningKeys(path.join(server.dataDir, 'signing-keys.json'));
+    assert.ok(verifyToken(keys, body.offlineToken, server.clock()));
+    assert.equal(verifyToken(keys, body.offlineToken, new Date('2026-02-08T00:00:00.000Z')), null);
+  });
+});
@@ -0,0 +1,112 @@
+// السجل لا يُكتب في ملف أو في الطرفية أثناء الاختبارات، ويجب ضبطه قبل تحميل التطبيق
+process.env.LOG_FILE = 'off';
+process.env.LOG_CONSOLE = 'false';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../app');
+const { createMemoryStore } = require('../lib/storage');
+const { DAY_MS } = require('../lib/license-status');
+
+const ADMIN = { username: 'admin', password: 'test-password' };
+
+// ساعة يتحكم بها الاختبار بدل وقت النظام
+function createClock(start = '2026-01-01T00:00:00.000Z') {
+  let current = new Date(start).getTime();
+  const clock = () => new Date(current);
+  clock.set = value => {
+    current = new Date(value).getTime();
+  };
+  clock.advanceDays = days => {
+    current += days * DAY_MS;
+  };
+  return clock;
+}
+
+/*
+ * تشغيل التطبيق على منفذ عشوائي مع مخزن في الذاكرة ومجلد بيانات مؤقت
+ * يعيد { url, clock, store, request, login, close }
+ */
+async function startServer({ clock = createClock(), store = createMemoryStore(), config = {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetcare-test-'));
+  const app = createApp({
+    store,
+    clock,
+    config: {
+      dataDir,
+      adminUsername: ADMIN.username,
+      adminPassword: ADMIN.password,
+      channels: [],
+      rateLimit: { maxPerIp: 1000, maxPerKey: 1000 },
+      ...config
+    }
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, route, { body, token, headers = {} } = {}) {
+    const response = await fetch(url + route, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      // ليس JSON (مثل CSV)
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  }
+
+  async function login(username = ADMIN.username, password = ADMIN.password) {
+    const { body } = await request('POST', '/api/admin/login', { body: { username, password } });
+    return body.token;
+  }
+
+  async function close() {
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+    app.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { url, clock, store, dataDir, request, login, close };
+}
+
+// عميل ورخصة جاهزين، والمفتاح الكامل يُعاد هنا فقط
+async function createLicense(server, token, fields = {}) {
+  const customer = await server.request('POST', '/api/customers', {
+    token,
+    body: { clinicName: fields.clinicName || 'Test Clinic' }
+  });
+  const { clinicName, ...licenseFields } = fields;
+  const created = await server.request('POST', '/api/licenses', {
+    token,
+    body: { customerId: customer.body.customer.id, ...licenseFields }
+  });
+  return {
+    customerId: customer.body.customer.id,
+    licenseKey: created.body.licenseKey,
+    hash: created.body.license.hash,
+    license: created.body.license
+  };
+}
+
+module.exports = {
+  ADMIN,
+  createClock,
+  startServer,
+  createLicense
+};
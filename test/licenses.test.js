@@ -0,0 +1,328 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createLicense } = require('./helpers');
+
+describe('license management and user verification', () => {
+  let server;
+  let token;
+  let licenseKey;
+  let hash;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    ({ licenseKey, hash } = await createLicense(server, token, { type: 'testing', validityDays: 30 }));
+  });
+
+  after(() => server.close());
+
+  it('returns the full key once and stores only the masked key', async () => {
+    assert.match(licenseKey, /^VET-TESTCLINIC-[0-9A-F]{16}$/);
+
+    const { status, body } = await server.request('GET', `/api/licenses/${hash}`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.maskedKey, 'VET-TESTCLINIC-****' + licenseKey.slice(-4));
+    assert.equal(body.licenseKey, undefined);
+    assert.equal(body.status, 'active');
+
+    const [[, stored]] = Object.entries(server.store.loadLicenses());
+    assert.equal(JSON.stringify(stored).includes(licenseKey), false);
+  });
+
+  it('expires the license validityDays after the injected clock', async () => {
+    const { body } = await server.request('GET', `/api/licenses/${hash}`, { token });
+    assert.equal(body.created, server.clock().toISOString());
+    assert.equal(new Date(body.expirationDate) - server.clock(), 30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('lists licenses and stats', async () => {
+    const list = await server.request('GET', '/api/licenses', { token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.licenses[0].hash, hash);
+
+    const stats = await server.request('GET', '/api/stats', { token });
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.total, 1);
+    assert.equal(stats.body.active, 1);
+    assert.equal(stats.body.expiringIn30Days, 1);
+  });
+
+  it('validates the key', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+    assert.equal(body.status, 'active');
+  });
+
+  it('answers LICENSE_NOT_FOUND for an unknown key', async () => {
+    const { body } = await server.request('POST', '/api/licenses/validate', {
+      body: { licenseKey: 'VET-NOPE-0000000000000000' }
+    });
+    assert.equal(body.valid, false);
+    assert.equal(body.code, 'LICENSE_NOT_FOUND');
+  });
+
+  it('adds users and verifies them with their PIN', async () => {
+    const ahmed = await server.request('POST', `/api/licenses/${hash}/users`, {
+      token,
+      body: { username: 'ahmed', role: 'vet', pin: '1234' }
+    });
+    assert.equal(ahmed.status, 201);
+
+    const fatima = await server.request('POST', `/api/licenses/${hash}/users`, {
+      token,
+      body: { username: 'fatima', role: 'nurse', pin: '5678' }
+    });
+    assert.equal(fatima.status, 201);
+
+    const users = await server.request('GET', `/api/licenses/${hash}/users`, { token });
+    assert.deepEqual(users.body.users.map(user => user.username), ['ahmed', 'fatima']);
+    assert.equal(users.body.users[0].credentialHash, undefined);
+    assert.equal(users.body.users[0].credentialUpdatedAt, server.clock().toISOString());
+
+    const verify = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'ahmed', licenseKey, pin: '1234' }
+    });
+    assert.equal(verify.body.valid, true);
+    assert.equal(verify.body.user.role, 'vet');
+    assert.ok(verify.body.offlineToken);
+  });
+
+  it('rejects a wrong PIN and records the code in loginHistory', async () => {
+    const { body } = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'fatima', licenseKey, pin: '0000' }
+    });
+    assert.equal(body.valid, false);
+    assert.equal(body.code, 'INVALID_CREDENTIALS');
+
+    const stored = server.store.loadLicenses()[hash];
+    assert.equal(stored.loginHistory.at(-1).reason, 'INVALID_CREDENTIALS');
+  });
+
+  it('refuses a PIN sent as a number, which loses its leading zeros', async () => {
+    const { status, body } = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'ahmed', licenseKey, pin: 1234 }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.valid, false);
+    assert.equal(body.code, 'FIELD_STRING');
+  });
+
+  it('refuses a deactivated user until reactivated', async () => {
+    await server.request('PUT', `/api/licenses/${hash}/users/ahmed`, { token, body: { isActive: false } });
+    const refused = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'ahmed', licenseKey, pin: '1234' }
+    });
+    assert.equal(refused.body.valid, false);
+    assert.equal(refused.body.code, 'USER_INACTIVE');
+
+    await server.request('PUT', `/api/licenses/${hash}/users/ahmed`, { token, body: { isActive: true } });
+    const accepted = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'ahmed', licenseKey, pin: '1234' }
+    });
+    assert.equal(accepted.body.valid, true);
+  });
+
+  it('removes a user', async () => {
+    const removed = await server.request('DELETE', `/api/licenses/${hash}/users/fatima`, { token });
+    assert.equal(removed.status, 200);
+
+    const { body } = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'fatima', licenseKey, pin: '5678' }
+    });
+    assert.equal(body.code, 'USER_NOT_ASSIGNED');
+  });
+
+  it('deactivates and reactivates the license', async () => {
+    await server.request('PUT', `/api/licenses/${hash}/deactivate`, { token });
+    const inactive = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(inactive.body.valid, false);
+    assert.equal(inactive.body.code, 'LICENSE_INACTIVE');
+
+    await server.request('PUT', `/api/licenses/${hash}/activate`, { token });
+    const active = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(active.body.valid, true);
+  });
+
+  it('writes an audit entry for each change', async () => {
+    const { body } = await server.request('GET', `/api/licenses/${hash}/audit`, { token });
+    const actions = body.entries.map(entry => entry.action);
+    assert.ok(actions.includes('license.create'));
+    assert.ok(actions.includes('license.deactivate'));
+    assert.ok(actions.includes('license.activate'));
+  });
+});
+
+describe('device seats', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('binds a single-seat license to the first device', async () => {
+    const { licenseKey } = await createLicense(server, token, { maxDevices: 1 });
+
+    const first = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(first.body.valid, true);
+    assert.equal(first.body.devicesUsed, 1);
+
+    const again = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(again.body.valid, true);
+
+    const other = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-2' } });
+    assert.equal(other.body.valid, false);
+    assert.equal(other.body.code, 'DEVICE_MISMATCH');
+  });
+
+  it('frees a seat when an admin releases the device', async () => {
+    const { licenseKey, hash } = await createLicense(server, token, { maxDevices: 2 });
+    await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-2' } });
+
+    const full = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-3' } });
+    assert.equal(full.body.code, 'DEVICE_LIMIT_REACHED');
+
+    const released = await server.request('DELETE', `/api/licenses/${hash}/devices/PC-1`, { token });
+    assert.equal(released.status, 200);
+
+    const seated = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-3' } });
+    assert.equal(seated.body.valid, true);
+  });
+
+  it('allows one client transfer per cooldown period', async () => {
+    const { licenseKey } = await createLicense(server, token, { maxDevices: 1 });
+    await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'OLD-PC' } });
+
+    const moved = await server.request('POST', '/api/transfer-device', { body: { licenseKey, deviceId: 'NEW-PC' } });
+    assert.equal(moved.body.success, true);
+
+    const tooSoon = await server.request('POST', '/api/transfer-device', { body: { licenseKey, deviceId: 'THIRD-PC' } });
+    assert.equal(tooSoon.body.success, false);
+    assert.equal(tooSoon.body.code, 'TRANSFER_COOLDOWN');
+
+    server.clock.advanceDays(31);
+    const later = await server.request('POST', '/api/transfer-device', { body: { licenseKey, deviceId: 'THIRD-PC' } });
+    assert.equal(later.body.success, true);
+  });
+});
+
+describe('key regeneration', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  it('moves the trial registration to the new hash and notifies webhooks', async () => {
+    const webhook = await server.request('POST', '/api/webhooks', {
+      token,
+      body: { url: 'http://127.0.0.1:1/hook', events: ['license.key-regenerated'] }
+    });
+    const trial = await server.request('POST', '/api/trials', { body: { deviceId: 'TRIAL-PC' } });
+    const hash = crypto.createHash('sha256').update(trial.body.licenseKey).digest('hex');
+
+    const { status, body } = await server.request('POST', `/api/licenses/${hash}/regenerate-key`, { token });
+    assert.equal(status, 200);
+    const newHash = body.license.hash;
+    assert.notEqual(newHash, hash);
+
+    const registry = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'trials.json'), 'utf-8'));
+    assert.deepEqual(registry.map(([, entry]) => entry.licenseHash), [newHash]);
+
+    const deliveries = await server.request('GET', `/api/webhooks/${webhook.body.webhook.id}/deliveries`, { token });
+    assert.deepEqual(deliveries.body.map(delivery => delivery.event), ['license.key-regenerated']);
+    const delivery = await server.request('GET', `/api/webhooks/${webhook.body.webhook.id}/deliveries/${deliveries.body[0].id}`, {
+      token
+    });
+    assert.equal(delivery.body.payload.data.hash, newHash);
+    assert.equal(delivery.body.payload.data.previousHash, hash);
+
+    const again = await server.request('POST', '/api/trials', { body: { deviceId: 'TRIAL-PC' } });
+    assert.equal(again.body.code, 'TRIAL_ALREADY_USED');
+  });
+});
+
+describe('license list queries', () => {
+  let server;
+  let token;
+  let hashes;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    hashes = [];
+    for (const validityDays of [30, 90, 60]) {
+      hashes.push((await createLicense(server, token, { validityDays })).hash);
+    }
+  });
+
+  after(() => server.close());
+
+  function list(query) {
+    return server.request('GET', `/api/licenses?${query}`, { token });
+  }
+
+  it('sorts and pages through the results', async () => {
+    const { body } = await list('sort=-expirationDate&limit=2&offset=1');
+    assert.equal(body.total, 3);
+    assert.deepEqual([body.limit, body.offset], [2, 1]);
+    assert.deepEqual(body.licenses.map(license => license.hash), [hashes[2], hashes[0]]);
+  });
+
+  it('rejects an unknown sort field and lists the allowed ones', async () => {
+    for (const sort of ['colour', '-licenseKey', '--created']) {
+      const { status, body } = await list(`sort=${sort}`);
+      assert.equal(status, 400, sort);
+      assert.equal(body.code, 'FIELD_ONE_OF');
+      assert.match(body.error, /expirationDate/);
+    }
+  });
+
+  it('rejects page values that are not whole numbers in range', async () => {
+    const cases = [
+      ['limit=0', 'limit'],
+      ['limit=abc', 'limit'],
+      ['limit=2.5', 'limit'],
+      ['offset=-1', 'offset'],
+      ['offset=x', 'offset']
+    ];
+    for (const [query, field] of cases) {
+      const { status, body } = await list(query);
+      assert.equal(status, 400, query);
+      assert.equal(body.errors[0].field, field, query);
+    }
+  });
+
+  it('caps the page size and returns an empty page past the end', async () => {
+    const capped = await list('limit=100000');
+    assert.equal(capped.status, 200);
+    assert.equal(capped.body.limit, 500);
+
+    const past = await list('offset=10');
+    assert.equal(past.status, 200);
+    assert.equal(past.body.total, 3);
+    assert.equal(past.body.offset, 10);
+    assert.deepEqual(past.body.licenses, []);
+  });
+
+  it('projects only known fields and always keeps the hash', async () => {
+    const { body } = await list('fields=maskedKey,noSuchField,licenseKey&limit=1');
+    assert.deepEqual(Object.keys(body.licenses[0]).sort(), ['hash', 'maskedKey']);
+
+    const onlyUnknown = await list('fields=noSuchField&limit=1');
+    assert.deepEqual(Object.keys(onlyUnknown.body.licenses[0]), ['hash']);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, createLicense } = require('./helpers');
+const { DAY_MS } = require('../lib/license-status');
+
+function decode(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf-8'));
+}
+
+// التحقق كما يفعله برنامج سطح المكتب: المفتاح المنشور حسب kid ثم توقيع Ed25519
+function verifyWithPublishedKeys(token, keys) {
+  const [header, payload, signature] = token.split('.');
+  const key = keys.find(entry => entry.kid === decode(header).kid);
+  if (!key) {
+    return null;
+  }
+  const ok = crypto.verify(null, Buffer.from(`${header}.${payload}`), key.publicKey, Buffer.from(signature, 'base64url'));
+  return ok ? decode(payload) : null;
+}
+
+describe('offline tokens', () => {
+  let server;
+  let token;
+  let licenseKey;
+  let hash;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    ({ licenseKey, hash } = await createLicense(server, token, { validityDays: 30 }));
+  });
+
+  after(() => server.close());
+
+  async function offlineToken() {
+    const { body } = await server.request('POST', '/api/verify-license', { body: { licenseKey, deviceId: 'PC-1' } });
+    assert.equal(body.valid, true);
+    return body.offlineToken;
+  }
+
+  async function publishedKeys() {
+    return (await server.request('GET', '/api/public-keys')).body.keys;
+  }
+
+  it('verifies against the published public key', async () => {
+    const offline = await offlineToken();
+    const keys = await publishedKeys();
+    assert.deepEqual(keys.map(key => key.status), ['current']);
+    assert.equal(decode(offline.split('.')[0]).alg, 'EdDSA');
+
+    const payload = verifyWithPublishedKeys(offline, keys);
+    assert.ok(payload);
+    assert.equal(payload.sub, hash);
+    assert.equal(payload.boundDeviceId, 'PC-1');
+    assert.equal(payload.iat, server.clock().getTime() / 1000);
+    assert.equal(payload.graceUntil, new Date(server.clock().getTime() + 7 * DAY_MS).toISOString());
+
+    // نفس المفتاح بصيغة JWK
+    const jwk = crypto.createPublicKey({ key: keys[0].jwk, format: 'jwk' });
+    const [header, body, signature] = offline.split('.');
+    assert.ok(crypto.verify(null, Buffer.from(`${header}.${body}`), jwk, Buffer.from(signature, 'base64url')));
+  });
+
+  it('fails verification when the payload is changed', async () => {
+    const [header, payload, signature] = (await offlineToken()).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...decode(payload), boundDeviceId: 'PC-2' })).toString('base64url');
+    assert.equal(verifyWithPublishedKeys(`${header}.${forged}.${signature}`, await publishedKeys()), null);
+  });
+
+  it('keeps old tokens valid while their key is published, and rejects them after it is rotated out', async () => {
+    const old = await offlineToken();
+    const oldKid = decode(old.split('.')[0]).kid;
+
+    const rotated = await server.request('POST', '/api/admin/signing-keys/rotate', { token });
+    assert.equal(rotated.status, 200);
+    assert.deepEqual(rotated.body.keys.map(key => key.status), ['current', 'previous']);
+    assert.ok(verifyWithPublishedKeys(old, await publishedKeys()));
+
+    const fresh = await offlineToken();
+    assert.notEqual(decode(fresh.split('.')[0]).kid, oldKid);
+
+    // SIGNING_KEYS_RETAINED الافتراضي 2: بعد تدويرين آخرين لا يبقى المفتاح القديم منشوراً
+    await server.request('POST', '/api/admin/signing-keys/rotate', { token });
+    await server.request('POST', '/api/admin/signing-keys/rotate', { token });
+    const keys = await publishedKeys();
+    assert.equal(keys.some(key => key.kid === oldKid), false);
+    assert.equal(verifyWithPublishedKeys(old, keys), null);
+    assert.ok(verifyWithPublishedKeys(fresh, keys));
+  });
+
+  it('only lets owners rotate the signing key', async () => {
+    await server.request('POST', '/api/admin/users', {
+      token,
+      body: { username: 'support1', password: 'support-pass', role: 'support' }
+    });
+    const supportToken = await server.login('support1', 'support-pass');
+    const { status } = await server.request('POST', '/api/admin/signing-keys/rotate', { token: supportToken });
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createLicense } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+function unknownKey(index) {
+  return `VET-NOPE-${String(index).padStart(16, '0')}`;
+}
+
+describe('rate limits per IP', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ config: { rateLimit: { maxPerIp: 3, maxPerKey: 1000, notFoundThreshold: 1000 } } });
+  });
+
+  after(() => server.close());
+
+  it('answers 429 with Retry-After once the window is full', async () => {
+    for (let i = 0; i < 3; i++) {
+      const { status } = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: unknownKey(i) } });
+      assert.equal(status, 200);
+    }
+
+    const limited = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: unknownKey(3) } });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.headers.get('retry-after'), '60');
+    assert.equal(limited.body.retryAfter, 60);
+  });
+
+  it('lets the client in again when the window slides on', async () => {
+    server.clock.set(new Date(server.clock().getTime() + MINUTE_MS + 1));
+    const { status } = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: unknownKey(4) } });
+    assert.equal(status, 200);
+  });
+});
+
+describe('blocks for guessed keys and usernames', () => {
+  let server;
+  let token;
+  let licenseKey;
+
+  before(async () => {
+    server = await startServer({ config: { rateLimit: { maxPerIp: 1000, maxPerKey: 1000, notFoundThreshold: 2 } } });
+    token = await server.login();
+    let hash;
+    ({ licenseKey, hash } = await createLicense(server, token, { validityDays: 30 }));
+    await server.request('POST', `/api/licenses/${hash}/users`, {
+      token,
+      body: { username: 'ahmed', role: 'vet', pin: '1234' }
+    });
+  });
+
+  after(() => server.close());
+
+  async function guessKeys(count) {
+    for (let i = 0; i < count; i++) {
+      await server.request('POST', '/api/verify-license', { body: { licenseKey: unknownKey(i), deviceId: 'PC-1' } });
+    }
+  }
+
+  it('blocks an IP after repeated unknown keys', async () => {
+    await guessKeys(2);
+    const blocked = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.code, 'TEMPORARILY_BLOCKED');
+    assert.equal(blocked.headers.get('retry-after'), '60');
+  });
+
+  it('blocks longer on each repeat within 24 hours', async () => {
+    server.clock.set(new Date(server.clock().getTime() + 2 * MINUTE_MS));
+    await guessKeys(2);
+    const second = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(second.headers.get('retry-after'), '300');
+
+    server.clock.set(new Date(server.clock().getTime() + 6 * MINUTE_MS));
+    await guessKeys(2);
+    const third = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(third.headers.get('retry-after'), '900');
+  });
+
+  it('starts again from the shortest block after a quiet day', async () => {
+    server.clock.advanceDays(2);
+    await guessKeys(2);
+    const blocked = await server.request('POST', '/api/licenses/validate', { body: { licenseKey } });
+    assert.equal(blocked.headers.get('retry-after'), '60');
+
+    token = await server.login();
+    const cleared = await server.request('DELETE', '/api/admin/rate-limits', { token });
+    assert.equal(cleared.status, 200);
+  });
+
+  it('counts usernames that are not on the license', async () => {
+    for (const username of ['admin', 'root']) {
+      const { body } = await server.request('POST', '/api/verify-user-license', {
+        body: { username, licenseKey, pin: '1234' }
+      });
+      assert.equal(body.code, 'USER_NOT_ASSIGNED');
+    }
+    const blocked = await server.request('POST', '/api/verify-user-license', {
+      body: { username: 'vet', licenseKey, pin: '1234' }
+    });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.code, 'TEMPORARILY_BLOCKED');
+  });
+});
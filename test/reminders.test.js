@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClock } = require('./helpers');
+const { createReminderScheduler } = require('../lib/reminders');
+const { createChannels } = require('../lib/notifications');
+const { DAY_MS } = require('../lib/license-status');
+
+const EXPIRES = '2026-03-01T00:00:00.000Z';
+
+function license(fields = {}) {
+  return { maskedKey: 'VET-CLINIC-****ABCD', customerId: null, expirationDate: EXPIRES, isActive: true, ...fields };
+}
+
+function daysBefore(days) {
+  return new Date(new Date(EXPIRES).getTime() - days * DAY_MS);
+}
+
+// قناة في الذاكرة تسجل المراحل المرسلة
+function createScheduler(licenses) {
+  const sent = [];
+  const state = {};
+  const scheduler = createReminderScheduler({
+    getLicenses: () => licenses,
+    channels: [{ name: 'memory', send: async message => { sent.push(message.stage); return { delivered: true }; } }],
+    state,
+    saveState: () => {},
+    clock: createClock()
+  });
+  return { scheduler, sent, state };
+}
+
+describe('reminder stages', () => {
+  it('sends each stage once as the expiry comes closer', async () => {
+    const { scheduler, sent } = createScheduler({ a: license() });
+
+    assert.deepEqual(await scheduler.runOnce(daysBefore(40)), []);
+    await scheduler.runOnce(daysBefore(30));
+    await scheduler.runOnce(daysBefore(25));
+    await scheduler.runOnce(daysBefore(14));
+    await scheduler.runOnce(daysBefore(14));
+    await scheduler.runOnce(daysBefore(7));
+    await scheduler.runOnce(daysBefore(0.5));
+    assert.deepEqual(sent, ['30', '14', '7', '1']);
+  });
+
+  it('sends only the most urgent stage after missed ones', async () => {
+    const { scheduler, sent, state } = createScheduler({ a: license() });
+
+    assert.deepEqual(scheduler.pending(daysBefore(5)).map(due => [due.stage, due.daysLeft]), [['7', 5]]);
+    await scheduler.runOnce(daysBefore(5));
+    assert.deepEqual(Object.keys(state.a.sent), ['7']);
+
+    // بعد ذلك لا تُرسل المراحل الأبعد التي فاتت
+    await scheduler.runOnce(daysBefore(3));
+    assert.deepEqual(sent, ['7']);
+  });
+
+  it('sends the expired notice only within the expired window', async () => {
+    const late = createScheduler({ a: license() });
+    assert.deepEqual(late.scheduler.pending(daysBefore(-4)), []);
+
+    const { scheduler, sent } = createScheduler({ a: license() });
+    await scheduler.runOnce(daysBefore(-2));
+    await scheduler.runOnce(daysBefore(-2.5));
+    assert.deepEqual(sent, ['expired']);
+  });
+
+  it('sends no stage after the expired notice, and starts again after a renewal', async () => {
+    const licenses = { a: license() };
+    const { scheduler, sent } = createScheduler(licenses);
+    await scheduler.runOnce(daysBefore(-1));
+
+    licenses.a = license({ expirationDate: '2026-04-01T00:00:00.000Z' });
+    await scheduler.runOnce(daysBefore(-1));
+    assert.deepEqual(sent, ['expired', '30']);
+  });
+
+  it('skips inactive licenses', () => {
+    const { scheduler } = createScheduler({ a: license({ isActive: false }) });
+    assert.deepEqual(scheduler.pending(daysBefore(1)), []);
+  });
+});
+
+describe('reminder channels', () => {
+  it('skips a misconfigured channel instead of failing', () => {
+    const channels = createChannels('webhook, console, carrier-pigeon');
+    assert.deepEqual(channels.map(channel => channel.name), ['console']);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, createLicense } = require('./helpers');
+const { DAY_MS } = require('../lib/license-status');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('trial licenses', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+  });
+
+  after(() => server.close());
+
+  function requestTrial(deviceId) {
+    return server.request('POST', '/api/trials', { body: { deviceId, hostname: 'FRONT-DESK' } });
+  }
+
+  it('issues one trial per device', async () => {
+    const first = await requestTrial('TRIAL-PC-1');
+    assert.equal(first.status, 201);
+    assert.match(first.body.licenseKey, /^DEMO-/);
+    assert.equal(first.body.expirationDate, new Date(server.clock().getTime() + 14 * DAY_MS).toISOString());
+
+    const again = await requestTrial('TRIAL-PC-1');
+    assert.equal(again.body.success, false);
+    assert.equal(again.body.code, 'TRIAL_ALREADY_USED');
+    assert.equal(again.body.trialExpiresAt, first.body.expirationDate);
+
+    const other = await requestTrial('TRIAL-PC-2');
+    assert.equal(other.status, 201);
+  });
+
+  it('keeps refusing the device after its trial license is archived', async () => {
+    const { body } = await requestTrial('TRIAL-PC-3');
+    await server.request('DELETE', `/api/licenses/${sha256(body.licenseKey)}`, { token, body: {} });
+
+    const again = await requestTrial('TRIAL-PC-3');
+    assert.equal(again.body.code, 'TRIAL_ALREADY_USED');
+  });
+
+  it('works on its own device only, and stops at expiry without grace', async () => {
+    const { body } = await requestTrial('TRIAL-PC-4');
+    const verify = deviceId => server.request('POST', '/api/verify-license', {
+      body: { licenseKey: body.licenseKey, deviceId }
+    });
+
+    assert.equal((await verify('TRIAL-PC-4')).body.valid, true);
+    assert.equal((await verify('OTHER-PC')).body.valid, false);
+
+    server.clock.advanceDays(13);
+    assert.equal((await verify('TRIAL-PC-4')).body.valid, true);
+
+    server.clock.advanceDays(2);
+    const expired = await verify('TRIAL-PC-4');
+    assert.equal(expired.body.valid, false);
+    assert.equal(expired.body.code, 'LICENSE_EXPIRED');
+
+    const again = await requestTrial('TRIAL-PC-4');
+    assert.equal(again.body.code, 'TRIAL_ALREADY_USED');
+  });
+
+  it('converts to a paid plan with the same key, device and users', async () => {
+    token = await server.login();
+    const { body: trial } = await requestTrial('TRIAL-PC-5');
+    const hash = sha256(trial.licenseKey);
+    for (const username of ['dr-sara', 'nurse-ali']) {
+      const added = await server.request('POST', `/api/licenses/${hash}/users`, {
+        token,
+        body: { username, role: 'vet', pin: '2468' }
+      });
+      assert.equal(added.status, 201);
+    }
+
+    const { customerId } = await createLicense(server, token, { clinicName: 'Converted Clinic' });
+    const converted = await server.request('POST', `/api/licenses/${hash}/convert`, {
+      token,
+      body: { planId: 'basic', customerId }
+    });
+    assert.equal(converted.status, 200);
+
+    const { license } = converted.body;
+    assert.equal(license.type, 'production');
+    assert.equal(license.planId, 'basic');
+    assert.equal(license.customerId, customerId);
+    assert.deepEqual(license.devices.map(device => [device.deviceId, device.hostname]), [['TRIAL-PC-5', 'FRONT-DESK']]);
+    assert.deepEqual(license.users.map(user => user.username), ['dr-sara', 'nurse-ali']);
+    assert.equal(license.expirationDate, new Date(server.clock().getTime() + 365 * DAY_MS).toISOString());
+
+    const verified = await server.request('POST', '/api/verify-user-license', {
+      body: { licenseKey: trial.licenseKey, username: 'dr-sara', pin: '2468', deviceId: 'TRIAL-PC-5' }
+    });
+    assert.equal(verified.body.valid, true);
+
+    const twice = await server.request('POST', `/api/licenses/${hash}/convert`, { token, body: { planId: 'pro' } });
+    assert.equal(twice.status, 400);
+    assert.equal(twice.body.code, 'NOT_A_TRIAL');
+  });
+
+  it('refuses to convert into another trial or an unknown plan', async () => {
+    const { body: trial } = await requestTrial('TRIAL-PC-6');
+    const hash = sha256(trial.licenseKey);
+
+    const toTrial = await server.request('POST', `/api/licenses/${hash}/convert`, {
+      token,
+      body: { planId: 'basic', type: 'trial' }
+    });
+    assert.equal(toTrial.body.code, 'CONVERTED_TYPE_INVALID');
+
+    const unknownPlan = await server.request('POST', `/api/licenses/${hash}/convert`, { token, body: { planId: 'gold' } });
+    assert.equal(unknownPlan.body.code, 'UNKNOWN_PLAN');
+  });
+});
@@ -0,0 +1,240 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { startServer, createLicense } = require('./helpers');
+const { createStore, createMemoryStore } = require('../lib/storage');
+const { readEntries } = require('../lib/storage/json-store');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function fieldsOf(body) {
+  return body.errors.map(error => [error.in, error.field, error.code]);
+}
+
+describe('request validation', () => {
+  let server;
+  let token;
+  let hash;
+  let customerId;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.login();
+    ({ hash, customerId } = await createLicense(server, token, { validityDays: 30 }));
+    await server.request('POST', `/api/licenses/${hash}/users`, {
+      token,
+      body: { username: 'ahmed', role: 'vet', pin: '1234' }
+    });
+  });
+
+  after(() => server.close());
+
+  it('lists every invalid field of a new license', async () => {
+    const { status, body } = await server.request('POST', '/api/licenses', {
+      token,
+      body: { customerId, validityDays: '30', maxDevices: -1 }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'FIELD_POSITIVE_INTEGER');
+    assert.deepEqual(fieldsOf(body), [
+      ['body', 'validityDays', 'FIELD_POSITIVE_INTEGER'],
+      ['body', 'maxDevices', 'FIELD_POSITIVE_INTEGER']
+    ]);
+    assert.ok(body.errors.every(error => error.message));
+  });
+
+  it('refuses daysToAdd sent as a string instead of appending it', async () => {
+    const { status, body } = await server.request('PUT', `/api/licenses/${hash}/extend`, {
+      token,
+      body: { daysToAdd: '5' }
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(fieldsOf(body), [['body', 'daysToAdd', 'FIELD_POSITIVE_INTEGER']]);
+
+    const license = await server.request('GET', `/api/licenses/${hash}`, { token });
+    assert.equal(license.body.validityDays, 30);
+  });
+
+  it('requires a boolean isActive when updating a user', async () => {
+    const { status, body } = await server.request('PUT', `/api/licenses/${hash}/users/ahmed`, {
+      token,
+      body: { isActive: 'yes' }
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(fieldsOf(body), [['body', 'isActive', 'FIELD_BOOLEAN']]);
+  });
+
+  it('requires a username when adding a user', async () => {
+    const { status, body } = await server.request('POST', `/api/licenses/${hash}/users`, {
+      token,
+      body: { role: 'vet', pin: '1234' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'FIELD_REQUIRED');
+    assert.deepEqual(fieldsOf(body), [['body', 'username', 'FIELD_REQUIRED']]);
+  });
+
+  it('checks route params and query strings', async () => {
+    const params = await server.request('GET', '/api/licenses/not-a-hash', { token });
+    assert.equal(params.status, 400);
+    assert.deepEqual(fieldsOf(params.body), [['params', 'hash', 'FIELD_HASH']]);
+
+    const query = await server.request('GET', '/api/licenses?limit=abc', { token });
+    assert.equal(query.status, 400);
+    assert.deepEqual(fieldsOf(query.body), [['query', 'limit', 'FIELD_POSITIVE_INTEGER']]);
+
+    const paged = await server.request('GET', '/api/licenses?limit=1&offset=0', { token });
+    assert.equal(paged.status, 200);
+  });
+
+  it('refuses an inherited object key as a plan id', async () => {
+    const license = await server.request('POST', '/api/licenses', {
+      token,
+      body: { customerId, planId: 'constructor' }
+    });
+    assert.equal(license.status, 400);
+    assert.equal(license.body.code, 'UNKNOWN_PLAN');
+
+    const plan = await server.request('POST', '/api/plans', {
+      token,
+      body: { id: 'constructor', name: 'Constructor', features: [], maxUsers: 1, maxDevices: 1, validityDays: 30 }
+    });
+    assert.equal(plan.status, 400);
+    assert.deepEqual(fieldsOf(plan.body), [['body', 'id', 'PLAN_ID_INVALID']]);
+  });
+
+  it('keeps the client response shape', async () => {
+    const { status, body } = await server.request('POST', '/api/verify-license', {
+      body: { licenseKey: 12345, deviceId: 'PC-1' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.valid, false);
+    assert.equal(body.code, 'FIELD_STRING');
+    assert.ok(body.reason);
+    assert.deepEqual(fieldsOf(body), [['body', 'licenseKey', 'FIELD_STRING']]);
+  });
+
+  it('localizes the field messages', async () => {
+    const { body } = await server.request('PUT', `/api/licenses/${hash}/extend`, {
+      token,
+      body: {},
+      headers: { 'Accept-Language': 'ar' }
+    });
+    assert.match(body.errors[0].message, /[؀-ۿ]/);
+  });
+});
+
+describe('license records on startup', () => {
+  const goodKey = 'VET-GOOD-0000000000000001';
+  const corruptKey = 'VET-CORRUPT-0000000000000002';
+  const legacyKey = 'VET-legacy-3655000000000003';
+  let server;
+
+  before(async () => {
+    const record = {
+      maskedKey: 'VET-GOOD-****0001',
+      customerId: null,
+      type: 'trial',
+      created: '2026-01-01T00:00:00.000Z',
+      expirationDate: '2026-01-31T00:00:00.000Z',
+      validityDays: 30,
+      maxDevices: 1,
+      isActive: true,
+      devices: [],
+      users: [],
+      loginHistory: []
+    };
+    const store = createMemoryStore({
+      licenses: {
+        [sha256(goodKey)]: record,
+        [sha256(corruptKey)]: { ...record, maskedKey: 'VET-CORRUPT-****0002', devices: 'PC-1', expirationDate: 'soon' },
+        // سجل من الإصدار الأول: validityDays أصبح نصاً بعد تمديد 5 أيام بـ +=
+        [sha256(legacyKey)]: {
+          key: legacyKey,
+          customerId: 'legacy',
+          type: 'production',
+          created: '2025-12-01T00:00:00.000Z',
+          expirationDate: '2026-12-06T00:00:00.000Z',
+          validityDays: '3655',
+          deviceFingerprint: null,
+          usageCount: 0,
+          isActive: true
+        }
+      }
+    });
+    server = await startServer({ store });
+  });
+
+  after(() => server.close());
+
+  it('skips the corrupt record instead of failing verification', async () => {
+    const corrupt = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: corruptKey } });
+    assert.equal(corrupt.status, 200);
+    assert.equal(corrupt.body.code, 'LICENSE_NOT_FOUND');
+
+    const good = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: goodKey } });
+    assert.equal(good.body.valid, true);
+  });
+
+  it('loads a legacy license whose validityDays became a string', async () => {
+    const { status, body } = await server.request('POST', '/api/verify-license', {
+      body: { licenseKey: legacyKey, deviceId: 'PC-1' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+
+    const token = await server.login();
+    const license = await server.request('GET', `/api/licenses/${sha256(legacyKey)}`, { token });
+    assert.equal(license.body.validityDays, 3655);
+  });
+
+  it('leaves the corrupt record in the store for repair', () => {
+    assert.ok(server.store.loadLicenses()[sha256(corruptKey)]);
+  });
+});
+
+// better-sqlite3 اعتمادية اختيارية
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (err) {
+  hasSqlite = false;
+}
+
+describe('licenses migrated to SQLite', { skip: !hasSqlite }, () => {
+  // الرخصة الموجودة في licenses.json الأصلي بالمفتاح الكامل وبدون maskedKey
+  const legacyKey = 'VET-khaled-5E5F0011CC327299';
+  let dir;
+  let file;
+  let server;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vetcare-sqlite-'));
+    file = path.join(dir, 'licenses.db');
+    // نفس خطوات npm run migrate:sqlite
+    const migration = createStore({ driver: 'sqlite', file });
+    migration.importLicenses(readEntries(path.join(__dirname, '..', 'licenses.json')));
+    migration.close();
+
+    server = await startServer({ store: createStore({ driver: 'sqlite', file }) });
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads the legacy license', async () => {
+    const { body } = await server.request('POST', '/api/licenses/validate', { body: { licenseKey: legacyKey } });
+    assert.equal(body.valid, true);
+  });
+
+  it('removes the full key from the database', () => {
+    const [license] = Object.values(server.store.loadLicenses());
+    assert.equal(license.key, undefined);
+    assert.equal(license.maskedKey, 'VET-khaled-****7299');
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClock } = require('./helpers');
+const { createWebhookDispatcher, signPayload } = require('../lib/webhooks');
+
+const WEBHOOKS = {
+  wh1: { url: 'https://hooks.example.com/vetcare', secret: 'whsec_test', events: ['*'], isActive: true }
+};
+
+// يسجل كل حفظ بدل الكتابة على القرص
+function createDispatcher(post = async () => ({ status: 200 }), { deliveries = [], ...options } = {}) {
+  const saved = { sync: 0, async: 0 };
+  const dispatcher = createWebhookDispatcher({
+    getWebhooks: () => WEBHOOKS,
+    deliveries,
+    save: () => { saved.sync++; },
+    saveAsync: async () => { saved.async++; },
+    post,
+    ...options
+  });
+  return { dispatcher, saved };
+}
+
+// ينتظر حتى تنتهي كل التسليمات (المحاولات المؤجلة تعمل بمؤقتات حقيقية قصيرة)
+async function settled(deliveries) {
+  for (let i = 0; i < 200 && deliveries.some(delivery => delivery.status === 'pending'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function delivery(id, status) {
+  return { id, webhookId: 'wh1', event: 'license.created', status, attempts: [], payload: {} };
+}
+
+describe('webhook delivery log', () => {
+  it('does not write the log while emitting', async () => {
+    const { dispatcher, saved } = createDispatcher(() => new Promise(() => {}));
+    dispatcher.emit('device.bound', { hash: 'a' });
+    dispatcher.emit('device.bound', { hash: 'b' });
+    assert.deepEqual(saved, { sync: 0, async: 0 });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(saved, { sync: 0, async: 1 });
+    dispatcher.stop();
+  });
+
+  it('writes what is still queued when stopped', () => {
+    const { dispatcher, saved } = createDispatcher();
+    dispatcher.emit('license.created', { hash: 'a' });
+    dispatcher.stop();
+    assert.deepEqual(saved, { sync: 1, async: 0 });
+  });
+});
+
+describe('webhook delivery log limit', () => {
+  it('drops the oldest finished deliveries and keeps pending ones', () => {
+    const deliveries = [
+      delivery('old-pending', 'pending'),
+      delivery('old-delivered', 'delivered'),
+      delivery('old-failed', 'failed'),
+      delivery('new-delivered', 'delivered')
+    ];
+    const { dispatcher } = createDispatcher(() => new Promise(() => {}), { deliveries, logLimit: 3 });
+    dispatcher.emit('license.created', { hash: 'a' });
+    dispatcher.stop();
+
+    assert.deepEqual(deliveries.map(item => item.id).slice(0, 2), ['old-pending', 'new-delivered']);
+    assert.equal(deliveries.length, 3);
+    assert.equal(deliveries[2].status, 'pending');
+  });
+
+  it('keeps every pending delivery even above the limit', () => {
+    const deliveries = [delivery('a', 'pending'), delivery('b', 'pending')];
+    const { dispatcher } = createDispatcher(() => new Promise(() => {}), { deliveries, logLimit: 1 });
+    dispatcher.emit('license.created', { hash: 'a' });
+    dispatcher.stop();
+    assert.deepEqual(deliveries.map(item => item.status), ['pending', 'pending', 'pending']);
+  });
+});
+
+describe('webhook sending', () => {
+  it('signs the body with the webhook secret and the app clock', async () => {
+    const clock = createClock();
+    const requests = [];
+    const deliveries = [];
+    const { dispatcher } = createDispatcher(async (url, body, headers) => {
+      requests.push({ url, body, headers });
+      return { status: 204 };
+    }, { deliveries, clock });
+
+    dispatcher.emit('license.created', { hash: 'a' });
+    await settled(deliveries);
+    dispatcher.stop();
+
+    const [{ url, body, headers }] = requests;
+    const timestamp = String(clock().getTime() / 1000);
+    assert.equal(url, WEBHOOKS.wh1.url);
+    assert.equal(headers['X-VetCare-Event'], 'license.created');
+    assert.equal(headers['X-VetCare-Timestamp'], timestamp);
+    assert.equal(headers['X-VetCare-Signature'], `sha256=${signPayload('whsec_test', timestamp, body)}`);
+    assert.deepEqual(JSON.parse(body).data, { hash: 'a' });
+    assert.equal(deliveries[0].status, 'delivered');
+    assert.equal(deliveries[0].deliveredAt, clock().toISOString());
+  });
+
+  it('retries with doubling delays and gives up after maxAttempts', async () => {
+    const clock = createClock();
+    const start = clock().getTime();
+    const deliveries = [];
+    // وقت كل محاولة كما جدولها التسليم، بالنسبة لساعة التطبيق الثابتة
+    const scheduled = [];
+    const { dispatcher } = createDispatcher(async () => {
+      scheduled.push(new Date(deliveries[0].nextAttemptAt).getTime() - start);
+      return { status: 500 };
+    }, { deliveries, clock, maxAttempts: 5, baseDelayMs: 5, maxDelayMs: 15 });
+
+    dispatcher.emit('license.renewed', { hash: 'a' });
+    await settled(deliveries);
+    dispatcher.stop();
+
+    assert.deepEqual(scheduled, [0, 5, 10, 15, 15]);
+    assert.equal(deliveries[0].status, 'failed');
+    assert.equal(deliveries[0].nextAttemptAt, null);
+    assert.deepEqual(deliveries[0].attempts.map(item => item.statusCode), [500, 500, 500, 500, 500]);
+  });
+
+  it('records a network error as a failed attempt', async () => {
+    const deliveries = [];
+    const { dispatcher } = createDispatcher(async () => {
+      throw new Error('connect ECONNREFUSED');
+    }, { deliveries, maxAttempts: 1 });
+
+    dispatcher.emit('license.deleted', { hash: 'a' });
+    await settled(deliveries);
+    dispatcher.stop();
+
+    assert.equal(deliveries[0].status, 'failed');
+    assert.equal(deliveries[0].attempts[0].error, 'connect ECONNREFUSED');
+  });
+});